@@ -1,4 +1,8 @@
 import { LitElement, html, nothing } from 'lit';
+import {
+  auditEntryWrite, commitWrites, enqueueWrite, flushQueuedWrites, getQueuedWrites, hasServerValues,
+  replayQueuedWrite, validateFieldValue,
+} from '@manufosela/firebase-utils';
 import { styles } from './firebase-autoform.styles.js';
 
 /**
@@ -34,6 +38,8 @@ import { styles } from './firebase-autoform.styles.js';
  * @fires form-submit - Fired when form is submitted successfully
  * @fires form-error - Fired when form submission fails
  * @fires form-reset - Fired when form is reset
+ * @fires sync-queued - Fired when a submit is queued while offline
+ * @fires sync-flushed - Fired when queued submits have been replayed
  *
  * @cssprop --firebase-autoform-font-family - Font family
  * @cssprop --firebase-autoform-gap - Gap between form fields
@@ -65,6 +71,13 @@ export class FirebaseAutoform extends LitElement {
      */
     path: { type: String },
 
+    /**
+     * Storage backend: Realtime Database ('rtdb') or Firestore ('firestore').
+     * In Firestore mode `path` names a collection and `data-key` a document id.
+     * @type {'rtdb' | 'firestore'}
+     */
+    backend: { type: String },
+
     /**
      * Form schema definition
      * @type {FormSchema}
@@ -119,6 +132,26 @@ export class FirebaseAutoform extends LitElement {
      */
     disabled: { type: Boolean, reflect: true },
 
+    /**
+     * Queue submits in IndexedDB while the Realtime Database is disconnected,
+     * and replay them in order when `.info/connected` turns true
+     * @type {boolean}
+     */
+    offline: { type: Boolean },
+
+    /**
+     * Message shown while queued submits wait to sync
+     * @type {string}
+     */
+    queuedMessage: { type: String, attribute: 'queued-message' },
+
+    /**
+     * Path (a collection in Firestore) where every submit is logged with the
+     * previous record, the diff, the user's uid and a server timestamp
+     * @type {string}
+     */
+    auditPath: { type: String, attribute: 'audit-path' },
+
     /**
      * Internal state: loading
      * @type {boolean}
@@ -153,14 +186,37 @@ export class FirebaseAutoform extends LitElement {
      * @private
      */
     _globalError: { type: String, state: true },
+
+    /**
+     * Internal state: submits queued offline for this path
+     * @type {number}
+     * @private
+     */
+    _queuedCount: { type: Number, state: true },
   };
 
   /** @type {import('firebase/database').Database | null} */
   _database = null;
 
+  /** @type {import('firebase/firestore').Firestore | null} */
+  _firestore = null;
+
+  /** @type {import('firebase/auth').Auth | null} */
+  _auth = null;
+
+  /** @type {import('firebase/database').Unsubscribe | null} */
+  _connectionUnsubscribe = null;
+
+  /**
+   * `.info/connected`, null until known
+   * @type {boolean | null}
+   */
+  _connected = null;
+
   constructor() {
     super();
     this.path = '';
+    this.backend = 'rtdb';
     this.schema = {};
     this.submitLabel = 'Submit';
     this.resetLabel = '';
@@ -170,11 +226,16 @@ export class FirebaseAutoform extends LitElement {
     this.data = null;
     this.dataKey = '';
     this.disabled = false;
+    this.offline = false;
+    this.queuedMessage = 'Saved offline. Changes will sync when you are back online.';
+    this.auditPath = '';
     this._loading = false;
     this._errors = {};
     this._values = {};
     this._showSuccessMessage = false;
     this._globalError = '';
+    this._queuedCount = 0;
+    this._handleFirebaseReady = this._handleFirebaseReady.bind(this);
   }
 
   /**
@@ -199,6 +260,15 @@ export class FirebaseAutoform extends LitElement {
     this._initializeValues();
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener('firebase-ready', this._handleFirebaseReady);
+    if (this._connectionUnsubscribe) {
+      this._connectionUnsubscribe();
+      this._connectionUnsubscribe = null;
+    }
+  }
+
   /**
    * @param {Map<string, unknown>} changedProperties
    */
@@ -206,6 +276,9 @@ export class FirebaseAutoform extends LitElement {
     if (changedProperties.has('schema') || changedProperties.has('data')) {
       this._initializeValues();
     }
+    if ((changedProperties.has('offline') || changedProperties.has('path')) && this.offline) {
+      this._watchConnection();
+    }
   }
 
   /**
@@ -214,25 +287,44 @@ export class FirebaseAutoform extends LitElement {
    */
   async _initDatabase() {
     const wrapper = this.closest('firebase-wrapper');
-    if (wrapper && wrapper.database) {
+    if (wrapper && (wrapper.database || wrapper.firestore)) {
       this._database = wrapper.database;
+      this._firestore = wrapper.firestore;
+      this._auth = wrapper.auth;
+      this._watchConnection();
       return;
     }
 
-    document.addEventListener('firebase-ready', (e) => {
-      if (e.detail.database) {
-        this._database = e.detail.database;
-      }
-    });
+    document.addEventListener('firebase-ready', this._handleFirebaseReady);
 
     try {
-      const { getDatabase } = await import('firebase/database');
-      this._database = getDatabase();
+      if (this.backend === 'firestore') {
+        const { getFirestore } = await import('firebase/firestore');
+        this._firestore = getFirestore();
+      } else {
+        const { getDatabase } = await import('firebase/database');
+        this._database = getDatabase();
+        this._watchConnection();
+      }
     } catch (error) {
       // Wait for firebase-ready event
     }
   }
 
+  /**
+   * Take the database from a firebase-ready event
+   * @param {CustomEvent} e
+   * @private
+   */
+  _handleFirebaseReady(e) {
+    if (e.detail.database || e.detail.firestore) {
+      this._database = e.detail.database;
+      this._firestore = e.detail.firestore;
+      this._auth = e.detail.auth || null;
+      this._watchConnection();
+    }
+  }
+
   /**
    * Initialize form values from schema defaults and existing data
    * @private
@@ -293,39 +385,17 @@ export class FirebaseAutoform extends LitElement {
    * @private
    */
   _validateField(fieldName, value) {
-    const field = this.schema[fieldName];
     const errors = { ...this._errors };
     delete errors[fieldName];
 
-    if (field.required && (value === '' || value === null || value === undefined)) {
-      errors[fieldName] = 'This field is required';
-    } else if (field.type === 'email' && value && !this._isValidEmail(value)) {
-      errors[fieldName] = 'Please enter a valid email';
-    } else if (field.minLength && value.length < field.minLength) {
-      errors[fieldName] = `Minimum ${field.minLength} characters required`;
-    } else if (field.maxLength && value.length > field.maxLength) {
-      errors[fieldName] = `Maximum ${field.maxLength} characters allowed`;
-    } else if (field.min !== undefined && value < field.min) {
-      errors[fieldName] = `Minimum value is ${field.min}`;
-    } else if (field.max !== undefined && value > field.max) {
-      errors[fieldName] = `Maximum value is ${field.max}`;
-    } else if (field.pattern && value && !new RegExp(field.pattern).test(value)) {
-      errors[fieldName] = 'Invalid format';
+    const message = validateFieldValue(value, this.schema[fieldName]);
+    if (message) {
+      errors[fieldName] = message;
     }
 
     this._errors = errors;
   }
 
-  /**
-   * Validate email format
-   * @param {string} email
-   * @returns {boolean}
-   * @private
-   */
-  _isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  }
-
   /**
    * Validate entire form
    * @returns {boolean}
@@ -365,29 +435,36 @@ export class FirebaseAutoform extends LitElement {
         }
       });
 
-      // Add timestamp
-      submitData._updatedAt = Date.now();
+      let queued = false;
+
+      if (this.backend === 'firestore' && this._firestore && this.path) {
+        const before = await this._readForAudit();
+        await this._saveDocument(submitData, before);
+      } else if (this.backend !== 'firestore' && this._database && this.path && this._shouldQueue()) {
+        await this._queueSubmit(submitData);
+        queued = true;
+      } else if (this.backend !== 'firestore' && this._database && this.path) {
+        const before = await this._readForAudit();
+
+        // Add timestamp
+        submitData._updatedAt = Date.now();
 
-      if (this._database && this.path) {
-        const { ref, push, set, update } = await import('firebase/database');
+        const { ref, push } = await import('firebase/database');
 
-        if (this.dataKey) {
-          // Update existing
-          const dataRef = ref(this._database, `${this.path}/${this.dataKey}`);
-          await update(dataRef, submitData);
-        } else {
-          // Create new
+        // Create new records with a pushed key, update existing ones
+        const key = this.dataKey || push(ref(this._database, this.path)).key;
+        if (!this.dataKey) {
           submitData._createdAt = Date.now();
-          const listRef = ref(this._database, this.path);
-          const newRef = push(listRef);
-          await set(newRef, submitData);
-          this.dataKey = newRef.key;
         }
+        await this._commitSubmit(key, submitData, before);
+        this.dataKey = key;
+      } else {
+        submitData._updatedAt = Date.now();
       }
 
-      this._dispatchSubmit(submitData);
+      this._dispatchSubmit(submitData, queued);
 
-      if (this.showSuccess) {
+      if (this.showSuccess && !queued) {
         this._showSuccessMessage = true;
         setTimeout(() => {
           this._showSuccessMessage = false;
@@ -405,6 +482,279 @@ export class FirebaseAutoform extends LitElement {
     }
   }
 
+  /**
+   * Track the connection in offline mode, from the parent firebase-wrapper's
+   * `connection-changed` event or, without one, from `.info/connected`,
+   * replaying the queued submits of this path whenever it comes back.
+   * Failures, such as an unavailable IndexedDB, are reported with form-error.
+   * @private
+   */
+  async _watchConnection() {
+    if (!this.offline || this.backend === 'firestore') return;
+
+    try {
+      const wrapper = this.closest('firebase-wrapper');
+      if (!this._connectionUnsubscribe && wrapper) {
+        const onConnectionChanged = (e) => this._setConnected(e.detail.online);
+        wrapper.addEventListener('connection-changed', onConnectionChanged);
+        this._connectionUnsubscribe = () => {
+          wrapper.removeEventListener('connection-changed', onConnectionChanged);
+        };
+        if (typeof wrapper.isOnline === 'boolean') {
+          this._setConnected(wrapper.isOnline);
+        }
+      } else if (!this._connectionUnsubscribe && this._database) {
+        const { ref, onValue } = await import('firebase/database');
+        if (this._connectionUnsubscribe) return;
+
+        this._connectionUnsubscribe = onValue(ref(this._database, '.info/connected'), (snapshot) => {
+          this._setConnected(snapshot.val() === true);
+        });
+      }
+      await this._countQueued();
+    } catch (error) {
+      this._globalError = error.message;
+      this._dispatchError(error.message);
+    }
+  }
+
+  /**
+   * Update the connection state, replaying the queue once back online
+   * @param {boolean} online
+   * @private
+   */
+  _setConnected(online) {
+    this._connected = online;
+    if (online) {
+      this._flushQueue();
+    }
+  }
+
+  /**
+   * Check if submits go to the offline queue
+   * @returns {boolean}
+   * @private
+   */
+  _shouldQueue() {
+    return this.offline && this._connected === false;
+  }
+
+  /**
+   * Refresh the number of queued submits for this path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _countQueued() {
+    this._queuedCount = this.path ? (await getQueuedWrites(this.path)).length : 0;
+  }
+
+  /**
+   * Queue a Realtime Database submit for replay
+   * @param {Object} submitData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queueSubmit(submitData) {
+    submitData._updatedAt = Date.now();
+
+    let operation = 'update';
+    if (!this.dataKey) {
+      const { ref, push } = await import('firebase/database');
+      operation = 'create';
+      submitData._createdAt = Date.now();
+      this.dataKey = push(ref(this._database, this.path)).key;
+    }
+
+    await enqueueWrite({
+      path: this.path,
+      operation,
+      key: this.dataKey,
+      data: submitData,
+      backend: 'database',
+      auditPath: this.auditPath,
+      softDelete: false,
+      uid: this._auth?.currentUser?.uid ?? null,
+    });
+    await this._countQueued();
+
+    this.dispatchEvent(
+      new CustomEvent('sync-queued', {
+        detail: { operation, key: this.dataKey, data: submitData, queued: this._queuedCount, path: this.path },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Replay the queued submits of this path and dispatch sync-flushed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushQueue() {
+    if (!this._database || !this.path) return;
+
+    try {
+      const backend = this._backendInstance();
+      const { flushed, failed } = await flushQueuedWrites(this.path, entry => replayQueuedWrite(backend, entry));
+
+      await this._countQueued();
+      if (flushed.length === 0 && failed.length === 0) return;
+
+      this.dispatchEvent(
+        new CustomEvent('sync-flushed', {
+          detail: {
+            flushed: flushed.length,
+            failed: failed.map(({ operation, key, message }) => ({ operation, key, message })),
+            queued: this._queuedCount,
+            path: this.path,
+          },
+          bubbles: true,
+          composed: true,
+        })
+      );
+    } catch (error) {
+      this._globalError = error.message;
+      this._dispatchError(error.message);
+    }
+  }
+
+  /**
+   * Save submitted data as a Firestore document.
+   * Timestamps are set by the server with `serverTimestamp()`.
+   * @param {Object} submitData
+   * @param {Object | null} before - Record before the submit
+   * @private
+   */
+  async _saveDocument(submitData, before) {
+    const { collection, doc, serverTimestamp } = await import('firebase/firestore');
+
+    submitData._updatedAt = serverTimestamp();
+
+    // Create new documents with a generated id, update existing ones
+    const key = this.dataKey || doc(collection(this._firestore, this.path)).id;
+    if (!this.dataKey) {
+      submitData._createdAt = serverTimestamp();
+    }
+    await this._commitSubmit(key, submitData, before);
+    this.dataKey = key;
+  }
+
+  /**
+   * Write a submit with its audit entry
+   * @param {string} key - Record key
+   * @param {Object} submitData - Data to save, with its timestamps
+   * @param {Object | null} before - Record before the submit
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _commitSubmit(key, submitData, before) {
+    const operation = before ? 'update' : 'create';
+    await this._commitAudited(operation, key, before, {
+      path: this.path,
+      key,
+      value: submitData,
+      merge: Boolean(this.dataKey),
+    });
+  }
+
+  /**
+   * Commit a record write together with its audit entry in one atomic write:
+   * a multi-path update in the Realtime Database, a write batch in Firestore.
+   * When the write holds server values, such as `serverTimestamp()`, the
+   * stored record is only known once it commits, so it is read back and
+   * logged right after the write instead. The write stays committed if that
+   * fails: a form-error event reports it.
+   * @param {string} operation
+   * @param {string} key - Record key
+   * @param {Object | null} before - Record before the write
+   * @param {import('@manufosela/firebase-utils').RecordWrite} write
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _commitAudited(operation, key, before, write) {
+    const backend = this._backendInstance();
+    if (!this.auditPath || !(await this._hasServerValues(write.value))) {
+      const after = write.value && (write.merge ? { ...before, ...write.value } : write.value);
+      await commitWrites(backend, [write, ...await this._auditWrites(operation, key, before, after)]);
+      return;
+    }
+
+    await commitWrites(backend, [write]);
+    try {
+      const after = await this._readForAudit(key);
+      await commitWrites(backend, await this._auditWrites(operation, key, before, after));
+    } catch (error) {
+      this._globalError = error.message;
+      this._dispatchError(error.message);
+    }
+  }
+
+  /**
+   * Check if data holds server values of the selected backend
+   * @param {*} data
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _hasServerValues(data) {
+    if (this.backend !== 'firestore') return hasServerValues(data);
+
+    const { FieldValue } = await import('firebase/firestore');
+    return hasServerValues(data, FieldValue);
+  }
+
+  /**
+   * Read a record before writing it, when `auditPath` is set
+   * @param {string} [key] - Record key, the record being edited by default
+   * @returns {Promise<Object | null>} Null for new records
+   * @private
+   */
+  async _readForAudit(key = this.dataKey) {
+    if (!this.auditPath || !key) return null;
+
+    if (this.backend === 'firestore') {
+      const { doc, getDoc } = await import('firebase/firestore');
+      const docSnap = await getDoc(doc(this._firestore, this.path, key));
+      return docSnap.exists() ? docSnap.data() : null;
+    }
+
+    const { ref, get } = await import('firebase/database');
+    const snapshot = await get(ref(this._database, `${this.path}/${key}`));
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+
+  /**
+   * Audit entry logging a write, as a write to commit with it. Empty without
+   * `auditPath`.
+   * @param {string} operation
+   * @param {string} key - Record key
+   * @param {Object | null} before - Record before the write
+   * @param {Object | null} after - Record after the write
+   * @returns {Promise<import('@manufosela/firebase-utils').RecordWrite[]>}
+   * @private
+   */
+  async _auditWrites(operation, key, before, after) {
+    if (!this.auditPath) return [];
+
+    return [await auditEntryWrite(this._backendInstance(), this.auditPath, {
+      operation,
+      path: this.path,
+      key,
+      before,
+      after,
+      uid: this._auth?.currentUser?.uid ?? null,
+    })];
+  }
+
+  /**
+   * Instance of the selected backend
+   * @returns {import('@manufosela/firebase-utils').AuditBackend}
+   * @private
+   */
+  _backendInstance() {
+    return this.backend === 'firestore' ? { firestore: this._firestore } : { database: this._database };
+  }
+
   /**
    * Handle form reset
    * @private
@@ -426,12 +776,13 @@ export class FirebaseAutoform extends LitElement {
   /**
    * Dispatch form-submit event
    * @param {Object} data
+   * @param {boolean} [queued=false] - Submit queued offline, not yet written
    * @private
    */
-  _dispatchSubmit(data) {
+  _dispatchSubmit(data, queued = false) {
     this.dispatchEvent(
       new CustomEvent('form-submit', {
-        detail: { data, key: this.dataKey, path: this.path },
+        detail: { data, key: this.dataKey, path: this.path, queued },
         bubbles: true,
         composed: true,
       })
@@ -628,6 +979,11 @@ export class FirebaseAutoform extends LitElement {
             ${this._globalError}
           </div>`
         : ''}
+      ${this._queuedCount > 0
+        ? html`<div class="form-message form-message--queued" role="status">
+            ${this.queuedMessage} (${this._queuedCount} pending)
+          </div>`
+        : ''}
 
       <form class="autoform" @submit=${this._handleSubmit}>
         ${Array.from(groups.entries()).map(([groupName, fields]) => {
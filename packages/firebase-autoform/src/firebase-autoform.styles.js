@@ -173,6 +173,12 @@ export const styles = css`
     color: var(--firebase-autoform-error-color, #721c24);
   }
 
+  .form-message--queued {
+    background-color: var(--firebase-autoform-queued-bg, #fff3cd);
+    border: 1px solid var(--firebase-autoform-queued-border, #ffeeba);
+    color: var(--firebase-autoform-queued-color, #856404);
+  }
+
   .loading-spinner {
     display: inline-block;
     width: 16px;
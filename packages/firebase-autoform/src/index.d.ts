@@ -30,6 +30,27 @@ export interface FormSubmitDetail {
   data: Record<string, unknown>;
   key: string;
   path: string;
+  /** Queued offline, not yet written */
+  queued: boolean;
+}
+
+export interface SyncQueuedEventDetail {
+  operation: 'create' | 'update' | 'delete';
+  key: string;
+  data: Record<string, unknown> | null;
+  /** Writes queued for the path */
+  queued: number;
+  path: string;
+}
+
+export interface SyncFlushedEventDetail {
+  /** Writes replayed */
+  flushed: number;
+  /** Writes the server rejected, dropped from the queue */
+  failed: Array<{ operation: 'create' | 'update' | 'delete'; key: string; message: string }>;
+  /** Writes still queued */
+  queued: number;
+  path: string;
 }
 
 export interface FormErrorDetail {
@@ -38,6 +59,7 @@ export interface FormErrorDetail {
 
 export declare class FirebaseAutoform extends LitElement {
   path: string;
+  backend: 'rtdb' | 'firestore';
   schema: FormSchema;
   submitLabel: string;
   resetLabel: string;
@@ -47,6 +69,9 @@ export declare class FirebaseAutoform extends LitElement {
   data: Record<string, unknown> | null;
   dataKey: string;
   disabled: boolean;
+  offline: boolean;
+  queuedMessage: string;
+  auditPath: string;
 
   get values(): Record<string, unknown>;
   get isValid(): boolean;
@@ -63,5 +88,7 @@ declare global {
     'form-submit': CustomEvent<FormSubmitDetail>;
     'form-error': CustomEvent<FormErrorDetail>;
     'form-reset': CustomEvent<Record<string, unknown>>;
+    'sync-queued': CustomEvent<SyncQueuedEventDetail>;
+    'sync-flushed': CustomEvent<SyncFlushedEventDetail>;
   }
 }
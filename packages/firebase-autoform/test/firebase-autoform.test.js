@@ -1,11 +1,13 @@
 import { html, fixture, expect, oneEvent } from '@open-wc/testing';
 import '../src/firebase-autoform.js';
+import { flushQueuedWrites } from '@manufosela/firebase-utils';
 
 describe('FirebaseAutoform', () => {
   it('sets default properties', async () => {
     const el = await fixture(html`<firebase-autoform></firebase-autoform>`);
 
     expect(el.path).to.equal('');
+    expect(el.backend).to.equal('rtdb');
     expect(el.submitLabel).to.equal('Submit');
     expect(el.resetLabel).to.equal('');
     expect(el.resetOnSubmit).to.equal(false);
@@ -60,6 +62,21 @@ describe('FirebaseAutoform', () => {
     expect(input.classList.contains('form-input--error')).to.equal(true);
   });
 
+  it('leaves empty optional fields valid', async () => {
+    const schema = {
+      age: { type: 'number', label: 'Age', min: 18 },
+      code: { type: 'text', label: 'Code', minLength: 3 }
+    };
+
+    const el = await fixture(html`<firebase-autoform .schema=${schema}></firebase-autoform>`);
+    el._validateField('age', '');
+    el._validateField('code', '');
+    expect(el._errors).to.deep.equal({});
+
+    el._validateField('age', 12);
+    expect(el._errors).to.deep.equal({ age: 'Minimum value is 18' });
+  });
+
   it('dispatches form-submit with data', async () => {
     const schema = {
       name: { type: 'text', label: 'Name', required: true },
@@ -121,4 +138,88 @@ describe('FirebaseAutoform', () => {
 
     expect(el.values.name).to.equal('');
   });
+
+  it('accepts backend attribute', async () => {
+    const el = await fixture(html`<firebase-autoform backend="firestore"></firebase-autoform>`);
+
+    expect(el.backend).to.equal('firestore');
+  });
+
+  it('queues submits while offline and shows the pending count', async () => {
+    const schema = { name: { type: 'text', label: 'Name', required: true } };
+    const el = await fixture(html`
+      <firebase-autoform .schema=${schema} path="/offline-form" data-key="k1" offline></firebase-autoform>
+    `);
+    el._database = {};
+    el._connected = false;
+
+    const input = el.shadowRoot.querySelector('input[name="name"]');
+    input.value = 'Ada';
+    input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+
+    const queuedEvent = oneEvent(el, 'sync-queued');
+    const submitEvent = oneEvent(el, 'form-submit');
+    el.shadowRoot.querySelector('form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    const queued = await queuedEvent;
+    const submitted = await submitEvent;
+    await el.updateComplete;
+
+    expect(queued.detail).to.include({ operation: 'update', key: 'k1', queued: 1, path: '/offline-form' });
+    expect(submitted.detail.queued).to.equal(true);
+    expect(el.shadowRoot.querySelector('.form-message--error')).to.not.exist;
+    expect(el.shadowRoot.querySelector('.form-message--queued').textContent).to.contain('(1 pending)');
+
+    await flushQueuedWrites('/offline-form', async () => {});
+  });
+
+  it('follows the connection state of the parent wrapper when offline', async () => {
+    const wrapper = await fixture(html`
+      <firebase-wrapper><firebase-autoform path="/offline-form" offline></firebase-autoform></firebase-wrapper>
+    `);
+    const el = wrapper.querySelector('firebase-autoform');
+    await el._watchConnection();
+
+    wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: false, serverTimeOffset: 0 } }));
+    expect(el._shouldQueue()).to.equal(true);
+
+    wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: true, serverTimeOffset: 0 } }));
+    expect(el._shouldQueue()).to.equal(false);
+  });
+
+  it('reports a failing offline queue with form-error', async () => {
+    const wrapper = await fixture(html`
+      <firebase-wrapper><firebase-autoform path="/offline-form" offline></firebase-autoform></firebase-wrapper>
+    `);
+    const el = wrapper.querySelector('firebase-autoform');
+    el._connectionUnsubscribe?.();
+    el._connectionUnsubscribe = null;
+    el._countQueued = () => Promise.reject(new Error('IndexedDB unavailable'));
+
+    setTimeout(() => el._watchConnection());
+    const event = await oneEvent(el, 'form-error');
+
+    expect(event.detail.message).to.equal('IndexedDB unavailable');
+  });
+
+  it('does not read or log anything without an audit path', async () => {
+    const el = await fixture(html`<firebase-autoform path="/contracts" data-key="c1"></firebase-autoform>`);
+    el._database = {};
+
+    expect(await el._readForAudit()).to.equal(null);
+    expect(await el._auditWrites('create', 'c1', null, { status: 'draft' })).to.deep.equal([]);
+
+    el.auditPath = '/audit';
+    el.dataKey = '';
+    expect(await el._readForAudit()).to.equal(null);
+  });
+
+  it('stops listening for firebase-ready once disconnected', async () => {
+    const el = await fixture(html`<firebase-autoform path="/contracts"></firebase-autoform>`);
+    const database = {};
+    el.remove();
+
+    document.dispatchEvent(new CustomEvent('firebase-ready', { detail: { database } }));
+    expect(el._database).to.not.equal(database);
+  });
 });
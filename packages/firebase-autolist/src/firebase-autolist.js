@@ -1,9 +1,49 @@
 import { LitElement, html, nothing } from 'lit';
+import { live } from 'lit/directives/live.js';
+import { repeat } from 'lit/directives/repeat.js';
 import { styles } from './firebase-autolist.styles.js';
+import {
+  computeSummary, downloadText, getFieldValue, serializeItems, setFieldValue, validateFieldValue,
+} from '@manufosela/firebase-utils';
+import {
+  getFilterRange, matchesFilter, matchesSearch, sortItems, spelledValues, splitHighlights, toCssWidth, tokenize,
+} from './firebase-autolist.utils.js';
+
+/**
+ * @typedef {Object} ColumnDefinition
+ * @property {string} field - Item field to display (dot paths allowed)
+ * @property {string} [label] - Header label, defaults to the field name
+ * @property {(value: *, item: object) => *} [formatter] - Cell formatter
+ * @property {string | number} [width] - Column width (number = px)
+ * @property {'left' | 'center' | 'right'} [align] - Cell alignment
+ * @property {boolean} [sortable] - Set to false to disable header sorting
+ * @property {boolean} [editable] - Set to false to disable inline editing
+ */
+
+/**
+ * @typedef {Object} FilterPredicate
+ * @property {string} field - Field to test (dot paths allowed)
+ * @property {'equals' | 'range' | 'contains' | 'in' | 'exists' | 'boolean'} op - Operator
+ * @property {*} [value] - Operand (an array for `in`)
+ * @property {*} [min] - Inclusive lower bound for `range`
+ * @property {*} [max] - Inclusive upper bound for `range`
+ */
+
+/**
+ * @typedef {Object} FilterGroup
+ * @property {'and' | 'or'} op - How the child filters combine
+ * @property {Array<FilterPredicate | FilterGroup>} filters - Child filters
+ */
+
+/**
+ * @typedef {Object} SortKey
+ * @property {string} field - Field to sort by (dot paths allowed)
+ * @property {'asc' | 'desc'} direction - Sort direction
+ */
 
 /**
  * Firebase Auto List Web Component
- * Auto-generates lists from Firebase Realtime Database with real-time updates
+ * Auto-generates lists from Firebase Realtime Database or Firestore with real-time updates
  *
  * @element firebase-autolist
  *
@@ -11,6 +51,19 @@ import { styles } from './firebase-autolist.styles.js';
  * @fires list-error - Fired when an error occurs
  * @fires item-click - Fired when an item is clicked
  * @fires item-select - Fired when an item is selected
+ * @fires page-changed - Fired when a different page has been loaded
+ * @fires item-added - Fired when an item is added (sync-mode="child")
+ * @fires item-changed - Fired when an item changes (sync-mode="child")
+ * @fires item-removed - Fired when an item is removed (sync-mode="child")
+ * @fires item-moved - Fired when an item changes position (sync-mode="child")
+ * @fires sort-changed - Fired when the client-side sort changes
+ * @fires filter-changed - Fired when the active filters change
+ * @fires search-changed - Fired when the search query changes
+ * @fires selection-changed - Fired when the multi-selection changes
+ * @fires bulk-action - Fired after a bulk action is written
+ * @fires item-edited - Fired after an inline edit is written
+ * @fires item-reordered - Fired after a row is moved in reorderable mode
+ * @fires group-toggled - Fired when a group is collapsed or expanded
  *
  * @cssprop --firebase-autolist-font-family - Font family
  * @cssprop --firebase-autolist-gap - Gap between items
@@ -20,6 +73,7 @@ import { styles } from './firebase-autolist.styles.js';
  * @slot item - Custom item template
  * @slot loading - Custom loading indicator
  * @slot empty - Custom empty state
+ * @slot bulk-actions - Controls shown in the header while items are selected
  *
  * @example
  * ```html
@@ -37,12 +91,18 @@ export class FirebaseAutolist extends LitElement {
   static styles = styles;
 
   static properties = {
-    /** Database path */
+    /** Database path (collection name in Firestore mode) */
     path: { type: String },
 
+    /** Storage backend (rtdb, firestore) */
+    backend: { type: String },
+
     /** Enable real-time sync */
     autoSync: { type: Boolean, attribute: 'auto-sync' },
 
+    /** Sync strategy: full onValue snapshots (value) or child event patches (child, RTDB only) */
+    syncMode: { type: String, attribute: 'sync-mode' },
+
     /** Order by field */
     orderBy: { type: String, attribute: 'order-by' },
 
@@ -52,12 +112,45 @@ export class FirebaseAutolist extends LitElement {
     /** Limit results */
     limitTo: { type: Number, attribute: 'limit-to' },
 
-    /** Filter field */
+    /** Page size for cursor-based pagination (0 = no pagination), also the infinite window size */
+    pageSize: { type: Number, attribute: 'page-size' },
+
+    /** Load more items when scrolling to the end of the list */
+    infinite: { type: Boolean },
+
+    /** RTDB path holding the total item count, shown in infinite mode */
+    countPath: { type: String, attribute: 'count-path' },
+
+    /**
+     * Filter field. Matches a case-insensitive substring on the client, or the
+     * exact value when the server applies it (Firestore, or RTDB with the same order-by)
+     */
     filterField: { type: String, attribute: 'filter-field' },
 
     /** Filter value */
     filterValue: { type: String, attribute: 'filter-value' },
 
+    /** Filter expressions, combined with AND; `{ op: 'or', filters }` groups match any of theirs */
+    filters: { type: Array },
+
+    /** Show a search box in the header */
+    searchable: { type: Boolean },
+
+    /** Fields the search box matches against (comma-separated attribute) */
+    searchFields: {
+      type: Array,
+      attribute: 'search-fields',
+      converter: {
+        fromAttribute: value => (value ? value.split(',').map(field => field.trim()).filter(Boolean) : []),
+      },
+    },
+
+    /** Current search query */
+    searchQuery: { type: String, attribute: 'search-query' },
+
+    /** Delay in ms before a keystroke updates the search */
+    searchDebounce: { type: Number, attribute: 'search-debounce' },
+
     /** Show loading */
     showLoading: { type: Boolean, attribute: 'show-loading' },
 
@@ -76,41 +169,249 @@ export class FirebaseAutolist extends LitElement {
     /** Layout type (list, grid, table) */
     layout: { type: String, reflect: true },
 
+    /** Column definitions for the table layout and the default renderer */
+    columns: { type: Array },
+
+    /** Client-side sort keys, applied in order */
+    sort: { type: Array },
+
+    /** Send a single-key sort to the server query instead of order-by */
+    serverSort: { type: Boolean, attribute: 'server-sort' },
+
+    /** Only render the rows inside the scroll viewport */
+    virtual: { type: Boolean, reflect: true },
+
+    /** Fixed row height in px for virtual mode (0 = measure rows) */
+    rowHeight: { type: Number, attribute: 'row-height' },
+
+    /** Selection mode: one item, or several with checkboxes */
+    selection: { type: String, reflect: true },
+
+    /** Edit column values in place on double-click */
+    editable: { type: Boolean },
+
+    /** firebase-autoform FieldSchema entries typing and validating inline edits */
+    editSchema: { type: Object, attribute: 'edit-schema' },
+
+    /** Let users reorder rows by drag and drop or Alt+Arrow keys */
+    reorderable: { type: Boolean, reflect: true },
+
+    /** Numeric field holding the manual order */
+    orderField: { type: String, attribute: 'order-field' },
+
+    /** Field to group rows by */
+    groupBy: { type: String, attribute: 'group-by' },
+
+    /** Maps an item's group-by value to its group label */
+    groupFormatter: { attribute: false },
+
+    /** Aggregates per field: an operation or a list of them */
+    aggregates: { type: Object },
+
+    /** Render the aggregates in a footer row */
+    showSummary: { type: Boolean, attribute: 'show-summary' },
+
+    /** Show an export button in the header */
+    showExport: { type: Boolean, attribute: 'show-export' },
+
+    /** Format used by the export button: csv, json or ndjson */
+    exportFormat: { type: String, attribute: 'export-format' },
+
+    /** Show soft-deleted rows (with `_deletedAt`), which are hidden by default */
+    showDeleted: { type: Boolean, attribute: 'show-deleted' },
+
     // Internal state
     _items: { type: Array, state: true },
     _loading: { type: Boolean, state: true },
     _error: { type: String, state: true },
     _selectedKey: { type: String, state: true },
+    _selection: { state: true },
+    _editing: { state: true },
+    _editValue: { state: true },
+    _editError: { type: String, state: true },
+    _dropTarget: { state: true },
+    _collapsedGroups: { state: true },
+    _announcement: { type: String, state: true },
+    _loadingMore: { type: Boolean, state: true },
+    _total: { type: Number, state: true },
+    _scrollTop: { type: Number, state: true },
+    _viewportHeight: { type: Number, state: true },
+    _focusIndex: { type: Number, state: true },
+    _connected: { state: true },
   };
 
   /** @type {import('firebase/database').Database | null} */
   _database = null;
 
+  /** @type {import('firebase/firestore').Firestore | null} */
+  _firestore = null;
+
   /** @type {import('firebase/database').Unsubscribe | null} */
   _unsubscribe = null;
 
+  /** @type {(() => void) | null} */
+  _connectionUnsubscribe = null;
+
   /** @type {((item: object, index: number) => import('lit').TemplateResult) | null} */
   _customRenderer = null;
 
+  /**
+   * How the current page was requested, `null` for the first page
+   * @type {{ direction: string, forward: boolean, anchor: { key: string, value: * } | null } | null}
+   */
+  _pageRequest = null;
+
+  /** @type {{ key: string, value: * } | null} */
+  _pageStart = null;
+
+  /** @type {{ key: string, value: * } | null} */
+  _pageEnd = null;
+
+  _page = 0;
+
+  _hasMore = false;
+
+  _pageChanging = false;
+
+  /**
+   * Windows loaded in infinite mode, each with its own listener
+   * @type {Array<{ anchor: object | null, entries: object[], full: boolean, start: object | null, end: object | null, unsubscribe: (() => void) | null }>}
+   */
+  _windows = [];
+
+  /** @type {import('firebase/database').Unsubscribe | null} */
+  _totalUnsubscribe = null;
+
+  /** @type {IntersectionObserver | null} */
+  _observer = null;
+
+  /** @type {Element | null} */
+  _sentinel = null;
+
+  /**
+   * Measured row heights in virtual mode, by item key
+   * @type {Map<string, number>}
+   */
+  _rowHeights = new Map();
+
+  /** Gap between rows in virtual mode, read from the rendered CSS */
+  _rowGap = 0;
+
+  /** Index of the row that takes focus when tabbing into a virtual list */
+  _rovingIndex = 0;
+
+  /**
+   * All child keys in query order, including filtered-out ones, in child sync mode
+   * @type {string[]}
+   */
+  _childKeys = [];
+
+  _childrenReady = false;
+
+  /**
+   * Items in display order, derived from _items in willUpdate
+   * @type {object[]}
+   */
+  _viewItems = [];
+
+  /** Set when _items was patched in place and _viewItems must be rebuilt */
+  _viewDirty = false;
+
+  /** Order used by the last query, to refetch when a server sort changes it */
+  _fetchedOrder = '';
+
+  /** Folded tokens of the search query */
+  _searchTokens = [];
+
+  /** Debounce timer for the search input */
+  _searchTimer = null;
+
+  /** Key where the last non-range selection happened, for shift-click ranges */
+  _anchorKey = '';
+
+  /** Set while an inline edit is being written, so blur does not write it twice */
+  _editSaving = false;
+
+  /** Key of the row being dragged */
+  _dragKey = '';
+
+  /**
+   * Aggregates of the loaded items, refreshed with the view for rendering
+   * @type {{ count: number, fields: Record<string, Record<string, *>> }}
+   */
+  _summary = { count: 0, fields: {} };
+
+  /**
+   * Groups of the view in group-by mode, in order of first appearance
+   * @type {Array<{ key: string, label: *, items: object[], collapsed: boolean }>}
+   */
+  _groups = [];
+
   constructor() {
     super();
     this.path = '';
+    this.backend = 'rtdb';
     this.autoSync = false;
+    this.syncMode = 'value';
     this.orderBy = '';
     this.orderDirection = 'asc';
     this.limitTo = 0;
+    this.pageSize = 0;
+    this.infinite = false;
+    this.countPath = '';
     this.filterField = '';
     this.filterValue = '';
+    this.filters = [];
+    this.searchable = false;
+    this.searchFields = [];
+    this.searchQuery = '';
+    this.searchDebounce = 250;
     this.showLoading = true;
     this.emptyMessage = 'No items found';
     this.showHeader = false;
     this.showRefresh = false;
     this.keyField = '';
     this.layout = 'list';
+    this.columns = [];
+    this.sort = [];
+    this.serverSort = false;
+    this.virtual = false;
+    this.rowHeight = 0;
+    this.selection = 'single';
+    this.editable = false;
+    this.editSchema = {};
+    this.reorderable = false;
+    this.orderField = 'order';
+    this.groupBy = '';
+    /** @type {((value: *, item: object) => *) | null} */
+    this.groupFormatter = null;
+    this.aggregates = {};
+    this.showSummary = false;
+    this.showExport = false;
+    this.showDeleted = false;
+    this.exportFormat = 'csv';
     this._items = [];
     this._loading = false;
     this._error = '';
     this._selectedKey = '';
+    /** @type {Set<string>} */
+    this._selection = new Set();
+    /** @type {{ key: string, field: string } | null} */
+    this._editing = null;
+    this._editValue = '';
+    this._editError = '';
+    /** @type {{ key: string, after: boolean } | null} */
+    this._dropTarget = null;
+    this._announcement = '';
+    /** @type {Set<string>} */
+    this._collapsedGroups = new Set();
+    this._loadingMore = false;
+    this._total = null;
+    this._scrollTop = 0;
+    this._viewportHeight = 0;
+    this._focusIndex = 0;
+    this._connected = null;
+    this._handleFirebaseReady = this._handleFirebaseReady.bind(this);
   }
 
   get items() {
@@ -125,6 +426,49 @@ export class FirebaseAutolist extends LitElement {
     return this._items.length;
   }
 
+  /** Items in display order, after client-side sorting */
+  get visibleItems() {
+    return this._viewItems;
+  }
+
+  /** Keys of the selected items in multiple selection mode */
+  get selectedKeys() {
+    return [...this._selection];
+  }
+
+  set selectedKeys(keys) {
+    this._setSelection(new Set(keys));
+  }
+
+  /** Aggregates over the loaded items, as configured in `aggregates` */
+  get summary() {
+    return computeSummary(this._items, this.aggregates);
+  }
+
+  /** Groups in group-by mode, with their item count and collapsed state */
+  get groups() {
+    return this._groups.map(({ key, label, items, collapsed }) => ({
+      key, label, count: items.length, collapsed,
+    }));
+  }
+
+  /** Loaded items that are selected */
+  get selectedItems() {
+    return this._items.filter(item => this._selection.has(item._key));
+  }
+
+  get page() {
+    return this._page;
+  }
+
+  get hasMore() {
+    return this._hasMore;
+  }
+
+  get total() {
+    return this._total;
+  }
+
   connectedCallback() {
     super.connectedCallback();
     this._findDatabase();
@@ -132,16 +476,118 @@ export class FirebaseAutolist extends LitElement {
 
   disconnectedCallback() {
     super.disconnectedCallback();
+    document.removeEventListener('firebase-ready', this._handleFirebaseReady);
     this._cleanup();
+    clearTimeout(this._searchTimer);
+
+    if (this._connectionUnsubscribe) {
+      this._connectionUnsubscribe();
+      this._connectionUnsubscribe = null;
+    }
+
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+      this._sentinel = null;
+    }
+  }
+
+  /**
+   * Field the server query orders by: a single server-side sort key or order-by
+   * @private
+   */
+  get _queryOrderBy() {
+    return this._getServerSortKey()?.field ?? this.orderBy;
+  }
+
+  /**
+   * Direction of the server query order
+   * @private
+   */
+  get _queryDirection() {
+    return this._getServerSortKey()?.direction ?? this.orderDirection;
+  }
+
+  /**
+   * The sort key pushed to the server, if server-sort applies
+   * @returns {SortKey | null}
+   * @private
+   */
+  _getServerSortKey() {
+    // Only a single plain child can be indexed by RTDB orderByChild
+    if (this.serverSort && this.sort.length === 1 && !this.sort[0].field.includes('.')) {
+      return this.sort[0];
+    }
+    return null;
+  }
+
+  willUpdate(changedProperties) {
+    if (changedProperties.has('searchQuery')) {
+      this._searchTokens = tokenize(this.searchQuery);
+    }
+
+    // columns and keyField pick the searched fields when searchFields is empty
+    const viewProps = [
+      '_items', 'sort', 'searchQuery', 'searchFields', 'columns', 'keyField', 'reorderable', 'orderField',
+      'groupBy', 'groupFormatter', '_collapsedGroups', 'aggregates',
+    ];
+    if (this._viewDirty || viewProps.some(prop => changedProperties.has(prop))) {
+      this._summary = this.summary;
+      const items = sortItems(this._searchItems(this._items), this._getSortKeys());
+      this._groups = this.groupBy ? this._groupItems(items) : [];
+      // Rows of collapsed groups are not rendered, so they leave the view
+      this._viewItems = this.groupBy
+        ? this._groups.flatMap(group => (group.collapsed ? [] : group.items))
+        : items;
+      this._viewDirty = false;
+    }
   }
 
   updated(changedProperties) {
-    const watchedProps = ['path', 'autoSync', 'orderBy', 'limitTo', 'filterField', 'filterValue'];
-    if (watchedProps.some(prop => changedProperties.has(prop))) {
-      if (this._database && this.path) {
+    const watchedProps = [
+      'path', 'backend', 'autoSync', 'syncMode', 'orderBy', 'limitTo', 'pageSize', 'infinite', 'countPath',
+      'filterField', 'filterValue', 'filters', 'showDeleted',
+    ];
+    const orderChanged = this._fetchedOrder !== `${this._queryOrderBy}|${this._queryDirection}`;
+    const sortChanged = changedProperties.has('sort') || changedProperties.has('serverSort');
+
+    if ((changedProperties.has('path') || changedProperties.has('backend')) && this._selection.size > 0) {
+      this._setSelection(new Set());
+    }
+
+    if (watchedProps.some(prop => changedProperties.has(prop)) || (sortChanged && orderChanged)) {
+      this._resetPaging();
+      if (this._hasBackend() && this.path) {
         this._fetchData();
       }
     }
+
+    if (changedProperties.has('searchQuery') && changedProperties.get('searchQuery') !== undefined) {
+      this.dispatchEvent(new CustomEvent('search-changed', {
+        detail: { query: this.searchQuery, count: this._viewItems.length, path: this.path },
+        bubbles: true,
+        composed: true,
+      }));
+    }
+
+    const filterProps = ['filterField', 'filterValue', 'filters'];
+    if (filterProps.some(prop => changedProperties.has(prop) && changedProperties.get(prop) !== undefined)) {
+      this._dispatchFilterChanged();
+    }
+
+    if (this.infinite || this._sentinel) {
+      this._observeSentinel();
+    }
+
+    if (this._isVirtual()) {
+      this._measureVirtualRows();
+    }
+
+    if (changedProperties.has('_editing') && this._editing) {
+      const editor = this.shadowRoot.querySelector('.cell-editor');
+      editor?.focus();
+      editor?.select?.();
+    }
   }
 
   /**
@@ -150,8 +596,9 @@ export class FirebaseAutolist extends LitElement {
    */
   _findDatabase() {
     const wrapper = this.closest('firebase-wrapper');
-    if (wrapper && wrapper.database) {
+    if (wrapper && (wrapper.database || wrapper.firestore)) {
       this._database = wrapper.database;
+      this._firestore = wrapper.firestore;
       if (this.path) {
         this._fetchData();
       }
@@ -159,14 +606,22 @@ export class FirebaseAutolist extends LitElement {
       this._initFromGlobal();
     }
 
-    document.addEventListener('firebase-ready', (e) => {
-      if (e.detail.database) {
-        this._database = e.detail.database;
-        if (this.path) {
-          this._fetchData();
-        }
+    document.addEventListener('firebase-ready', this._handleFirebaseReady);
+  }
+
+  /**
+   * Take the database from a firebase-ready event
+   * @param {CustomEvent} e
+   * @private
+   */
+  _handleFirebaseReady(e) {
+    if (e.detail.database || e.detail.firestore) {
+      this._database = e.detail.database;
+      this._firestore = e.detail.firestore;
+      if (this.path) {
+        this._fetchData();
       }
-    });
+    }
   }
 
   /**
@@ -175,8 +630,13 @@ export class FirebaseAutolist extends LitElement {
    */
   async _initFromGlobal() {
     try {
-      const { getDatabase } = await import('firebase/database');
-      this._database = getDatabase();
+      if (this._isFirestore()) {
+        const { getFirestore } = await import('firebase/firestore');
+        this._firestore = getFirestore();
+      } else {
+        const { getDatabase } = await import('firebase/database');
+        this._database = getDatabase();
+      }
       if (this.path) {
         this._fetchData();
       }
@@ -185,6 +645,59 @@ export class FirebaseAutolist extends LitElement {
     }
   }
 
+  /**
+   * Track the connection state, from the parent firebase-wrapper's
+   * `connection-changed` event or, without one, from `.info/connected`
+   * @private
+   */
+  async _watchConnection() {
+    if (this._connectionUnsubscribe) return;
+
+    const wrapper = this.closest('firebase-wrapper');
+    if (wrapper) {
+      const onConnectionChanged = (e) => {
+        this._connected = e.detail.online;
+      };
+      wrapper.addEventListener('connection-changed', onConnectionChanged);
+      this._connectionUnsubscribe = () => {
+        wrapper.removeEventListener('connection-changed', onConnectionChanged);
+      };
+      if (typeof wrapper.isOnline === 'boolean') {
+        this._connected = wrapper.isOnline;
+      }
+      return;
+    }
+
+    if (this._isFirestore() || !this._database) return;
+
+    try {
+      const { ref, onValue } = await import('firebase/database');
+      if (this._connectionUnsubscribe) return;
+
+      this._connectionUnsubscribe = onValue(ref(this._database, '.info/connected'), (snapshot) => {
+        this._connected = snapshot.val() === true;
+      });
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Check if the Firestore backend is selected
+   * @private
+   */
+  _isFirestore() {
+    return this.backend === 'firestore';
+  }
+
+  /**
+   * Check if the instance for the selected backend is available
+   * @private
+   */
+  _hasBackend() {
+    return this._isFirestore() ? Boolean(this._firestore) : Boolean(this._database);
+  }
+
   /**
    * Fetch data from database
    * @private
@@ -192,30 +705,64 @@ export class FirebaseAutolist extends LitElement {
   async _fetchData() {
     this._cleanup();
 
-    if (!this._database || !this.path) {
+    if (!this._hasBackend() || !this.path) {
       return;
     }
 
+    this._watchConnection();
+
     this._loading = true;
     this._error = '';
+    this._fetchedOrder = `${this._queryOrderBy}|${this._queryDirection}`;
+
+    if (this.infinite) {
+      this._fetchTotal();
+      await this.loadMore();
+      return;
+    }
+
+    if (this.pageSize > 0) {
+      const { forward, anchor } = this._getPageRequest();
+      try {
+        // One extra item tells whether another page follows
+        this._unsubscribe = await this._listenWindow(
+          { forward, anchor, size: this.pageSize + 1 },
+          (entries) => this._applyPage(entries)
+        );
+      } catch (error) {
+        this._handleError(error);
+      }
+      return;
+    }
+
+    if (this._isFirestore()) {
+      await this._fetchFirestoreData();
+      return;
+    }
 
     try {
-      const { ref, query, orderByChild, limitToFirst, limitToLast, equalTo, onValue, get } =
-        await import('firebase/database');
+      const {
+        ref, query, orderByChild, limitToFirst, limitToLast, equalTo, startAt, endAt, onValue, get,
+        onChildAdded, onChildChanged, onChildRemoved, onChildMoved,
+      } = await import('firebase/database');
 
       let dbRef = ref(this._database, this.path);
       const constraints = [];
 
-      if (this.orderBy) {
-        constraints.push(orderByChild(this.orderBy));
+      if (this._queryOrderBy) {
+        constraints.push(orderByChild(this._queryOrderBy));
       }
 
-      if (this.filterField && this.filterValue && this.orderBy === this.filterField) {
-        constraints.push(equalTo(this.filterValue));
+      const range = this._getServerRange();
+      if (range && range.start !== undefined && range.start === range.end) {
+        constraints.push(equalTo(range.start));
+      } else if (range) {
+        if (range.start !== undefined) constraints.push(startAt(range.start));
+        if (range.end !== undefined) constraints.push(endAt(range.end));
       }
 
       if (this.limitTo > 0) {
-        if (this.orderDirection === 'desc') {
+        if (this._queryDirection === 'desc') {
           constraints.push(limitToLast(this.limitTo));
         } else {
           constraints.push(limitToFirst(this.limitTo));
@@ -226,7 +773,11 @@ export class FirebaseAutolist extends LitElement {
         dbRef = query(dbRef, ...constraints);
       }
 
-      if (this.autoSync) {
+      if (this.autoSync && this.syncMode === 'child') {
+        this._unsubscribe = this._listenChildEvents(dbRef, {
+          onValue, onChildAdded, onChildChanged, onChildRemoved, onChildMoved,
+        });
+      } else if (this.autoSync) {
         this._unsubscribe = onValue(
           dbRef,
           (snapshot) => this._handleSnapshot(snapshot),
@@ -242,114 +793,1068 @@ export class FirebaseAutolist extends LitElement {
   }
 
   /**
-   * Handle snapshot
-   * @param {import('firebase/database').DataSnapshot} snapshot
+   * Listen to child events and patch _items in place instead of rebuilding it
+   * @param {import('firebase/database').Query} dbRef
+   * @param {object} listeners - Listener functions from firebase/database
+   * @returns {() => void} Unsubscribe function for all listeners
    * @private
    */
-  _handleSnapshot(snapshot) {
-    this._loading = false;
-
-    if (snapshot.exists()) {
-      const data = snapshot.val();
-
-      if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
-        let items = Object.entries(data).map(([key, value]) => ({
-          _key: key,
-          ...(typeof value === 'object' ? value : { value }),
-        }));
-
-        // Client-side filtering if filter doesn't match orderBy
-        if (this.filterField && this.filterValue && this.filterField !== this.orderBy) {
-          items = items.filter(item =>
-            String(item[this.filterField]).toLowerCase().includes(this.filterValue.toLowerCase())
-          );
-        }
-
-        // Client-side sorting for desc
-        if (this.orderDirection === 'desc' && this.orderBy) {
-          items.reverse();
-        }
-
-        this._items = items;
-      } else if (Array.isArray(data)) {
-        this._items = data.map((item, index) => ({
-          _key: String(index),
-          ...(typeof item === 'object' ? item : { value: item }),
-        }));
-      } else {
-        this._items = [];
-      }
-    } else {
-      this._items = [];
-    }
-
-    this._dispatchLoaded();
+  _listenChildEvents(dbRef, { onValue, onChildAdded, onChildChanged, onChildRemoved, onChildMoved }) {
+    this._items = [];
+    this._childKeys = [];
+    this._childrenReady = false;
+
+    const onError = (error) => this._handleError(error);
+    const unsubscribers = [
+      onChildAdded(dbRef, (snapshot, prevKey) => this._handleChildAdded(snapshot, prevKey), onError),
+      onChildChanged(dbRef, (snapshot) => this._handleChildChanged(snapshot), onError),
+      onChildRemoved(dbRef, (snapshot) => this._handleChildRemoved(snapshot), onError),
+      onChildMoved(dbRef, (snapshot, prevKey) => this._handleChildMoved(snapshot, prevKey), onError),
+      // The initial child_added events all fire before the first value event
+      onValue(dbRef, () => {
+        this._childrenReady = true;
+        this._loading = false;
+        this._viewDirty = true;
+        this.requestUpdate();
+        this._dispatchLoaded();
+      }, onError, { onlyOnce: true }),
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   /**
-   * Handle error
-   * @param {Error} error
+   * Convert a child snapshot to a list item
    * @private
    */
-  _handleError(error) {
-    this._loading = false;
-    this._error = error.message;
-
-    this.dispatchEvent(new CustomEvent('list-error', {
-      detail: { message: error.message, path: this.path },
-      bubbles: true,
-      composed: true,
-    }));
+  _childToItem(snapshot) {
+    const value = snapshot.val();
+    return { _key: snapshot.key, ...(typeof value === 'object' ? value : { value }) };
   }
 
   /**
-   * Cleanup listeners
+   * Index in _items where a child following prevKey in query order belongs.
+   * A prevKey that is not known yet puts the child last in query order.
+   * @param {string | null} prevKey
    * @private
    */
-  _cleanup() {
-    if (this._unsubscribe) {
-      this._unsubscribe();
-      this._unsubscribe = null;
+  _childInsertIndex(prevKey) {
+    const reversed = this._queryDirection === 'desc' && this._queryOrderBy;
+
+    // Walk back over the full child order until a rendered item is found
+    let position = prevKey === null ? -1 : this._childKeys.indexOf(prevKey);
+    if (prevKey !== null && position === -1) {
+      return reversed ? 0 : this._items.length;
     }
+    while (position >= 0) {
+      const index = this._items.findIndex(item => item._key === this._childKeys[position]);
+      if (index !== -1) {
+        return reversed ? index : index + 1;
+      }
+      position--;
+    }
+
+    return reversed ? this._items.length : 0;
   }
 
   /**
-   * Dispatch list-loaded event
+   * Insert a key into the full child order after prevKey, or last when
+   * prevKey is not known yet
    * @private
    */
-  _dispatchLoaded() {
-    this.dispatchEvent(new CustomEvent('list-loaded', {
-      detail: { items: this._items, count: this._items.length, path: this.path },
-      bubbles: true,
-      composed: true,
-    }));
+  _insertChildKey(key, prevKey) {
+    const index = prevKey === null ? -1 : this._childKeys.indexOf(prevKey);
+    const position = prevKey !== null && index === -1 ? this._childKeys.length : index + 1;
+    this._childKeys.splice(position, 0, key);
   }
 
   /**
-   * Set custom item renderer
-   * @param {(item: object, index: number) => import('lit').TemplateResult} renderer
+   * Check if an item passes the client-side filter
+   * @private
    */
-  setItemRenderer(renderer) {
-    this._customRenderer = renderer;
-    this.requestUpdate();
+  _matchesFilter(item) {
+    return this._filterItems([item]).length > 0;
   }
 
-  /**
+  /** @private */
+  _handleChildAdded(snapshot, prevKey) {
+    const item = this._childToItem(snapshot);
+    this._insertChildKey(item._key, prevKey);
+
+    if (!this._matchesFilter(item)) return;
+
+    const index = this._childInsertIndex(prevKey);
+    this._items.splice(index, 0, item);
+    this._dispatchChildEvent('item-added', { key: item._key, item, index });
+  }
+
+  /** @private */
+  _handleChildChanged(snapshot) {
+    const item = this._childToItem(snapshot);
+    const index = this._items.findIndex(current => current._key === item._key);
+    const matches = this._matchesFilter(item);
+
+    if (index === -1) {
+      // The change made a filtered-out item match
+      if (matches) {
+        const position = this._childKeys.indexOf(item._key);
+        const newIndex = this._childInsertIndex(position > 0 ? this._childKeys[position - 1] : null);
+        this._items.splice(newIndex, 0, item);
+        this._dispatchChildEvent('item-added', { key: item._key, item, index: newIndex });
+      }
+      return;
+    }
+
+    if (!matches) {
+      this._items.splice(index, 1);
+      this._dispatchChildEvent('item-removed', { key: item._key, item, index });
+      return;
+    }
+
+    const previous = this._items[index];
+    this._items[index] = item;
+    this._dispatchChildEvent('item-changed', { key: item._key, item, previous, index });
+  }
+
+  /** @private */
+  _handleChildRemoved(snapshot) {
+    this._childKeys = this._childKeys.filter(key => key !== snapshot.key);
+
+    const index = this._items.findIndex(item => item._key === snapshot.key);
+    if (index === -1) return;
+
+    const [item] = this._items.splice(index, 1);
+    this._dispatchChildEvent('item-removed', { key: item._key, item, index });
+  }
+
+  /** @private */
+  _handleChildMoved(snapshot, prevKey) {
+    this._childKeys = this._childKeys.filter(key => key !== snapshot.key);
+    this._insertChildKey(snapshot.key, prevKey);
+
+    const from = this._items.findIndex(item => item._key === snapshot.key);
+    if (from === -1) return;
+
+    const [item] = this._items.splice(from, 1);
+    const to = this._childInsertIndex(prevKey);
+    this._items.splice(to, 0, item);
+    this._dispatchChildEvent('item-moved', { key: item._key, item, from, to });
+  }
+
+  /**
+   * Re-render and dispatch a granular child event once the initial load is done
+   * @param {string} name
+   * @param {object} detail
+   * @private
+   */
+  _dispatchChildEvent(name, detail) {
+    if (!this._childrenReady) return;
+
+    this._viewDirty = true;
+    this.requestUpdate();
+    this.dispatchEvent(new CustomEvent(name, {
+      detail: { ...detail, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Fetch data from a Firestore collection
+   * @private
+   */
+  async _fetchFirestoreData() {
+    try {
+      const { collection, query, orderBy, limit, where, onSnapshot, getDocs } =
+        await import('firebase/firestore');
+
+      let colRef = collection(this._firestore, this.path);
+      const constraints = this._getFirestoreFilters(where);
+
+      if (this._queryOrderBy) {
+        constraints.push(orderBy(this._queryOrderBy, this._queryDirection === 'desc' ? 'desc' : 'asc'));
+      }
+
+      if (this.limitTo > 0) {
+        constraints.push(limit(this.limitTo));
+      }
+
+      if (constraints.length > 0) {
+        colRef = query(colRef, ...constraints);
+      }
+
+      if (this.autoSync) {
+        this._unsubscribe = onSnapshot(
+          colRef,
+          (snapshot) => this._handleQuerySnapshot(snapshot),
+          (error) => this._handleError(error)
+        );
+      } else {
+        const snapshot = await getDocs(colRef);
+        this._handleQuerySnapshot(snapshot);
+      }
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Listen to a window of items next to a cursor, in ascending query order.
+   * Calls back with `{ key, value, data }` entries on every snapshot when
+   * autoSync is on, or once otherwise.
+   * @param {{ forward: boolean, anchor: { key: string, value: * } | null, size: number }} window
+   * @param {(entries: Array<{ key: string, value: *, data: * }>) => void} onEntries
+   * @returns {Promise<(() => void) | null>} Unsubscribe function when listening
+   * @private
+   */
+  async _listenWindow(window, onEntries) {
+    return this._isFirestore()
+      ? this._listenFirestoreWindow(window, onEntries)
+      : this._listenRtdbWindow(window, onEntries);
+  }
+
+  /**
+   * Realtime Database implementation of _listenWindow
+   * @private
+   */
+  async _listenRtdbWindow({ forward, anchor, size }, onEntries) {
+    const {
+      ref, query, orderByChild, orderByKey, limitToFirst, limitToLast,
+      startAt, endAt, startAfter, endBefore, onValue, get,
+    } = await import('firebase/database');
+
+    const constraints = [this._queryOrderBy ? orderByChild(this._queryOrderBy) : orderByKey()];
+    const range = this._getServerRange();
+    const cursor = anchor && (this._queryOrderBy ? [anchor.value, anchor.key] : [anchor.key]);
+
+    // equalTo cannot be combined with cursors, so filters become a range
+    if (anchor && forward) {
+      constraints.push(startAfter(...cursor));
+    } else if (range?.start !== undefined) {
+      constraints.push(startAt(range.start));
+    }
+
+    if (anchor && !forward) {
+      constraints.push(endBefore(...cursor));
+    } else if (range?.end !== undefined) {
+      constraints.push(endAt(range.end));
+    }
+
+    constraints.push(forward ? limitToFirst(size) : limitToLast(size));
+
+    const dbQuery = query(ref(this._database, this.path), ...constraints);
+    const toEntries = (snapshot) => {
+      // forEach keeps the query order, which val() does not guarantee
+      const entries = [];
+      snapshot.forEach((child) => {
+        entries.push({
+          key: child.key,
+          value: this._queryOrderBy ? child.child(this._queryOrderBy).val() : null,
+          data: child.val(),
+        });
+      });
+      return entries;
+    };
+
+    if (this.autoSync) {
+      return onValue(
+        dbQuery,
+        (snapshot) => onEntries(toEntries(snapshot)),
+        (error) => this._handleError(error)
+      );
+    }
+
+    onEntries(toEntries(await get(dbQuery)));
+    return null;
+  }
+
+  /**
+   * Firestore implementation of _listenWindow
+   * @private
+   */
+  async _listenFirestoreWindow({ forward, anchor, size }, onEntries) {
+    const {
+      collection, query, orderBy, documentId, limit, limitToLast, where,
+      startAfter, endBefore, onSnapshot, getDocs,
+    } = await import('firebase/firestore');
+
+    const constraints = this._getFirestoreFilters(where);
+
+    // The document id breaks ties so cursors are unique, like RTDB keys
+    if (this._queryOrderBy) {
+      constraints.push(orderBy(this._queryOrderBy));
+    }
+    constraints.push(orderBy(documentId()));
+
+    if (anchor) {
+      const cursor = this._queryOrderBy ? [anchor.value, anchor.key] : [anchor.key];
+      constraints.push(forward ? startAfter(...cursor) : endBefore(...cursor));
+    }
+
+    constraints.push(forward ? limit(size) : limitToLast(size));
+
+    const colQuery = query(collection(this._firestore, this.path), ...constraints);
+    const toEntries = (snapshot) => snapshot.docs.map((docSnap) => ({
+      key: docSnap.id,
+      value: this._queryOrderBy ? docSnap.get(this._queryOrderBy) : null,
+      data: docSnap.data(),
+    }));
+
+    if (this.autoSync) {
+      return onSnapshot(
+        colQuery,
+        (snapshot) => onEntries(toEntries(snapshot)),
+        (error) => this._handleError(error)
+      );
+    }
+
+    onEntries(toEntries(await getDocs(colQuery)));
+    return null;
+  }
+
+  /**
+   * Handle Firestore query snapshot
+   * @param {import('firebase/firestore').QuerySnapshot} snapshot
+   * @private
+   */
+  _handleQuerySnapshot(snapshot) {
+    this._loading = false;
+
+    this._items = this._filterItems(snapshot.docs.map((docSnap) => ({
+      _key: docSnap.id,
+      ...docSnap.data(),
+    })));
+
+    this._dispatchLoaded();
+  }
+
+  /**
+   * Handle snapshot
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @private
+   */
+  _handleSnapshot(snapshot) {
+    this._loading = false;
+
+    if (snapshot.exists()) {
+      const data = snapshot.val();
+
+      if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
+        let items = Object.entries(data).map(([key, value]) => ({
+          _key: key,
+          ...(typeof value === 'object' ? value : { value }),
+        }));
+
+        items = this._filterItems(items);
+
+        // Client-side sorting for desc
+        if (this._queryDirection === 'desc' && this._queryOrderBy) {
+          items.reverse();
+        }
+
+        this._items = items;
+      } else if (Array.isArray(data)) {
+        this._items = this._filterItems(data.map((item, index) => ({
+          _key: String(index),
+          ...(typeof item === 'object' ? item : { value: item }),
+        })));
+      } else {
+        this._items = [];
+      }
+    } else {
+      this._items = [];
+    }
+
+    this._dispatchLoaded();
+  }
+
+  /**
+   * Client-side filtering: soft-deleted rows unless `showDeleted`, the
+   * filter-field pair when the server does not apply it, and every
+   * `filters` expression. Predicates pushed to the query are checked
+   * again, which is harmless.
+   * @param {object[]} items
+   * @returns {object[]}
+   * @private
+   */
+  _filterItems(items) {
+    if (!this.showDeleted) {
+      items = items.filter(item => !item._deletedAt);
+    }
+    if (this.filterField && this.filterValue && !this._isFilterFieldPushed()) {
+      items = items.filter(item =>
+        String(item[this.filterField]).toLowerCase().includes(this.filterValue.toLowerCase())
+      );
+    }
+    if (this.filters.length > 0) {
+      items = items.filter(item => this.filters.every(filter => matchesFilter(item, filter)));
+    }
+    return items;
+  }
+
+  /**
+   * Whether the filter-field pair runs on the server as an exact match.
+   * An RTDB range holds one value, so a value that spells a number or a
+   * boolean stays on the client, where it matches both types.
+   * @private
+   */
+  _isFilterFieldPushed() {
+    if (!this.filterField || !this.filterValue) return false;
+    return this._isFirestore()
+      || (this.filterField === this._queryOrderBy && spelledValues(this.filterValue).length === 1);
+  }
+
+  /**
+   * The `filters` predicate pushed down to the query: the first top-level
+   * predicate on the order field with a startAt/endAt equivalent.
+   * RTDB allows one range per query, so an equal filter-field pair wins.
+   * @returns {FilterPredicate | null}
+   * @private
+   */
+  _getPushedFilter() {
+    if (!this._queryOrderBy) return null;
+    if (!this._isFirestore() && this._isFilterFieldPushed()) return null;
+    return this.filters.find(filter => filter.field === this._queryOrderBy && getFilterRange(filter)) || null;
+  }
+
+  /**
+   * Bounds of the RTDB query on the order field
+   * @returns {{ start?: *, end?: * } | null}
+   * @private
+   */
+  _getServerRange() {
+    if (this._isFilterFieldPushed()) {
+      return { start: this.filterValue, end: this.filterValue };
+    }
+    const pushed = this._getPushedFilter();
+    return pushed ? getFilterRange(pushed) : null;
+  }
+
+  /**
+   * Firestore where() constraints for the filter-field pair and the pushed filter
+   * @param {typeof import('firebase/firestore').where} where
+   * @private
+   */
+  _getFirestoreFilters(where) {
+    const constraints = [];
+
+    // Firestore filters server-side with exact equality on any field, and
+    // also matches the number or boolean the attribute value spells
+    if (this.filterField && this.filterValue) {
+      const values = spelledValues(this.filterValue);
+      constraints.push(values.length > 1
+        ? where(this.filterField, 'in', values)
+        : where(this.filterField, '==', this.filterValue));
+    }
+
+    const pushed = this._getPushedFilter();
+    const range = pushed && getFilterRange(pushed);
+    if (range?.start !== undefined) constraints.push(where(pushed.field, '>=', range.start));
+    if (range?.end !== undefined) constraints.push(where(pushed.field, '<=', range.end));
+
+    return constraints;
+  }
+
+  /**
+   * Dispatch filter-changed with the active filters
+   * @private
+   */
+  _dispatchFilterChanged() {
+    const filterFieldPushed = this._isFilterFieldPushed();
+    const legacy = this.filterField && this.filterValue
+      ? [{ field: this.filterField, op: filterFieldPushed ? 'equals' : 'contains', value: this.filterValue }]
+      : [];
+    const pushed = this._getPushedFilter();
+
+    this.dispatchEvent(new CustomEvent('filter-changed', {
+      detail: {
+        filters: [...legacy, ...this.filters],
+        pushedDown: [...(filterFieldPushed ? legacy : []), ...(pushed ? [pushed] : [])],
+        path: this.path,
+      },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Get the current page request, defaulting to the first page
+   * @private
+   */
+  _getPageRequest() {
+    return this._pageRequest || {
+      direction: 'first',
+      forward: this._queryDirection !== 'desc',
+      anchor: null,
+    };
+  }
+
+  /**
+   * Apply a fetched page of entries in ascending query order
+   * @param {Array<{ key: string, value: *, data: * }>} entries
+   * @private
+   */
+  _applyPage(entries) {
+    const { direction, forward } = this._getPageRequest();
+    const overflow = entries.length > this.pageSize;
+
+    // Drop the look-ahead item on the side we are moving towards
+    if (overflow) {
+      if (forward) {
+        entries.pop();
+      } else {
+        entries.shift();
+      }
+    }
+
+    if (direction === 'prev') {
+      this._hasMore = true;
+      if (!overflow) {
+        this._page = 0;
+      }
+    } else {
+      this._hasMore = overflow;
+    }
+
+    if (entries.length > 0) {
+      const first = entries[0];
+      const last = entries[entries.length - 1];
+      this._pageStart = { key: first.key, value: first.value };
+      this._pageEnd = { key: last.key, value: last.value };
+    }
+
+    if (this._queryDirection === 'desc') {
+      entries.reverse();
+    }
+
+    this._loading = false;
+    this._items = this._entriesToItems(entries);
+    this._dispatchLoaded();
+
+    if (this._pageChanging) {
+      this._pageChanging = false;
+      this._dispatchPageChanged();
+    }
+  }
+
+  /**
+   * Convert window entries to list items, applying the client-side filter
+   * @param {Array<{ key: string, data: * }>} entries
+   * @returns {object[]}
+   * @private
+   */
+  _entriesToItems(entries) {
+    const items = entries.map(({ key, data }) => ({
+      _key: key,
+      ...(typeof data === 'object' ? data : { value: data }),
+    }));
+
+    return this._filterItems(items);
+  }
+
+  /**
+   * Load the next window of items in infinite mode
+   */
+  async loadMore() {
+    const last = this._windows[this._windows.length - 1];
+    if (!this._hasBackend() || !this.path || this._loadingMore || (last && !last.full)) {
+      return;
+    }
+
+    // Descending lists grow towards lower values
+    const forward = this._queryDirection !== 'desc';
+    const window = {
+      anchor: last ? (forward ? last.end : last.start) : null,
+      entries: [],
+      full: false,
+      start: null,
+      end: null,
+      unsubscribe: null,
+    };
+
+    this._windows = [...this._windows, window];
+    this._loadingMore = true;
+
+    try {
+      const unsubscribe = await this._listenWindow(
+        { forward, anchor: window.anchor, size: this._getWindowSize() },
+        (entries) => this._applyWindow(window, entries)
+      );
+
+      // The list may have been reset while the listener was being set up
+      if (this._windows.includes(window)) {
+        window.unsubscribe = unsubscribe;
+      } else if (unsubscribe) {
+        unsubscribe();
+      }
+    } catch (error) {
+      this._loadingMore = false;
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Window size in infinite mode
+   * @private
+   */
+  _getWindowSize() {
+    return this.pageSize > 0 ? this.pageSize : 20;
+  }
+
+  /**
+   * Store the entries of a loaded window and rebuild the item list
+   * @param {object} window
+   * @param {Array<{ key: string, value: *, data: * }>} entries
+   * @private
+   */
+  _applyWindow(window, entries) {
+    if (!this._windows.includes(window)) {
+      return;
+    }
+
+    window.entries = entries;
+    window.full = entries.length >= this._getWindowSize();
+    if (entries.length > 0) {
+      window.start = { key: entries[0].key, value: entries[0].value };
+      window.end = { key: entries[entries.length - 1].key, value: entries[entries.length - 1].value };
+    }
+
+    // Windows can overlap after concurrent inserts, the first occurrence wins
+    const seen = new Set();
+    const merged = [];
+    this._windows.forEach(({ entries: windowEntries }) => {
+      const ordered = this._queryDirection === 'desc' ? [...windowEntries].reverse() : windowEntries;
+      ordered.forEach((entry) => {
+        if (!seen.has(entry.key)) {
+          seen.add(entry.key);
+          merged.push(entry);
+        }
+      });
+    });
+
+    const last = this._windows[this._windows.length - 1];
+    if (window === last) {
+      this._loadingMore = false;
+    }
+
+    this._hasMore = last.full;
+    this._loading = false;
+    this._items = this._entriesToItems(merged);
+    this._dispatchLoaded();
+  }
+
+  /**
+   * Read the total number of items for the header count in infinite mode.
+   * Firestore counts on the server, leaving out soft-deleted documents unless
+   * `showDeleted`; RTDB reads the number stored at `count-path`.
+   * @private
+   */
+  async _fetchTotal() {
+    this._total = null;
+
+    try {
+      if (this._isFirestore()) {
+        const { collection, query, where, getCountFromServer } = await import('firebase/firestore');
+        const colQuery = query(collection(this._firestore, this.path), ...this._getFirestoreFilters(where));
+        const snapshot = await getCountFromServer(colQuery);
+        let total = snapshot.data().count;
+
+        // Live records have no _deletedAt, which a query cannot match, so count the deleted ones
+        if (!this.showDeleted) {
+          const deletedQuery = query(colQuery, where('_deletedAt', '!=', null));
+          total -= (await getCountFromServer(deletedQuery)).data().count;
+        }
+        this._total = total;
+      } else if (this.countPath) {
+        const { ref, onValue, get } = await import('firebase/database');
+        const countRef = ref(this._database, this.countPath);
+        const applyCount = (snapshot) => {
+          this._total = typeof snapshot.val() === 'number' ? snapshot.val() : null;
+        };
+
+        if (this.autoSync) {
+          this._totalUnsubscribe = onValue(countRef, applyCount);
+        } else {
+          applyCount(await get(countRef));
+        }
+      }
+    } catch (error) {
+      // The total is informative only, the header falls back to the loaded count
+      this._total = null;
+    }
+  }
+
+  /**
+   * Observe the infinite scroll sentinel
+   * @private
+   */
+  _observeSentinel() {
+    // Virtual lists scroll inside their own viewport and load more from the scroll handler
+    const sentinel = this._isVirtual() ? null : this.shadowRoot.querySelector('.list-sentinel');
+    if (sentinel === this._sentinel) {
+      return;
+    }
+
+    if (!this._observer && typeof IntersectionObserver !== 'undefined') {
+      this._observer = new IntersectionObserver((observed) => {
+        if (observed.some(entry => entry.isIntersecting)) {
+          this.loadMore();
+        }
+      });
+    }
+
+    if (this._observer) {
+      this._observer.disconnect();
+      if (sentinel) {
+        this._observer.observe(sentinel);
+      }
+    }
+    this._sentinel = sentinel;
+  }
+
+  /**
+   * Reset pagination to the first page
+   * @private
+   */
+  _resetPaging() {
+    this._pageRequest = null;
+    this._pageStart = null;
+    this._pageEnd = null;
+    this._page = 0;
+    this._hasMore = false;
+    this._pageChanging = false;
+  }
+
+  /**
+   * Load the page next to the current one
+   * @param {'next' | 'prev'} direction
+   * @private
+   */
+  async _loadPage(direction) {
+    // In descending mode the next page holds lower values
+    const forward = (direction === 'next') !== (this._queryDirection === 'desc');
+    this._pageRequest = {
+      direction,
+      forward,
+      anchor: forward ? this._pageEnd : this._pageStart,
+    };
+    this._page += direction === 'next' ? 1 : -1;
+    this._pageChanging = true;
+    await this._fetchData();
+  }
+
+  /**
+   * Handle error
+   * @param {Error} error
+   * @private
+   */
+  _handleError(error) {
+    this._loading = false;
+    this._error = error.message;
+
+    this.dispatchEvent(new CustomEvent('list-error', {
+      detail: { message: error.message, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Report a failed write without replacing the list with the error state
+   * @param {Error} error
+   * @private
+   */
+  _handleWriteError(error) {
+    this.dispatchEvent(new CustomEvent('list-error', {
+      detail: { message: error.message, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Cleanup listeners
+   * @private
+   */
+  _cleanup() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+
+    if (this._totalUnsubscribe) {
+      this._totalUnsubscribe();
+      this._totalUnsubscribe = null;
+    }
+
+    this._windows.forEach((window) => window.unsubscribe && window.unsubscribe());
+    this._windows = [];
+    this._loadingMore = false;
+  }
+
+  /**
+   * Dispatch list-loaded event
+   * @private
+   */
+  _dispatchLoaded() {
+    this.dispatchEvent(new CustomEvent('list-loaded', {
+      detail: { items: this._items, count: this._items.length, summary: this.summary, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Dispatch page-changed event
+   * @private
+   */
+  _dispatchPageChanged() {
+    this.dispatchEvent(new CustomEvent('page-changed', {
+      detail: { page: this._page, pageSize: this.pageSize, hasMore: this._hasMore, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Set custom item renderer
+   * @param {(item: object, index: number) => import('lit').TemplateResult} renderer
+   */
+  setItemRenderer(renderer) {
+    this._customRenderer = renderer;
+    this.requestUpdate();
+  }
+
+  /**
+   * Sort keys for the view: the sort property, or the manual order when
+   * reorderable. The key breaks ties so every client shows the same order.
+   * @returns {SortKey[]}
+   * @private
+   */
+  _getSortKeys() {
+    if (this.sort.length > 0 || !this.reorderable) return this.sort;
+    return [
+      { field: this.orderField, direction: 'asc' },
+      { field: '_key', direction: 'asc' },
+    ];
+  }
+
+  /**
+   * Whether rows are virtualized; grouped lists render every row
+   * @private
+   */
+  _isVirtual() {
+    return this.virtual && !this.groupBy;
+  }
+
+  /**
+   * Split sorted items into groups by the formatted group-by value
+   * @param {object[]} items
+   * @private
+   */
+  _groupItems(items) {
+    const groups = new Map();
+
+    for (const item of items) {
+      const value = getFieldValue(item, this.groupBy);
+      const label = this.groupFormatter ? this.groupFormatter(value, item) : value;
+      const key = String(label ?? '');
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, items: [], collapsed: this._collapsedGroups.has(key) });
+      }
+      groups.get(key).items.push(item);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Collapse or expand a group
+   * @param {string} key - Group key (the group label as a string)
+   * @param {boolean} [collapsed] - Defaults to toggling
+   */
+  toggleGroup(key, collapsed = !this._collapsedGroups.has(key)) {
+    const keys = new Set(this._collapsedGroups);
+    if (collapsed) {
+      keys.add(key);
+    } else {
+      keys.delete(key);
+    }
+    this._collapsedGroups = keys;
+
+    this.dispatchEvent(new CustomEvent('group-toggled', {
+      detail: { key, collapsed, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Collapse every group
+   */
+  collapseAll() {
+    this._collapsedGroups = new Set(this._groups.map(group => group.key));
+  }
+
+  /**
+   * Expand every group
+   */
+  expandAll() {
+    this._collapsedGroups = new Set();
+  }
+
+  /**
+   * Serialize items to CSV, JSON or NDJSON and download them as a file.
+   * `scope` picks the items: 'visible' (filtered, searched and sorted, the
+   * default, including collapsed groups), 'all' (every loaded item) or
+   * 'selected'. CSV columns default to `_key` plus the `columns` fields,
+   * else every field, with nested fields flattened to dot paths.
+   * @param {'csv' | 'json' | 'ndjson'} [format='csv']
+   * @param {{ fields?: string[], scope?: 'visible' | 'all' | 'selected', filename?: string, delimiter?: string, download?: boolean }} [options]
+   * @returns {string} Serialized content
+   */
+  exportAs(format = 'csv', { fields, scope = 'visible', filename, delimiter, download = true } = {}) {
+    let items = this.groupBy ? this._groups.flatMap(group => group.items) : this._viewItems;
+    if (scope === 'all') items = this._items;
+    if (scope === 'selected') items = this.selectedItems;
+
+    const exportFields = fields
+      ?? (this.columns.length > 0 ? ['_key', ...this.columns.map(column => column.field)] : undefined);
+    const { content, mimeType, extension } = serializeItems(items, format, { fields: exportFields, delimiter });
+
+    if (download) {
+      const name = this.path ? this.path.split('/').filter(Boolean).pop() : 'export';
+      downloadText(content, mimeType, filename || `${name}.${extension}`);
+    }
+    return content;
+  }
+
+  /**
+   * Keep the items matching every search token
+   * @param {object[]} items
+   * @returns {object[]}
+   * @private
+   */
+  _searchItems(items) {
+    if (this._searchTokens.length === 0) return items;
+    return items.filter(item => matchesSearch(item, this._getSearchFields(item), this._searchTokens));
+  }
+
+  /**
+   * Fields to search: search-fields, else the column fields, else the key
+   * field, else every field of the item
+   * @param {object} item
+   * @returns {string[]}
+   * @private
+   */
+  _getSearchFields(item) {
+    if (this.searchFields.length > 0) return this.searchFields;
+    if (this.columns.length > 0) return this.columns.map(column => column.field);
+    if (this.keyField) return [this.keyField];
+    return Object.keys(item).filter(field => field !== '_key');
+  }
+
+  /**
+   * Debounce search input into searchQuery
+   * @param {InputEvent} e
+   * @private
+   */
+  _handleSearchInput(e) {
+    const { value } = e.target;
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => {
+      this.searchQuery = value;
+    }, this.searchDebounce);
+  }
+
+  /**
+   * Wrap search hits in a value with <mark> elements
+   * @param {*} value
+   * @private
+   */
+  _highlight(value) {
+    if (this._searchTokens.length === 0 || (typeof value !== 'string' && typeof value !== 'number')) {
+      return value;
+    }
+
+    return splitHighlights(value, this._searchTokens).map(({ text, hit }) =>
+      hit ? html`<mark class="search-hit">${text}</mark>` : text
+    );
+  }
+
+  /**
+   * Cycle the sort on a field.
+   * A plain toggle sorts by that field only (asc → desc → unsorted); an
+   * additive toggle (shift-click) adds, flips or removes it as a secondary key.
+   * @param {string} field
+   * @param {boolean} [additive=false]
+   */
+  toggleSort(field, additive = false) {
+    const current = this.sort.find(key => key.field === field);
+    let sort;
+
+    if (additive) {
+      if (!current) {
+        sort = [...this.sort, { field, direction: 'asc' }];
+      } else if (current.direction === 'asc') {
+        sort = this.sort.map(key => (key.field === field ? { field, direction: 'desc' } : key));
+      } else {
+        sort = this.sort.filter(key => key.field !== field);
+      }
+    } else if (current && this.sort.length === 1) {
+      sort = current.direction === 'asc' ? [{ field, direction: 'desc' }] : [];
+    } else {
+      sort = [{ field, direction: 'asc' }];
+    }
+
+    this.sort = sort;
+    this.dispatchEvent(new CustomEvent('sort-changed', {
+      detail: { sort, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
    * Refresh list data
    */
   async refresh() {
     await this._fetchData();
   }
 
+  /**
+   * Load the next page (requires pageSize)
+   */
+  async nextPage() {
+    if (this.pageSize <= 0 || !this._hasMore) return;
+    await this._loadPage('next');
+  }
+
+  /**
+   * Load the previous page (requires pageSize)
+   */
+  async prevPage() {
+    if (this.pageSize <= 0 || this._page === 0) return;
+    await this._loadPage('prev');
+  }
+
   /**
    * Handle item click
    * @param {object} item
    * @param {number} index
    * @private
    */
-  _handleItemClick(item, index) {
+  _handleItemClick(item, index, e) {
     this._selectedKey = item._key;
 
+    if (this.selection === 'multiple') {
+      this._selectItem(item, index, {
+        range: Boolean(e?.shiftKey),
+        toggle: Boolean(e?.ctrlKey || e?.metaKey),
+      });
+    }
+
     this.dispatchEvent(new CustomEvent('item-click', {
       detail: { item, key: item._key, index },
       bubbles: true,
@@ -363,6 +1868,604 @@ export class FirebaseAutolist extends LitElement {
     }));
   }
 
+  /**
+   * Update the multi-selection from a row interaction.
+   * A range selects from the anchor row to this one; a toggle keeps the rest
+   * of the selection. A plain selection selects only this row.
+   * @param {object} item
+   * @param {number} index - Index in the visible items
+   * @param {{ range?: boolean, toggle?: boolean }} [mode]
+   * @private
+   */
+  _selectItem(item, index, { range = false, toggle = false } = {}) {
+    const keys = new Set(toggle ? this._selection : []);
+    const anchorIndex = this._viewItems.findIndex(visible => visible._key === this._anchorKey);
+
+    if (range && anchorIndex !== -1) {
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      this._viewItems.slice(from, to + 1).forEach(visible => keys.add(visible._key));
+    } else {
+      if (toggle && keys.has(item._key)) {
+        keys.delete(item._key);
+      } else {
+        keys.add(item._key);
+      }
+      this._anchorKey = item._key;
+    }
+
+    this._setSelection(keys);
+  }
+
+  /**
+   * Handle a row checkbox click, which toggles instead of replacing
+   * @param {MouseEvent} e
+   * @param {object} item
+   * @param {number} index
+   * @private
+   */
+  _handleCheckboxClick(e, item, index) {
+    e.stopPropagation();
+    this._selectItem(item, index, { range: e.shiftKey, toggle: true });
+  }
+
+  /**
+   * Select or deselect all visible items, keeping hidden selected items
+   * @param {boolean} selected
+   * @private
+   */
+  _toggleAllVisible(selected) {
+    const keys = new Set(this._selection);
+    this._viewItems.forEach(item => (selected ? keys.add(item._key) : keys.delete(item._key)));
+    this._setSelection(keys);
+  }
+
+  /**
+   * Replace the selection and dispatch selection-changed
+   * @param {Set<string>} keys
+   * @private
+   */
+  _setSelection(keys) {
+    this._selection = keys;
+
+    this.dispatchEvent(new CustomEvent('selection-changed', {
+      detail: { selectedKeys: [...keys], path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Select every visible item (after filters and search)
+   */
+  selectAll() {
+    this._toggleAllVisible(true);
+  }
+
+  /**
+   * Clear the selection
+   */
+  clearSelection() {
+    this._setSelection(new Set());
+  }
+
+  /**
+   * Write a change to every selected item in a single multi-path update
+   * (a batch in Firestore) and dispatch bulk-action.
+   * @param {string} action - Action name reported in the event
+   * @param {object | null | ((item: object) => object | null)} [change=null] -
+   *   Fields to update on each item, null to delete it, or a function
+   *   returning either for each item
+   * @returns {Promise<void>}
+   */
+  async bulkAction(action, change = null) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    const keys = this.selectedKeys;
+    if (keys.length === 0) return;
+
+    /** @type {Record<string, object | null>} */
+    const changes = {};
+    for (const key of keys) {
+      const item = this._items.find(candidate => candidate._key === key) || { _key: key };
+      changes[key] = typeof change === 'function' ? change(item) : change;
+    }
+
+    await this._writeChanges(changes);
+
+    const deleted = keys.filter(key => changes[key] === null);
+    if (deleted.length > 0) {
+      const remaining = new Set(this._selection);
+      deleted.forEach(key => remaining.delete(key));
+      this._setSelection(remaining);
+    }
+
+    this.dispatchEvent(new CustomEvent('bulk-action', {
+      detail: { action, keys, changes, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+
+    if (!this.autoSync) {
+      await this._fetchData();
+    }
+  }
+
+  /**
+   * Write per-item changes in one multi-path update (a batch in Firestore)
+   * @param {Record<string, object | null>} changes - Fields per key, or null to delete
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeChanges(changes) {
+    try {
+      if (this._isFirestore()) {
+        const { doc, writeBatch } = await import('firebase/firestore');
+        const batch = writeBatch(this._firestore);
+        for (const [key, value] of Object.entries(changes)) {
+          const docRef = doc(this._firestore, this.path, key);
+          if (value === null) {
+            batch.delete(docRef);
+          } else {
+            batch.update(docRef, value);
+          }
+        }
+        await batch.commit();
+      } else {
+        const { ref, update } = await import('firebase/database');
+        await update(ref(this._database, this.path), this._toMultiPathUpdate(changes));
+      }
+    } catch (error) {
+      this._handleWriteError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the selected items
+   * @returns {Promise<void>}
+   */
+  async deleteSelected() {
+    return this.bulkAction('delete', null);
+  }
+
+  /**
+   * Flatten per-item changes into RTDB multi-path update entries relative to path
+   * @param {Record<string, object | null>} changes
+   * @returns {Record<string, *>}
+   * @private
+   */
+  _toMultiPathUpdate(changes) {
+    const updates = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        updates[key] = null;
+      } else {
+        for (const [field, fieldValue] of Object.entries(value)) {
+          updates[`${key}/${field.replaceAll('.', '/')}`] = fieldValue;
+        }
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Field schema for a column: the edit-schema entry, or a type guessed from
+   * the value when there is no schema. Null when the column is not editable.
+   * @param {ColumnDefinition} column
+   * @param {object} item
+   * @returns {object | null}
+   * @private
+   */
+  _getEditField(column, item) {
+    // Cells only render editors in the table layout or with columns
+    if (!this.editable || column.editable === false) return null;
+    if (this.layout !== 'table' && this.columns.length === 0) return null;
+
+    const schemaFields = Object.keys(this.editSchema);
+    if (schemaFields.length > 0) {
+      const field = this.editSchema[column.field];
+      return field && !field.readonly && !field.disabled ? field : null;
+    }
+
+    const value = getFieldValue(item, column.field);
+    if (typeof value === 'number') return { type: 'number' };
+    if (typeof value === 'boolean') return { type: 'checkbox' };
+    return { type: 'text' };
+  }
+
+  /**
+   * Start editing a field of an item in place
+   * @param {string} key - Item key
+   * @param {string} field - Column field
+   */
+  startEdit(key, field) {
+    const item = this._items.find(candidate => candidate._key === key);
+    const column = this._getColumns().find(candidate => candidate.field === field);
+    if (!item || !column || !this._getEditField(column, item)) return;
+
+    const value = getFieldValue(item, field);
+    this._editValue = value ?? '';
+    this._editError = '';
+    this._editing = { key, field };
+  }
+
+  /**
+   * Cancel the current inline edit without writing
+   */
+  cancelEdit() {
+    this._editing = null;
+    this._editError = '';
+  }
+
+  /**
+   * Validate and write the current inline edit. Only the edited child is
+   * written; validation and write errors keep the editor open.
+   * @returns {Promise<void>}
+   */
+  async commitEdit() {
+    if (!this._editing || this._editSaving) return;
+
+    const { key, field } = this._editing;
+    const item = this._items.find(candidate => candidate._key === key);
+    const column = this._getColumns().find(candidate => candidate.field === field);
+    const fieldSchema = item && column ? this._getEditField(column, item) : null;
+    if (!fieldSchema) {
+      this.cancelEdit();
+      return;
+    }
+
+    const error = validateFieldValue(this._editValue, fieldSchema);
+    if (error) {
+      this._editError = error;
+      return;
+    }
+
+    const oldValue = getFieldValue(item, field);
+    // Clearing an optional field removes it
+    const newValue = this._editValue === '' ? null : this._editValue;
+    if (newValue === (oldValue ?? null)) {
+      this.cancelEdit();
+      return;
+    }
+
+    this._editSaving = true;
+    try {
+      if (!this._hasBackend() || !this.path) {
+        throw new Error('Database not initialized or path not set');
+      }
+
+      if (this._isFirestore()) {
+        const { doc, updateDoc, deleteField } = await import('firebase/firestore');
+        await updateDoc(doc(this._firestore, this.path, key), {
+          [field]: newValue === null ? deleteField() : newValue,
+        });
+      } else {
+        const { ref, update } = await import('firebase/database');
+        await update(ref(this._database, `${this.path}/${key}`), { [field.replaceAll('.', '/')]: newValue });
+      }
+    } catch (writeError) {
+      this._editError = writeError.message;
+      this._handleWriteError(writeError);
+      return;
+    } finally {
+      this._editSaving = false;
+    }
+
+    // Patch the local copy so lists without auto-sync show the new value
+    const updated = setFieldValue(item, field, newValue);
+    this._items = this._items.map(candidate => (candidate._key === key ? updated : candidate));
+    this.cancelEdit();
+
+    this.dispatchEvent(new CustomEvent('item-edited', {
+      detail: { key, field, oldValue, newValue, item: updated, path: this.path },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Read the editor value with the type of its field
+   * @param {Event} e
+   * @param {object} fieldSchema
+   * @private
+   */
+  _handleEditorInput(e, fieldSchema) {
+    const { target } = e;
+    if (fieldSchema.type === 'checkbox') {
+      this._editValue = target.checked;
+    } else if (fieldSchema.type === 'number' || fieldSchema.type === 'range') {
+      this._editValue = target.value === '' ? '' : Number(target.value);
+    } else {
+      this._editValue = target.value;
+    }
+    this._editError = '';
+  }
+
+  /**
+   * Enter commits and Escape cancels; keys never reach the row handlers
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _handleEditorKeydown(e) {
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.cancelEdit();
+      this._focusRowOf(e.target);
+    } else if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
+      e.preventDefault();
+      this.commitEdit().then(() => {
+        if (!this._editing) this._focusRowOf(e.target);
+      });
+    }
+  }
+
+  /**
+   * Return focus to the row of an editor after it closes
+   * @param {HTMLElement} editor
+   * @private
+   */
+  _focusRowOf(editor) {
+    const key = editor.closest('.list-item')?.dataset.key;
+    this.updateComplete.then(() => {
+      this.shadowRoot.querySelector(`.list-item[data-key="${CSS.escape(key ?? '')}"]`)?.focus();
+    });
+  }
+
+  /**
+   * Render the value of a column, or its editor while it is being edited
+   * @param {ColumnDefinition} column
+   * @param {object} item
+   * @private
+   */
+  _renderCellValue(column, item) {
+    const editing = this._editing?.key === item._key && this._editing.field === column.field;
+    if (!editing) {
+      return this._highlight(this._formatCell(column, item));
+    }
+
+    const fieldSchema = this._getEditField(column, item);
+    const label = `Edit ${column.label ?? column.field}`;
+    const stop = (e) => e.stopPropagation();
+    // Blur commits, unless the edit was already closed by Escape or Enter
+    const blur = () => {
+      if (this._editing?.key === item._key && this._editing.field === column.field) this.commitEdit();
+    };
+    let editor;
+
+    if (fieldSchema.type === 'select' || fieldSchema.type === 'radio') {
+      editor = html`
+        <select
+          class="cell-editor"
+          aria-label=${label}
+          aria-invalid=${this._editError ? 'true' : 'false'}
+          @click=${stop}
+          @dblclick=${stop}
+          @change=${(e) => this._handleEditorInput(e, fieldSchema)}
+          @keydown=${this._handleEditorKeydown}
+          @blur=${blur}
+        >
+          ${fieldSchema.required ? nothing : html`<option value="">${fieldSchema.placeholder || 'Select...'}</option>`}
+          ${(fieldSchema.options || []).map(opt => html`
+            <option value=${opt.value} ?selected=${this._editValue === opt.value}>${opt.label}</option>
+          `)}
+        </select>
+      `;
+    } else if (fieldSchema.type === 'checkbox') {
+      editor = html`
+        <input
+          type="checkbox"
+          class="cell-editor"
+          aria-label=${label}
+          .checked=${Boolean(this._editValue)}
+          @click=${stop}
+          @dblclick=${stop}
+          @change=${(e) => this._handleEditorInput(e, fieldSchema)}
+          @keydown=${this._handleEditorKeydown}
+          @blur=${blur}
+        />
+      `;
+    } else {
+      editor = html`
+        <input
+          type=${fieldSchema.type === 'textarea' ? 'text' : fieldSchema.type || 'text'}
+          class="cell-editor"
+          aria-label=${label}
+          aria-invalid=${this._editError ? 'true' : 'false'}
+          .value=${live(String(this._editValue))}
+          placeholder=${fieldSchema.placeholder || ''}
+          min=${fieldSchema.min ?? nothing}
+          max=${fieldSchema.max ?? nothing}
+          step=${fieldSchema.step || nothing}
+          @click=${stop}
+          @dblclick=${stop}
+          @input=${(e) => this._handleEditorInput(e, fieldSchema)}
+          @keydown=${this._handleEditorKeydown}
+          @blur=${blur}
+        />
+      `;
+    }
+
+    return html`
+      ${editor}
+      ${this._editError ? html`<div class="cell-error" role="alert">${this._editError}</div>` : nothing}
+    `;
+  }
+
+  /**
+   * Start editing a column on double-click when it is editable
+   * @param {ColumnDefinition} column
+   * @param {object} item
+   * @private
+   */
+  _handleCellDblclick(column, item) {
+    if (this._getEditField(column, item)) {
+      this.startEdit(item._key, column.field);
+    }
+  }
+
+  /**
+   * Whether rows can be reordered: a custom sort hides the manual order
+   * @private
+   */
+  _canReorder() {
+    return this.reorderable && this.sort.length === 0;
+  }
+
+  /**
+   * Move an item to a position among the visible items and persist it.
+   * Only the moved item gets a new order value, halfway between its new
+   * neighbours; when there is no room left (or neighbours have no order,
+   * or share one after concurrent moves) every visible item is renumbered.
+   * All values are written in one update().
+   * @param {string} key - Item key
+   * @param {number} toIndex - Target index in visibleItems
+   * @returns {Promise<void>}
+   */
+  async moveItem(key, toIndex) {
+    if (!this._canReorder()) return;
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    const from = this._viewItems.findIndex(item => item._key === key);
+    const rest = this._viewItems.filter(item => item._key !== key);
+    const to = Math.max(0, Math.min(rest.length, toIndex));
+    if (from === -1 || from === to) return;
+
+    let order = this._orderBetween(rest[to - 1], rest[to]);
+    /** @type {Record<string, object>} */
+    const changes = {};
+
+    if (order !== null) {
+      changes[key] = { [this.orderField]: order };
+    } else {
+      // The moved item may already hold its new position, so only others change
+      order = to + 1;
+      const ordered = [...rest.slice(0, to), this._viewItems[from], ...rest.slice(to)];
+      ordered.forEach((item, index) => {
+        if (getFieldValue(item, this.orderField) !== index + 1) {
+          changes[item._key] = { [this.orderField]: index + 1 };
+        }
+      });
+    }
+
+    await this._writeChanges(changes);
+
+    // Apply locally right away; with auto-sync the next snapshot confirms it
+    this._items = this._items.map(item => (
+      changes[item._key] ? setFieldValue(item, this.orderField, changes[item._key][this.orderField]) : item
+    ));
+    this._announcement = `Moved to position ${to + 1} of ${this._viewItems.length}`;
+
+    this.dispatchEvent(new CustomEvent('item-reordered', {
+      detail: {
+        key,
+        from,
+        to,
+        order,
+        changes,
+        path: this.path,
+      },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Order value between two neighbours, or null when they need renumbering
+   * @param {object | undefined} previous
+   * @param {object | undefined} next
+   * @returns {number | null}
+   * @private
+   */
+  _orderBetween(previous, next) {
+    const a = previous ? getFieldValue(previous, this.orderField) : undefined;
+    const b = next ? getFieldValue(next, this.orderField) : undefined;
+
+    if ((previous && !Number.isFinite(a)) || (next && !Number.isFinite(b))) return null;
+    if (!previous && !next) return 1;
+    if (!previous) return b - 1;
+    if (!next) return a + 1;
+
+    const middle = (a + b) / 2;
+    return middle > a && middle < b ? middle : null;
+  }
+
+  /**
+   * @param {DragEvent} e
+   * @param {object} item
+   * @private
+   */
+  _handleDragStart(e, item) {
+    this._dragKey = item._key;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item._key);
+  }
+
+  /**
+   * Track the drop position: before or after the hovered row
+   * @param {DragEvent} e
+   * @param {object} item
+   * @private
+   */
+  _handleDragOver(e, item) {
+    if (!this._dragKey) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    if (this._dropTarget?.key !== item._key || this._dropTarget.after !== after) {
+      this._dropTarget = { key: item._key, after };
+    }
+  }
+
+  /**
+   * Move the dragged row next to the drop target. Positions are resolved by
+   * key at drop time, so snapshots that arrived during the drag are respected.
+   * @param {DragEvent} e
+   * @private
+   */
+  _handleDrop(e) {
+    e.preventDefault();
+    const key = this._dragKey;
+    const target = this._dropTarget;
+    this._handleDragEnd();
+    if (!key || !target || target.key === key) return;
+
+    const rest = this._viewItems.filter(item => item._key !== key);
+    const targetIndex = rest.findIndex(item => item._key === target.key);
+    if (targetIndex === -1) return;
+
+    this.moveItem(key, targetIndex + (target.after ? 1 : 0)).catch(() => {
+      // Reported through list-error
+    });
+  }
+
+  /** @private */
+  _handleDragEnd() {
+    this._dragKey = '';
+    this._dropTarget = null;
+  }
+
+  /**
+   * CSS classes of a row
+   * @param {object} item
+   * @private
+   */
+  _rowClass(item) {
+    return [
+      'list-item',
+      this._isSelected(item) ? 'list-item--selected' : '',
+      item._deletedAt ? 'list-item--deleted' : '',
+      this._dropTarget?.key === item._key ? `list-item--drop-${this._dropTarget.after ? 'after' : 'before'}` : '',
+    ].filter(Boolean).join(' ');
+  }
+
   /**
    * Default item renderer
    * @param {object} item
@@ -371,11 +2474,25 @@ export class FirebaseAutolist extends LitElement {
    * @private
    */
   _defaultItemRenderer(item, _index) {
+    if (this.columns.length > 0) {
+      return html`
+        ${this.columns.map(column => html`
+          <span class="item-field">
+            <span class="item-field-label">${column.label ?? column.field}</span>
+            <span
+              class="item-field-value"
+              @dblclick=${() => this._handleCellDblclick(column, item)}
+            >${this._renderCellValue(column, item)}</span>
+          </span>
+        `)}
+      `;
+    }
+
     const displayValue = this.keyField && item[this.keyField]
       ? item[this.keyField]
       : item._key;
 
-    return html`<span>${displayValue}</span>`;
+    return html`<span>${this._highlight(displayValue)}</span>`;
   }
 
   /**
@@ -418,20 +2535,689 @@ export class FirebaseAutolist extends LitElement {
    * @private
    */
   _renderHeader() {
-    if (!this.showHeader) return nothing;
+    const multiple = this.selection === 'multiple';
+    if (!this.showHeader && !this.searchable && !multiple && !this.showExport) return nothing;
+
+    let countLabel = `${this._items.length} items`;
+    if (this._searchTokens.length > 0) {
+      countLabel = `${this._viewItems.length} of ${this._items.length} items`;
+    } else if (this.infinite && this._total !== null) {
+      countLabel = `${this._items.length} of ${this._total} items`;
+    }
 
     return html`
       <div class="list-header">
-        <span class="list-count">${this._items.length} items</span>
-        ${this.showRefresh ? html`
-          <button class="refresh-btn" @click=${this.refresh}>
-            Refresh
+        ${multiple ? this._renderSelectionBar() : nothing}
+        ${this.searchable ? html`
+          <input
+            class="search-input"
+            type="search"
+            placeholder="Search..."
+            aria-label="Search list"
+            .value=${this.searchQuery}
+            @input=${this._handleSearchInput}
+          />
+        ` : nothing}
+        ${this.showHeader ? this._renderHeaderInfo(countLabel) : nothing}
+        ${this.showExport ? html`
+          <button class="export-btn" @click=${() => this.exportAs(this.exportFormat)}>
+            Export ${this.exportFormat.toUpperCase()}
           </button>
         ` : nothing}
       </div>
     `;
   }
 
+  /**
+   * Render the select-all checkbox, the selected count and the bulk actions slot
+   * @private
+   */
+  _renderSelectionBar() {
+    return html`
+      <div class="list-selection">
+        ${this.layout !== 'table' ? this._renderSelectAll() : nothing}
+        ${this._selection.size > 0 ? html`
+          <span class="selection-count">${this._selection.size} selected</span>
+          <slot name="bulk-actions"></slot>
+        ` : nothing}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the header count, pager and refresh button
+   * @param {string} countLabel
+   * @private
+   */
+  _renderHeaderInfo(countLabel) {
+    return html`
+      <span class="list-count">${countLabel}</span>
+      ${this._connected === false ? html`<span class="list-offline">Offline</span>` : nothing}
+      ${this.pageSize > 0 && !this.infinite ? html`
+        <div class="list-pager">
+          <button class="page-btn" ?disabled=${this._page === 0} @click=${this.prevPage}>
+            Previous
+          </button>
+          <button class="page-btn" ?disabled=${!this._hasMore} @click=${this.nextPage}>
+            Next
+          </button>
+        </div>
+      ` : nothing}
+      ${this.showRefresh ? html`
+        <button class="refresh-btn" @click=${this.refresh}>
+          Refresh
+        </button>
+      ` : nothing}
+    `;
+  }
+
+  /**
+   * Render infinite scroll sentinel, doubling as a "load more" button
+   * @private
+   */
+  _renderSentinel() {
+    if (!this.infinite || !this._hasMore) return nothing;
+
+    return html`
+      <div class="list-sentinel">
+        <button class="load-more-btn" ?disabled=${this._loadingMore} @click=${this.loadMore}>
+          ${this._loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the toggle button of a group header
+   * @param {{ key: string, label: *, items: object[], collapsed: boolean }} group
+   * @private
+   */
+  _renderGroupToggle(group) {
+    const label = group.label === undefined || group.label === null || group.label === '' ? 'No value' : group.label;
+
+    return html`
+      <button
+        class="group-toggle"
+        aria-expanded=${group.collapsed ? 'false' : 'true'}
+        @click=${() => this.toggleGroup(group.key)}
+      >
+        <span class="group-icon" aria-hidden="true">${group.collapsed ? '▸' : '▾'}</span>
+        <span class="group-label">${label}</span>
+        <span class="group-count">${group.items.length}</span>
+      </button>
+    `;
+  }
+
+  /**
+   * Render list and grid layouts in sections per group
+   * @param {(item: object, index: number) => import('lit').TemplateResult} renderer
+   * @private
+   */
+  _renderGroupedItems(renderer) {
+    // Row indexes follow _viewItems, which skips collapsed groups
+    let start = 0;
+
+    return html`
+      <div class="list-container list-container--grouped">
+        ${this._groups.map(group => {
+          const offset = start;
+          if (!group.collapsed) start += group.items.length;
+
+          return html`
+            <section class="list-group">
+              <div class="group-header">${this._renderGroupToggle(group)}</div>
+              ${group.collapsed ? nothing : html`
+                <div class="group-items" role="list">
+                  ${group.items.map((item, i) => this._renderItem(item, offset + i, renderer))}
+                </div>
+              `}
+            </section>
+          `;
+        })}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the aggregates of a field
+   * @param {Record<string, *>} results - Aggregate results by operation
+   * @private
+   */
+  _renderAggregates(results) {
+    const labels = { count: 'Count', sum: 'Sum', avg: 'Avg', min: 'Min', max: 'Max', distinct: 'Distinct' };
+
+    return Object.entries(results).map(([op, value]) => html`
+      <span class="summary-value">
+        <span class="summary-op">${labels[op]}</span>
+        ${typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : value ?? '—'}
+      </span>
+    `);
+  }
+
+  /**
+   * Render the summary footer for list and grid layouts
+   * @private
+   */
+  _renderSummary() {
+    if (!this.showSummary) return nothing;
+
+    const labelOf = (field) => this.columns.find(column => column.field === field)?.label ?? field;
+
+    return html`
+      <div class="list-footer" role="status">
+        <span class="list-count">${this._summary.count} items</span>
+        ${Object.entries(this._summary.fields).map(([field, results]) => html`
+          <span class="summary-field">
+            <span class="summary-label">${labelOf(field)}</span>
+            ${this._renderAggregates(results)}
+          </span>
+        `)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the summary footer row of the table layout
+   * @param {ColumnDefinition[]} columns
+   * @private
+   */
+  _renderTableSummary(columns) {
+    if (!this.showSummary) return nothing;
+
+    const leading = (this._canReorder() ? 1 : 0) + (this.selection === 'multiple' ? 1 : 0);
+
+    return html`
+      <tfoot>
+        <tr class="summary-row">
+          ${leading > 0 ? html`<td colspan=${leading}></td>` : nothing}
+          ${columns.map(column => html`
+            <td style=${this._cellStyle(column)}>
+              ${this._summary.fields[column.field] ? this._renderAggregates(this._summary.fields[column.field]) : nothing}
+            </td>
+          `)}
+        </tr>
+      </tfoot>
+    `;
+  }
+
+  /**
+   * Render the live region announcing keyboard moves in reorderable mode
+   * @private
+   */
+  _renderAnnouncement() {
+    if (!this.reorderable) return nothing;
+    return html`<div class="sr-only" role="status" aria-live="polite">${this._announcement}</div>`;
+  }
+
+  /**
+   * Render a single row
+   * @param {object} item
+   * @param {number} index
+   * @param {(item: object, index: number) => import('lit').TemplateResult} renderer
+   * @private
+   */
+  _renderItem(item, index, renderer) {
+    // Virtual rows use a roving tabindex so focus survives row recycling
+    const tabindex = this._isVirtual() ? (index === this._rovingIndex ? '0' : '-1') : '0';
+
+    const reorder = this._canReorder();
+    const multiple = this.selection === 'multiple';
+    const content = html`
+      <slot name="item" .item=${item} .index=${index}>
+        ${renderer(item, index)}
+      </slot>
+    `;
+
+    return html`
+      <div
+        class=${this._rowClass(item)}
+        role="listitem"
+        tabindex=${tabindex}
+        data-key=${item._key}
+        data-index=${index}
+        draggable=${reorder ? 'true' : nothing}
+        aria-keyshortcuts=${reorder ? 'Alt+ArrowUp Alt+ArrowDown' : nothing}
+        @click=${(e) => this._handleItemClick(item, index, e)}
+        @focus=${() => { this._focusIndex = index; }}
+        @keydown=${(e) => this._handleItemKeydown(e, item, index)}
+        @dragstart=${(e) => this._handleDragStart(e, item)}
+        @dragover=${(e) => this._handleDragOver(e, item)}
+        @drop=${this._handleDrop}
+        @dragend=${this._handleDragEnd}
+      >
+        ${reorder || multiple ? html`
+          <div class="item-controls">
+            ${reorder ? html`<span class="drag-handle" aria-hidden="true">⠿</span>` : nothing}
+            ${multiple ? this._renderCheckbox(item, index) : nothing}
+            <div class="item-content">${content}</div>
+          </div>
+        ` : content}
+      </div>
+    `;
+  }
+
+  /**
+   * Whether a row is highlighted as selected
+   * @param {object} item
+   * @private
+   */
+  _isSelected(item) {
+    return this.selection === 'multiple' ? this._selection.has(item._key) : item._key === this._selectedKey;
+  }
+
+  /**
+   * Render a row selection checkbox
+   * @param {object} item
+   * @param {number} index
+   * @private
+   */
+  _renderCheckbox(item, index) {
+    return html`
+      <input
+        type="checkbox"
+        class="item-checkbox"
+        tabindex="-1"
+        aria-label="Select item"
+        .checked=${live(this._selection.has(item._key))}
+        @click=${(e) => this._handleCheckboxClick(e, item, index)}
+      />
+    `;
+  }
+
+  /**
+   * Render the checkbox that selects all visible items
+   * @private
+   */
+  _renderSelectAll() {
+    const selectedCount = this._viewItems.filter(item => this._selection.has(item._key)).length;
+    const allSelected = selectedCount > 0 && selectedCount === this._viewItems.length;
+
+    return html`
+      <input
+        type="checkbox"
+        class="select-all"
+        aria-label="Select all visible items"
+        .checked=${live(allSelected)}
+        .indeterminate=${selectedCount > 0 && !allSelected}
+        @change=${(e) => this._toggleAllVisible(e.target.checked)}
+      />
+    `;
+  }
+
+  /**
+   * Handle keyboard interaction on a row
+   * @param {KeyboardEvent} e
+   * @param {object} item
+   * @param {number} index
+   * @private
+   */
+  _handleItemKeydown(e, item, index) {
+    if (e.key === 'Enter') {
+      this._handleItemClick(item, index);
+      return;
+    }
+
+    // F2 edits the first editable column of the row
+    if (e.key === 'F2' && this.editable) {
+      const column = this._getColumns().find(candidate => this._getEditField(candidate, item));
+      if (column) {
+        e.preventDefault();
+        this.startEdit(item._key, column.field);
+      }
+      return;
+    }
+
+    // Alt+Arrow moves the row in reorderable mode
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && this._canReorder()) {
+      e.preventDefault();
+      const row = e.currentTarget;
+      const target = index + (e.key === 'ArrowUp' ? -1 : 1);
+      if (target >= 0 && target < this._viewItems.length) {
+        this.moveItem(item._key, target)
+          .then(() => this._focusRowOf(row))
+          .catch(() => {
+            // Reported through list-error
+          });
+      }
+      return;
+    }
+
+    // Space toggles the row, shift+Space extends the range
+    if (e.key === ' ' && this.selection === 'multiple') {
+      e.preventDefault();
+      this._selectItem(item, index, { range: e.shiftKey, toggle: true });
+      return;
+    }
+
+    if (!this._isVirtual()) return;
+
+    const targets = {
+      ArrowDown: index + 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: this._viewItems.length - 1,
+    };
+
+    if (e.key in targets) {
+      e.preventDefault();
+      this._focusItem(Math.max(0, Math.min(this._viewItems.length - 1, targets[e.key])));
+    }
+  }
+
+  /**
+   * Scroll a virtual row into view and focus it
+   * @param {number} index
+   * @private
+   */
+  async _focusItem(index) {
+    const { offsets } = this._getVirtualLayout();
+    const container = this.shadowRoot.querySelector('.list-container');
+    const top = offsets[index];
+    const bottom = offsets[index + 1] - this._rowGap;
+
+    if (container) {
+      if (top < container.scrollTop) {
+        container.scrollTop = top;
+      } else if (bottom > container.scrollTop + container.clientHeight) {
+        container.scrollTop = bottom - container.clientHeight;
+      }
+      this._scrollTop = container.scrollTop;
+    }
+
+    this._focusIndex = index;
+    await this.updateComplete;
+    const row = this.shadowRoot.querySelector(`.list-item[data-index="${index}"]`);
+    if (row) {
+      row.focus();
+    }
+  }
+
+  /**
+   * Compute row offsets for virtual mode. Unmeasured rows use the average
+   * measured height until they have been rendered once.
+   * @returns {{ offsets: number[], start: number, end: number }}
+   * @private
+   */
+  _getVirtualLayout() {
+    const count = this._viewItems.length;
+    const measured = [...this._rowHeights.values()];
+    const estimate = this.rowHeight
+      || (measured.length ? measured.reduce((sum, h) => sum + h, 0) / measured.length : 48);
+
+    const offsets = new Array(count + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < count; i++) {
+      const height = this.rowHeight || this._rowHeights.get(this._viewItems[i]._key) || estimate;
+      offsets[i + 1] = offsets[i] + height + this._rowGap;
+    }
+
+    const viewportEnd = this._scrollTop + (this._viewportHeight || estimate * 10);
+    const overscan = 3;
+
+    let start = 0;
+    while (start < count && offsets[start + 1] <= this._scrollTop) start++;
+    let end = start;
+    while (end < count && offsets[end] < viewportEnd) end++;
+
+    return {
+      offsets,
+      start: Math.max(0, start - overscan),
+      end: Math.min(count, end + overscan),
+    };
+  }
+
+  /**
+   * Measure rendered rows and the viewport in virtual mode
+   * @private
+   */
+  _measureVirtualRows() {
+    const container = this.shadowRoot.querySelector('.list-container');
+    if (!container) return;
+
+    let changed = false;
+
+    if (container.clientHeight !== this._viewportHeight) {
+      this._viewportHeight = container.clientHeight;
+    }
+
+    const windowEl = container.querySelector('.virtual-window');
+    const gap = windowEl ? parseFloat(getComputedStyle(windowEl).rowGap) || 0 : 0;
+    if (gap !== this._rowGap) {
+      this._rowGap = gap;
+      changed = true;
+    }
+
+    if (!this.rowHeight) {
+      container.querySelectorAll('.list-item[data-key]').forEach((row) => {
+        const height = row.getBoundingClientRect().height;
+        const previous = this._rowHeights.get(row.dataset.key);
+        if (height > 0 && (previous === undefined || Math.abs(previous - height) > 0.5)) {
+          this._rowHeights.set(row.dataset.key, height);
+          changed = true;
+        }
+      });
+    }
+
+    if (changed) {
+      this.requestUpdate();
+    }
+  }
+
+  /**
+   * Handle scrolling of the virtual viewport
+   * @param {Event} e
+   * @private
+   */
+  _handleVirtualScroll(e) {
+    this._scrollTop = e.target.scrollTop;
+
+    if (this.infinite && this._hasMore) {
+      const { end } = this._getVirtualLayout();
+      if (end >= this._viewItems.length) {
+        this.loadMore();
+      }
+    }
+  }
+
+  /**
+   * Render only the rows inside the viewport
+   * @param {(item: object, index: number) => import('lit').TemplateResult} renderer
+   * @private
+   */
+  _renderVirtualItems(renderer) {
+    const { offsets, start, end } = this._getVirtualLayout();
+    const visible = this._viewItems.slice(start, end);
+
+    // Keep one tabbable row even when the focused one has scrolled away
+    this._rovingIndex = this._focusIndex >= start && this._focusIndex < end ? this._focusIndex : start;
+
+    return html`
+      <div class="list-container list-container--virtual" role="list" @scroll=${this._handleVirtualScroll}>
+        <div class="virtual-spacer" style="height: ${offsets[offsets.length - 1]}px">
+          <div class="virtual-window" style="transform: translateY(${offsets[start]}px)">
+            ${repeat(visible, item => item._key, (item, i) => this._renderItem(item, start + i, renderer))}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Columns for the table layout: the `columns` property, or one column per
+   * field of the first item when none are defined
+   * @returns {ColumnDefinition[]}
+   * @private
+   */
+  _getColumns() {
+    if (this.columns.length > 0) {
+      return this.columns;
+    }
+
+    const first = this._viewItems[0] || {};
+    return Object.keys(first)
+      .filter(field => field !== '_key')
+      .map(field => ({ field }));
+  }
+
+  /**
+   * Format a cell value with the column formatter
+   * @param {ColumnDefinition} column
+   * @param {object} item
+   * @private
+   */
+  _formatCell(column, item) {
+    const value = getFieldValue(item, column.field);
+    if (column.formatter) {
+      return column.formatter(value, item);
+    }
+    return value === undefined || value === null ? '' : value;
+  }
+
+  /**
+   * Inline style for a column cell
+   * @param {ColumnDefinition} column
+   * @private
+   */
+  _cellStyle(column) {
+    const width = toCssWidth(column.width);
+    return [
+      width ? `width: ${width}` : '',
+      column.align ? `text-align: ${column.align}` : '',
+    ].filter(Boolean).join('; ');
+  }
+
+  /**
+   * Render a table row
+   * @param {object} item
+   * @param {number} index
+   * @param {ColumnDefinition[]} columns
+   * @private
+   */
+  _renderTableRow(item, index, columns) {
+    const tabindex = this._isVirtual() ? (index === this._rovingIndex ? '0' : '-1') : '0';
+    const reorder = this._canReorder();
+
+    return html`
+      <tr
+        class=${this._rowClass(item)}
+        tabindex=${tabindex}
+        data-key=${item._key}
+        data-index=${index}
+        draggable=${reorder ? 'true' : nothing}
+        aria-keyshortcuts=${reorder ? 'Alt+ArrowUp Alt+ArrowDown' : nothing}
+        @click=${(e) => this._handleItemClick(item, index, e)}
+        @focus=${() => { this._focusIndex = index; }}
+        @keydown=${(e) => this._handleItemKeydown(e, item, index)}
+        @dragstart=${(e) => this._handleDragStart(e, item)}
+        @dragover=${(e) => this._handleDragOver(e, item)}
+        @drop=${this._handleDrop}
+        @dragend=${this._handleDragEnd}
+      >
+        ${reorder ? html`<td class="drag-cell"><span class="drag-handle" aria-hidden="true">⠿</span></td>` : nothing}
+        ${this.selection === 'multiple' ? html`<td class="select-cell">${this._renderCheckbox(item, index)}</td>` : nothing}
+        ${columns.map(column => html`
+          <td
+            style=${this._cellStyle(column)}
+            @dblclick=${() => this._handleCellDblclick(column, item)}
+          >${this._renderCellValue(column, item)}</td>
+        `)}
+      </tr>
+    `;
+  }
+
+  /**
+   * Render a column header, with a sort button unless the column opts out
+   * @param {ColumnDefinition} column
+   * @private
+   */
+  _renderHeaderCell(column) {
+    const label = column.label ?? column.field;
+    if (column.sortable === false) {
+      return html`<th scope="col" style=${this._cellStyle(column)}>${label}</th>`;
+    }
+
+    const position = this.sort.findIndex(key => key.field === column.field);
+    const key = this.sort[position];
+    const ariaSort = key ? (key.direction === 'desc' ? 'descending' : 'ascending') : 'none';
+
+    return html`
+      <th scope="col" style=${this._cellStyle(column)} aria-sort=${ariaSort}>
+        <button
+          class="sort-btn"
+          title="Sort by ${label} (shift-click to add a sort key)"
+          @click=${(e) => this.toggleSort(column.field, e.shiftKey)}
+        >
+          ${label}
+          ${key ? html`
+            <span class="sort-indicator" aria-hidden="true">${key.direction === 'desc' ? '▼' : '▲'}</span>
+            ${this.sort.length > 1 ? html`<span class="sort-priority" aria-hidden="true">${position + 1}</span>` : nothing}
+          ` : nothing}
+        </button>
+      </th>
+    `;
+  }
+
+  /**
+   * Render the table layout as a semantic table
+   * @private
+   */
+  _renderTable() {
+    const columns = this._getColumns();
+    let rows;
+
+    if (this._isVirtual()) {
+      // Spacer rows stand in for the rows outside the viewport
+      const { offsets, start, end } = this._getVirtualLayout();
+      const total = offsets[offsets.length - 1];
+      this._rovingIndex = this._focusIndex >= start && this._focusIndex < end ? this._focusIndex : start;
+      rows = html`
+        <tr class="virtual-spacer-row" aria-hidden="true" style="height: ${offsets[start]}px"></tr>
+        ${repeat(
+          this._viewItems.slice(start, end),
+          item => item._key,
+          (item, i) => this._renderTableRow(item, start + i, columns)
+        )}
+        <tr class="virtual-spacer-row" aria-hidden="true" style="height: ${total - offsets[end]}px"></tr>
+      `;
+    } else if (this.groupBy) {
+      const span = columns.length + (this._canReorder() ? 1 : 0) + (this.selection === 'multiple' ? 1 : 0);
+      let start = 0;
+      rows = this._groups.map(group => {
+        const offset = start;
+        if (!group.collapsed) start += group.items.length;
+
+        return html`
+          <tbody class="list-group">
+            <tr class="group-row">
+              <th scope="colgroup" colspan=${span}>${this._renderGroupToggle(group)}</th>
+            </tr>
+            ${group.collapsed ? nothing : group.items.map((item, i) => this._renderTableRow(item, offset + i, columns))}
+          </tbody>
+        `;
+      });
+    } else {
+      rows = this._viewItems.map((item, index) => this._renderTableRow(item, index, columns));
+    }
+
+    return html`
+      <div class="list-container list-container--table" @scroll=${this._isVirtual() ? this._handleVirtualScroll : null}>
+        <table class="list-table">
+          <thead>
+            <tr>
+              ${this._canReorder() ? html`<th scope="col" class="drag-cell"><span class="sr-only">Order</span></th>` : nothing}
+              ${this.selection === 'multiple' ? html`<th scope="col" class="select-cell">${this._renderSelectAll()}</th>` : nothing}
+              ${columns.map(column => html`
+                ${this._renderHeaderCell(column)}
+              `)}
+            </tr>
+          </thead>
+          ${this.groupBy ? rows : html`<tbody>${rows}</tbody>`}
+          ${this._renderTableSummary(columns)}
+        </table>
+      </div>
+    `;
+  }
+
   render() {
     if (this._loading && this.showLoading) {
       return this._renderLoading();
@@ -441,29 +3227,61 @@ export class FirebaseAutolist extends LitElement {
       return this._renderError();
     }
 
+    // Keep the header, with its search box, above the empty state
     if (this._items.length === 0) {
-      return this._renderEmpty();
+      return html`
+        ${this._renderHeader()}
+        ${this._renderEmpty()}
+      `;
     }
 
     const renderer = this._customRenderer || this._defaultItemRenderer.bind(this);
 
+    // Collapsed groups also empty the view, but still render their headers
+    if (this._viewItems.length === 0 && this._groups.length === 0) {
+      return html`
+        ${this._renderHeader()}
+        <div class="empty">No items match "${this.searchQuery}"</div>
+      `;
+    }
+
+    if (this.layout === 'table') {
+      return html`
+        ${this._renderHeader()}
+        ${this._renderTable()}
+        ${this._renderSentinel()}
+        ${this._renderAnnouncement()}
+      `;
+    }
+
+    if (this.groupBy) {
+      return html`
+        ${this._renderHeader()}
+        ${this._renderGroupedItems(renderer)}
+        ${this._renderSummary()}
+        ${this._renderSentinel()}
+        ${this._renderAnnouncement()}
+      `;
+    }
+
+    if (this._isVirtual()) {
+      return html`
+        ${this._renderHeader()}
+        ${this._renderVirtualItems(renderer)}
+        ${this._renderSummary()}
+        ${this._renderSentinel()}
+        ${this._renderAnnouncement()}
+      `;
+    }
+
     return html`
       ${this._renderHeader()}
       <div class="list-container" role="list">
-        ${this._items.map((item, index) => html`
-          <div
-            class="list-item ${item._key === this._selectedKey ? 'list-item--selected' : ''}"
-            role="listitem"
-            tabindex="0"
-            @click=${() => this._handleItemClick(item, index)}
-            @keydown=${(e) => e.key === 'Enter' && this._handleItemClick(item, index)}
-          >
-            <slot name="item" .item=${item} .index=${index}>
-              ${renderer(item, index)}
-            </slot>
-          </div>
-        `)}
+        ${this._viewItems.map((item, index) => this._renderItem(item, index, renderer))}
       </div>
+      ${this._renderSummary()}
+      ${this._renderSentinel()}
+      ${this._renderAnnouncement()}
     `;
   }
 }
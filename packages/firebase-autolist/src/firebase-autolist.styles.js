@@ -43,6 +43,10 @@ export const styles = css`
     border-color: var(--firebase-autolist-selected-border, #007bff);
   }
 
+  .list-item--deleted {
+    opacity: var(--firebase-autolist-deleted-opacity, 0.5);
+  }
+
   .loading {
     display: flex;
     align-items: center;
@@ -97,7 +101,107 @@ export const styles = css`
     color: var(--firebase-autolist-count-color, #6c757d);
   }
 
-  .refresh-btn {
+  .list-offline {
+    padding: 0.125rem 0.5rem;
+    border-radius: 999px;
+    font-size: 0.75rem;
+    color: var(--firebase-autolist-offline-color, #6c757d);
+    background-color: var(--firebase-autolist-offline-bg, #e2e3e5);
+  }
+
+  .search-input {
+    flex: 1;
+    max-width: var(--firebase-autolist-search-width, 240px);
+    padding: 0.25rem 0.5rem;
+    border: 1px solid var(--firebase-autolist-refresh-border, #dee2e6);
+    border-radius: 4px;
+    font: inherit;
+    font-size: 0.875rem;
+  }
+
+  .search-input:focus {
+    outline: 2px solid var(--firebase-autolist-focus-color, #007bff);
+    outline-offset: -1px;
+  }
+
+  .search-hit {
+    padding: 0;
+    color: inherit;
+    background-color: var(--firebase-autolist-highlight-bg, #fff3bf);
+  }
+
+  .list-selection {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+  }
+
+  .selection-count {
+    font-size: 0.875rem;
+    color: var(--firebase-autolist-count-color, #6c757d);
+  }
+
+  .item-controls {
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
+  }
+
+  .item-content {
+    flex: 1;
+    min-width: 0;
+  }
+
+  .item-checkbox,
+  .select-all {
+    margin: 0;
+    cursor: pointer;
+    accent-color: var(--firebase-autolist-focus-color, #007bff);
+  }
+
+  .list-table .select-cell,
+  .list-table .drag-cell {
+    width: 1%;
+  }
+
+  .drag-handle {
+    cursor: grab;
+    color: var(--firebase-autolist-count-color, #6c757d);
+    user-select: none;
+  }
+
+  .list-item.list-item--drop-before {
+    box-shadow: inset 0 2px 0 var(--firebase-autolist-focus-color, #007bff);
+  }
+
+  .list-item.list-item--drop-after {
+    box-shadow: inset 0 -2px 0 var(--firebase-autolist-focus-color, #007bff);
+  }
+
+  .sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+  }
+
+  .list-pager {
+    display: flex;
+    gap: 0.25rem;
+  }
+
+  .list-sentinel {
+    display: flex;
+    justify-content: center;
+    padding: 1rem 0;
+  }
+
+  .refresh-btn,
+  .export-btn,
+  .page-btn,
+  .load-more-btn {
     background: none;
     border: 1px solid var(--firebase-autolist-refresh-border, #dee2e6);
     border-radius: 4px;
@@ -108,23 +212,242 @@ export const styles = css`
     transition: background-color 0.2s;
   }
 
-  .refresh-btn:hover {
+  .refresh-btn:hover,
+  .export-btn:hover,
+  .page-btn:hover:not(:disabled),
+  .load-more-btn:hover:not(:disabled) {
     background-color: var(--firebase-autolist-refresh-hover-bg, #f8f9fa);
   }
 
+  .page-btn:disabled,
+  .load-more-btn:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+
   /* Grid layout option */
   :host([layout="grid"]) .list-container {
     display: grid;
     grid-template-columns: repeat(auto-fill, minmax(var(--firebase-autolist-grid-min, 250px), 1fr));
   }
 
+  /* Summary footer */
+  .list-footer {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 1rem;
+    margin-top: 1rem;
+    padding-top: 0.5rem;
+    border-top: 1px solid var(--firebase-autolist-header-border, #e9ecef);
+    font-size: 0.875rem;
+  }
+
+  .summary-field {
+    display: inline-flex;
+    gap: 0.5rem;
+  }
+
+  .summary-label {
+    font-weight: 600;
+  }
+
+  .summary-value + .summary-value {
+    margin-left: 0.5rem;
+  }
+
+  .summary-op {
+    color: var(--firebase-autolist-count-color, #6c757d);
+  }
+
+  .list-table tfoot td {
+    font-weight: 600;
+    border-top: 2px solid var(--firebase-autolist-header-border, #e9ecef);
+    border-bottom: none;
+    background-color: var(--firebase-autolist-header-bg, #f8f9fa);
+  }
+
+  /* Grouped rendering */
+  .list-container--grouped,
+  :host([layout="grid"]) .list-container--grouped {
+    display: flex;
+    flex-direction: column;
+    gap: var(--firebase-autolist-group-gap, 1rem);
+  }
+
+  .group-items {
+    display: flex;
+    flex-direction: column;
+    gap: var(--firebase-autolist-gap, 0.5rem);
+  }
+
+  :host([layout="grid"]) .group-items {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(var(--firebase-autolist-grid-min, 250px), 1fr));
+  }
+
+  .group-header {
+    position: sticky;
+    top: 0;
+    z-index: 1;
+    margin-bottom: var(--firebase-autolist-gap, 0.5rem);
+    background-color: var(--firebase-autolist-group-bg, #ffffff);
+  }
+
+  .group-toggle {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    width: 100%;
+    padding: 0.25rem 0;
+    border: none;
+    background: none;
+    font: inherit;
+    font-weight: 600;
+    color: var(--firebase-autolist-header-color, #495057);
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .group-toggle:focus-visible {
+    outline: 2px solid var(--firebase-autolist-focus-color, #007bff);
+  }
+
+  .group-count {
+    padding: 0 0.5rem;
+    border-radius: 1rem;
+    font-size: 0.75rem;
+    font-weight: normal;
+    color: var(--firebase-autolist-count-color, #6c757d);
+    background-color: var(--firebase-autolist-header-bg, #f8f9fa);
+  }
+
+  .list-table .group-row th {
+    top: var(--firebase-autolist-group-sticky-top, 2.25rem);
+    background-color: var(--firebase-autolist-group-bg, #ffffff);
+  }
+
   /* Table layout option */
   :host([layout="table"]) .list-container {
-    display: table;
+    display: block;
+    overflow-x: auto;
+  }
+
+  .list-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: var(--firebase-autolist-table-font-size, 0.875rem);
+  }
+
+  .list-table th,
+  .list-table td {
+    padding: var(--firebase-autolist-cell-padding, 0.5rem 0.75rem);
+    text-align: left;
+    border-bottom: 1px solid var(--firebase-autolist-item-border, #e9ecef);
+  }
+
+  .list-table th {
+    position: sticky;
+    top: 0;
+    z-index: 1;
+    font-weight: 600;
+    color: var(--firebase-autolist-header-color, #495057);
+    background-color: var(--firebase-autolist-header-bg, #f8f9fa);
+  }
+
+  .list-table th[aria-sort] {
+    padding: 0;
+  }
+
+  .sort-btn {
+    display: flex;
+    align-items: center;
+    gap: 0.25rem;
     width: 100%;
+    padding: var(--firebase-autolist-cell-padding, 0.5rem 0.75rem);
+    border: none;
+    background: none;
+    font: inherit;
+    color: inherit;
+    text-align: inherit;
+    cursor: pointer;
+  }
+
+  .sort-btn:focus-visible {
+    outline: 2px solid var(--firebase-autolist-focus-color, #007bff);
+    outline-offset: -2px;
+  }
+
+  .sort-indicator {
+    font-size: 0.625rem;
+  }
+
+  .sort-priority {
+    font-size: 0.625rem;
+    font-weight: normal;
+  }
+
+  .list-table .list-item {
+    padding: 0;
+    border: none;
+    border-radius: 0;
+  }
+
+  .list-table .list-item:focus {
+    outline-offset: -2px;
+  }
+
+  .cell-editor {
+    box-sizing: border-box;
+    width: 100%;
+    min-width: 4rem;
+    padding: 0.125rem 0.25rem;
+    border: 1px solid var(--firebase-autolist-focus-color, #007bff);
+    border-radius: 4px;
+    font: inherit;
+  }
+
+  .cell-editor[type="checkbox"] {
+    width: auto;
+    min-width: 0;
   }
 
-  :host([layout="table"]) .list-item {
-    display: table-row;
+  .cell-editor[aria-invalid="true"] {
+    border-color: var(--firebase-autolist-error-color, #dc3545);
+  }
+
+  .cell-error {
+    margin-top: 0.25rem;
+    font-size: 0.75rem;
+    color: var(--firebase-autolist-error-color, #dc3545);
+  }
+
+  .item-field {
+    display: inline-flex;
+    flex-direction: column;
+    margin-right: 1rem;
+  }
+
+  .item-field-label {
+    font-size: 0.75rem;
+    color: var(--firebase-autolist-count-color, #6c757d);
+  }
+
+  /* Virtual layout option */
+  :host([virtual]) .list-container {
+    display: block;
+    height: var(--firebase-autolist-virtual-height, 400px);
+    overflow-y: auto;
+  }
+
+  .virtual-spacer {
+    position: relative;
+  }
+
+  .virtual-window {
+    display: flex;
+    flex-direction: column;
+    gap: var(--firebase-autolist-gap, 0.5rem);
+    will-change: transform;
   }
 `;
@@ -0,0 +1,191 @@
+/**
+ * Helpers used by the FirebaseAutolist component
+ */
+
+import { compareValues, getFieldValue, isEmptyValue } from '@manufosela/firebase-utils';
+
+/**
+ * Convert a column width to a CSS length
+ * @param {string | number | undefined} width
+ * @returns {string}
+ */
+export function toCssWidth(width) {
+  if (width === undefined || width === null || width === '') return '';
+  return typeof width === 'number' ? `${width}px` : String(width);
+}
+
+/**
+ * Sort items by several keys, keeping the original order for ties.
+ * Empty values stay at the end whatever the direction.
+ * @param {object[]} items
+ * @param {Array<{ field: string, direction: 'asc' | 'desc' }>} sortKeys
+ * @returns {object[]} A new array (the input when there is nothing to sort)
+ */
+export function sortItems(items, sortKeys) {
+  if (!sortKeys || sortKeys.length === 0) return items;
+
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      for (const { field, direction } of sortKeys) {
+        const aValue = getFieldValue(a.item, field);
+        const bValue = getFieldValue(b.item, field);
+        const result = compareValues(aValue, bValue);
+        if (result !== 0) {
+          const emptyInvolved = isEmptyValue(aValue) || isEmptyValue(bValue);
+          return direction === 'desc' && !emptyInvolved ? -result : result;
+        }
+      }
+      return a.index - b.index;
+    })
+    .map(({ item }) => item);
+}
+
+/**
+ * Evaluate a filter expression against an item.
+ * A group (`{ op: 'and' | 'or', filters }`) combines its children; any other
+ * entry is a predicate on `field`. Unknown operators are ignored.
+ * @param {object} item
+ * @param {object} filter - Predicate or group
+ * @returns {boolean}
+ */
+export function matchesFilter(item, filter) {
+  if (Array.isArray(filter.filters)) {
+    return filter.op === 'or'
+      ? filter.filters.some(child => matchesFilter(item, child))
+      : filter.filters.every(child => matchesFilter(item, child));
+  }
+
+  const value = getFieldValue(item, filter.field);
+
+  switch (filter.op) {
+    case 'equals':
+      return value === filter.value;
+    case 'range':
+      return !isEmptyValue(value)
+        && (filter.min === undefined || compareValues(value, filter.min) >= 0)
+        && (filter.max === undefined || compareValues(value, filter.max) <= 0);
+    case 'contains':
+      return !isEmptyValue(value)
+        && String(value).toLowerCase().includes(String(filter.value ?? '').toLowerCase());
+    case 'in':
+      return Array.isArray(filter.value) && filter.value.includes(value);
+    case 'exists':
+      return (value !== undefined && value !== null) === (filter.value !== false);
+    case 'boolean':
+      return (value === true) === (filter.value !== false);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Values an attribute string may stand for in stored records: the string
+ * itself, then the number or boolean it spells, if any
+ * @param {string} text
+ * @returns {Array<string | number | boolean>}
+ */
+export function spelledValues(text) {
+  if (text === 'true' || text === 'false') return [text, text === 'true'];
+
+  const number = Number(text);
+  return text.trim() !== '' && Number.isFinite(number) ? [text, number] : [text];
+}
+
+/**
+ * Server-side range for a predicate on the query order field, if it has one.
+ * Only equality, range and `boolean: true` map to startAt/endAt bounds.
+ * @param {object} filter
+ * @returns {{ start?: *, end?: * } | null}
+ */
+export function getFilterRange(filter) {
+  switch (filter.op) {
+    case 'equals':
+      return isEmptyValue(filter.value) ? null : { start: filter.value, end: filter.value };
+    case 'range':
+      return filter.min === undefined && filter.max === undefined
+        ? null
+        : { start: filter.min, end: filter.max };
+    case 'boolean':
+      return filter.value === false ? null : { start: true, end: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fold text for search: lowercase and without accents
+ * @param {*} text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split a search query into folded tokens
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenize(query) {
+  return foldText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check if every token appears in at least one of the item fields
+ * @param {object} item
+ * @param {string[]} fields
+ * @param {string[]} tokens - Folded tokens from tokenize()
+ * @returns {boolean}
+ */
+export function matchesSearch(item, fields, tokens) {
+  const haystack = fields
+    .map(field => getFieldValue(item, field))
+    .filter(value => value !== null && typeof value !== 'object')
+    .map(foldText)
+    .join('\n');
+
+  return tokens.every(token => haystack.includes(token));
+}
+
+/**
+ * Split text into segments, flagging the parts that match a token.
+ * Matching is accent-insensitive but the segments keep the original text.
+ * @param {*} text
+ * @param {string[]} tokens - Folded tokens from tokenize()
+ * @returns {Array<{ text: string, hit: boolean }>}
+ */
+export function splitHighlights(text, tokens) {
+  const source = String(text ?? '');
+  if (tokens.length === 0 || source === '') return [{ text: source, hit: false }];
+
+  // Fold char by char, so positions in the folded text map back to the source
+  let folded = '';
+  const sourceIndex = [];
+  for (let i = 0; i < source.length; i++) {
+    const char = foldText(source[i]);
+    folded += char;
+    for (let j = 0; j < char.length; j++) sourceIndex.push(i);
+  }
+  sourceIndex.push(source.length);
+
+  const hits = new Array(source.length).fill(false);
+  for (const token of tokens) {
+    let from = folded.indexOf(token);
+    while (from !== -1) {
+      for (let i = sourceIndex[from]; i < sourceIndex[from + token.length]; i++) hits[i] = true;
+      from = folded.indexOf(token, from + token.length);
+    }
+  }
+
+  const segments = [];
+  for (let i = 0; i < source.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.hit === hits[i]) {
+      last.text += source[i];
+    } else {
+      segments.push({ text: source[i], hit: hits[i] });
+    }
+  }
+  return segments;
+}
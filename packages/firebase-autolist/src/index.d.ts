@@ -8,24 +8,204 @@ export interface ListItem {
 export interface ListLoadedEventDetail {
   items: ListItem[];
   count: number;
+  /** Aggregates over the loaded items */
+  summary: Summary;
   path: string;
 }
 
+export type AggregateOperation = 'count' | 'sum' | 'avg' | 'min' | 'max' | 'distinct';
+
+export interface Summary {
+  count: number;
+  fields: Record<string, Partial<Record<AggregateOperation, unknown>>>;
+}
+
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+export interface ExportOptions {
+  /** Fields (dot paths) to export, in order */
+  fields?: string[];
+  /** Items to export (default: 'visible') */
+  scope?: 'visible' | 'all' | 'selected';
+  /** Download file name (default: last path segment plus extension) */
+  filename?: string;
+  /** CSV delimiter (default: ',') */
+  delimiter?: string;
+  /** Trigger a file download (default: true) */
+  download?: boolean;
+}
+
 export interface ItemClickEventDetail {
   item: ListItem;
   key: string;
   index: number;
 }
 
+export interface ItemEventDetail {
+  key: string;
+  item: ListItem;
+  index?: number;
+  previous?: ListItem;
+  from?: number;
+  to?: number;
+  path: string;
+}
+
+export interface PageChangedEventDetail {
+  page: number;
+  pageSize: number;
+  hasMore: boolean;
+  path: string;
+}
+
+export interface ColumnDefinition {
+  /** Item field to display (dot paths allowed) */
+  field: string;
+  /** Header label, defaults to the field name */
+  label?: string;
+  /** Cell formatter */
+  formatter?: (value: unknown, item: ListItem) => unknown;
+  /** Column width (number = px) */
+  width?: string | number;
+  /** Cell alignment */
+  align?: 'left' | 'center' | 'right';
+  /** Set to false to disable header sorting */
+  sortable?: boolean;
+  /** Set to false to disable inline editing */
+  editable?: boolean;
+}
+
+/** Field schema entry, as in firebase-autoform */
+export interface EditFieldSchema {
+  type: string;
+  label?: string;
+  required?: boolean;
+  placeholder?: string;
+  options?: Array<{ value: string; label: string }>;
+  min?: number;
+  max?: number;
+  step?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  disabled?: boolean;
+  readonly?: boolean;
+}
+
+export interface ItemEditedEventDetail {
+  key: string;
+  field: string;
+  oldValue: unknown;
+  newValue: unknown;
+  item: ListItem;
+  path: string;
+}
+
+export interface FilterPredicate {
+  /** Field to test (dot paths allowed) */
+  field: string;
+  op: 'equals' | 'range' | 'contains' | 'in' | 'exists' | 'boolean';
+  /** Operand (an array for `in`) */
+  value?: unknown;
+  /** Inclusive lower bound for `range` */
+  min?: unknown;
+  /** Inclusive upper bound for `range` */
+  max?: unknown;
+}
+
+export interface FilterGroup {
+  op: 'and' | 'or';
+  filters: FilterExpression[];
+}
+
+export type FilterExpression = FilterPredicate | FilterGroup;
+
+export interface FilterChangedEventDetail {
+  /** Active filters, including the filter-field pair */
+  filters: FilterExpression[];
+  /** Filters applied by the server query */
+  pushedDown: FilterPredicate[];
+  path: string;
+}
+
+export interface SearchChangedEventDetail {
+  query: string;
+  /** Number of matching items */
+  count: number;
+  path: string;
+}
+
+export interface SelectionChangedEventDetail {
+  selectedKeys: string[];
+  path: string;
+}
+
+export interface BulkActionEventDetail {
+  action: string;
+  keys: string[];
+  /** Change written for each key: fields to update, or null for a delete */
+  changes: Record<string, Record<string, unknown> | null>;
+  path: string;
+}
+
+export type BulkChange =
+  | Record<string, unknown>
+  | null
+  | ((item: ListItem) => Record<string, unknown> | null);
+
+export interface ItemReorderedEventDetail {
+  key: string;
+  /** Previous index in visibleItems */
+  from: number;
+  /** New index in visibleItems */
+  to: number;
+  /** New order value of the moved item */
+  order: number;
+  /** Order values written, by key (several when the list was renumbered) */
+  changes: Record<string, Record<string, number>>;
+  path: string;
+}
+
+export interface ListGroup {
+  /** Group key: the group label as a string */
+  key: string;
+  label: unknown;
+  count: number;
+  collapsed: boolean;
+}
+
+export interface GroupToggledEventDetail {
+  key: string;
+  collapsed: boolean;
+  path: string;
+}
+
+export interface SortKey {
+  /** Field to sort by (dot paths allowed) */
+  field: string;
+  direction: 'asc' | 'desc';
+}
+
+export interface SortChangedEventDetail {
+  sort: SortKey[];
+  path: string;
+}
+
 export type ItemRenderer = (item: ListItem, index: number) => TemplateResult;
 
 export declare class FirebaseAutolist extends LitElement {
-  /** Database path to list from */
+  /** Database path to list from (collection name in Firestore mode) */
   path: string;
 
+  /** Storage backend */
+  backend: 'rtdb' | 'firestore';
+
   /** Enable real-time sync */
   autoSync: boolean;
 
+  /** Sync strategy: full snapshots or child event patches (RTDB only) */
+  syncMode: 'value' | 'child';
+
   /** Field to order by */
   orderBy: string;
 
@@ -35,12 +215,105 @@ export declare class FirebaseAutolist extends LitElement {
   /** Limit results */
   limitTo: number;
 
-  /** Filter field */
+  /** Page size for cursor-based pagination (0 = no pagination), also the infinite window size */
+  pageSize: number;
+
+  /** Load more items when scrolling to the end of the list */
+  infinite: boolean;
+
+  /** RTDB path holding the total item count, shown in infinite mode */
+  countPath: string;
+
+  /**
+   * Filter field. Matches a case-insensitive substring on the client, or the
+   * exact value when the server applies it (Firestore, or RTDB with the same order-by)
+   */
   filterField: string;
 
   /** Filter value */
   filterValue: string;
 
+  /** Filter expressions, combined with AND; `{ op: 'or', filters }` groups match any of theirs */
+  filters: FilterExpression[];
+
+  /** Show a search box in the header */
+  searchable: boolean;
+
+  /** Fields the search box matches against */
+  searchFields: string[];
+
+  /** Current search query */
+  searchQuery: string;
+
+  /** Delay in ms before a keystroke updates the search */
+  searchDebounce: number;
+
+  /** Layout type */
+  layout: 'list' | 'grid' | 'table';
+
+  /** Column definitions for the table layout and the default renderer */
+  columns: ColumnDefinition[];
+
+  /** Client-side sort keys, applied in order */
+  sort: SortKey[];
+
+  /** Send a single-key sort to the server query instead of order-by */
+  serverSort: boolean;
+
+  /** Only render the rows inside the scroll viewport */
+  virtual: boolean;
+
+  /** Fixed row height in px for virtual mode (0 = measure rows) */
+  rowHeight: number;
+
+  /** Selection mode: one item, or several with checkboxes */
+  selection: 'single' | 'multiple';
+
+  /** Keys of the selected items in multiple selection mode */
+  selectedKeys: string[];
+
+  /** Loaded items that are selected */
+  readonly selectedItems: ListItem[];
+
+  /** Edit column values in place on double-click */
+  editable: boolean;
+
+  /** Field schemas typing and validating inline edits */
+  editSchema: Record<string, EditFieldSchema>;
+
+  /** Let users reorder rows by drag and drop or Alt+Arrow keys */
+  reorderable: boolean;
+
+  /** Numeric field holding the manual order */
+  orderField: string;
+
+  /** Field to group rows by */
+  groupBy: string;
+
+  /** Maps an item's group-by value to its group label */
+  groupFormatter: ((value: unknown, item: ListItem) => unknown) | null;
+
+  /** Groups in group-by mode, in display order */
+  readonly groups: ListGroup[];
+
+  /** Aggregates per field: one operation or a list of them */
+  aggregates: Record<string, AggregateOperation | AggregateOperation[]>;
+
+  /** Render the aggregates in a footer row */
+  showSummary: boolean;
+
+  /** Aggregates over the loaded items */
+  readonly summary: Summary;
+
+  /** Show an export button in the header */
+  showExport: boolean;
+
+  /** Format used by the export button */
+  exportFormat: ExportFormat;
+
+  /** Show soft-deleted rows (with `_deletedAt`) */
+  showDeleted: boolean;
+
   /** Show loading state */
   showLoading: boolean;
 
@@ -56,20 +329,138 @@ export declare class FirebaseAutolist extends LitElement {
   /** Item count */
   readonly count: number;
 
+  /** Items in display order, after client-side sorting */
+  readonly visibleItems: ListItem[];
+
+  /** Current page index (0-based) */
+  readonly page: number;
+
+  /** Whether there are more items after the current page */
+  readonly hasMore: boolean;
+
+  /** Total item count in infinite mode, when known */
+  readonly total: number | null;
+
   /**
    * Set custom item renderer
    * @param renderer - Custom render function
    */
   setItemRenderer(renderer: ItemRenderer): void;
 
+  /**
+   * Cycle the sort on a field (asc, desc, unsorted)
+   * @param field - Field to sort by
+   * @param additive - Add it as a secondary key instead of replacing the sort
+   */
+  toggleSort(field: string, additive?: boolean): void;
+
   /**
    * Refresh the list
    */
   refresh(): Promise<void>;
+
+  /**
+   * Load the next page
+   */
+  nextPage(): Promise<void>;
+
+  /**
+   * Load the previous page
+   */
+  prevPage(): Promise<void>;
+
+  /**
+   * Load the next window of items in infinite mode
+   */
+  loadMore(): Promise<void>;
+
+  /**
+   * Select every visible item (after filters and search)
+   */
+  selectAll(): void;
+
+  /**
+   * Clear the selection
+   */
+  clearSelection(): void;
+
+  /**
+   * Write a change to every selected item in one multi-path update
+   * @param action - Action name reported in the bulk-action event
+   * @param change - Fields to update, null to delete, or a function per item
+   */
+  bulkAction(action: string, change?: BulkChange): Promise<void>;
+
+  /**
+   * Delete the selected items
+   */
+  deleteSelected(): Promise<void>;
+
+  /**
+   * Start editing a field of an item in place
+   */
+  startEdit(key: string, field: string): void;
+
+  /**
+   * Cancel the current inline edit without writing
+   */
+  cancelEdit(): void;
+
+  /**
+   * Validate and write the current inline edit
+   */
+  commitEdit(): Promise<void>;
+
+  /**
+   * Move an item to a position among the visible items and persist its order
+   * @param key - Item key
+   * @param toIndex - Target index in visibleItems
+   */
+  moveItem(key: string, toIndex: number): Promise<void>;
+
+  /**
+   * Collapse or expand a group
+   * @param key - Group key
+   * @param collapsed - Defaults to toggling
+   */
+  toggleGroup(key: string, collapsed?: boolean): void;
+
+  /**
+   * Collapse every group
+   */
+  collapseAll(): void;
+
+  /**
+   * Expand every group
+   */
+  expandAll(): void;
+
+  /**
+   * Serialize items and download them as a file
+   * @param format - Output format (default: 'csv')
+   * @returns Serialized content
+   */
+  exportAs(format?: ExportFormat, options?: ExportOptions): string;
 }
 
 declare global {
   interface HTMLElementTagNameMap {
     'firebase-autolist': FirebaseAutolist;
   }
+
+  interface HTMLElementEventMap {
+    'page-changed': CustomEvent<PageChangedEventDetail>;
+    'item-added': CustomEvent<ItemEventDetail>;
+    'item-changed': CustomEvent<ItemEventDetail>;
+    'item-removed': CustomEvent<ItemEventDetail>;
+    'item-moved': CustomEvent<ItemEventDetail>;
+    'sort-changed': CustomEvent<SortChangedEventDetail>;
+    'filter-changed': CustomEvent<FilterChangedEventDetail>;
+    'search-changed': CustomEvent<SearchChangedEventDetail>;
+    'selection-changed': CustomEvent<SelectionChangedEventDetail>;
+    'bulk-action': CustomEvent<BulkActionEventDetail>;
+    'item-edited': CustomEvent<ItemEditedEventDetail>;
+    'item-reordered': CustomEvent<ItemReorderedEventDetail>;
+    'group-toggled': CustomEvent<GroupToggledEventDetail>;
+  }
 }
@@ -1,4 +1,4 @@
-import { html, fixture, expect } from '@open-wc/testing';
+import { html, fixture, expect, oneEvent } from '@open-wc/testing';
 import '../src/index.js';
 
 describe('FirebaseAutolist', () => {
@@ -6,6 +6,7 @@ describe('FirebaseAutolist', () => {
     const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
 
     expect(el.path).to.equal('');
+    expect(el.backend).to.equal('rtdb');
     expect(el.autoSync).to.be.false;
     expect(el.orderDirection).to.equal('asc');
     expect(el.limitTo).to.equal(0);
@@ -83,4 +84,668 @@ describe('FirebaseAutolist', () => {
 
     expect(el.getAttribute('layout')).to.equal('grid');
   });
+
+  it('maps Firestore query snapshots to keyed items', async () => {
+    const el = await fixture(html`
+      <firebase-autolist backend="firestore" path="users"></firebase-autolist>
+    `);
+
+    setTimeout(() => el._handleQuerySnapshot({
+      docs: [
+        { id: 'a', data: () => ({ name: 'Ann' }) },
+        { id: 'b', data: () => ({ name: 'Bob' }) },
+      ],
+    }));
+    const event = await oneEvent(el, 'list-loaded');
+
+    expect(event.detail.items).to.deep.equal([
+      { _key: 'a', name: 'Ann' },
+      { _key: 'b', name: 'Bob' },
+    ]);
+    expect(event.detail.count).to.equal(2);
+  });
+
+  it('pages with a look-ahead item and reports hasMore', async () => {
+    const el = await fixture(html`<firebase-autolist page-size="2"></firebase-autolist>`);
+
+    el._applyPage([
+      { key: 'a', value: null, data: { name: 'A' } },
+      { key: 'b', value: null, data: { name: 'B' } },
+      { key: 'c', value: null, data: { name: 'C' } },
+    ]);
+
+    expect(el.hasMore).to.be.true;
+    expect(el.items.map(item => item._key)).to.deep.equal(['a', 'b']);
+    expect(el._pageEnd).to.deep.equal({ key: 'b', value: null });
+  });
+
+  it('reverses descending pages and anchors next page on the lowest item', async () => {
+    const el = await fixture(html`
+      <firebase-autolist page-size="2" order-by="score" order-direction="desc"></firebase-autolist>
+    `);
+
+    el._applyPage([
+      { key: 'a', value: 1, data: { score: 1 } },
+      { key: 'b', value: 2, data: { score: 2 } },
+      { key: 'c', value: 3, data: { score: 3 } },
+    ]);
+
+    expect(el.items.map(item => item._key)).to.deep.equal(['c', 'b']);
+    expect(el.hasMore).to.be.true;
+    expect(el._pageStart).to.deep.equal({ key: 'b', value: 2 });
+  });
+
+  it('appends infinite windows without duplicating keys', async () => {
+    const el = await fixture(html`<firebase-autolist infinite page-size="2"></firebase-autolist>`);
+    const first = { entries: [], full: false };
+    const second = { entries: [], full: false };
+    el._windows = [first, second];
+
+    el._applyWindow(first, [
+      { key: 'a', value: null, data: { name: 'A' } },
+      { key: 'b', value: null, data: { name: 'B' } },
+    ]);
+    el._applyWindow(second, [
+      { key: 'b', value: null, data: { name: 'B' } },
+      { key: 'c', value: null, data: { name: 'C' } },
+    ]);
+
+    expect(el.items.map(item => item._key)).to.deep.equal(['a', 'b', 'c']);
+    expect(el.hasMore).to.be.true;
+  });
+
+  it('shows loaded vs. total count in infinite mode', async () => {
+    const el = await fixture(html`<firebase-autolist infinite show-header></firebase-autolist>`);
+
+    el._items = [{ _key: '1' }, { _key: '2' }];
+    el._total = 10;
+    await el.updateComplete;
+
+    const count = el.shadowRoot.querySelector('.list-count');
+    expect(count.textContent).to.equal('2 of 10 items');
+  });
+
+  it('renders only the rows inside the viewport in virtual mode', async () => {
+    const el = await fixture(html`
+      <firebase-autolist virtual row-height="40" style="--firebase-autolist-virtual-height: 200px; --firebase-autolist-gap: 0px"></firebase-autolist>
+    `);
+
+    el._items = Array.from({ length: 1000 }, (_, i) => ({ _key: `k${i}` }));
+    await el.updateComplete;
+    await el.updateComplete;
+
+    const rows = el.shadowRoot.querySelectorAll('.list-item');
+    expect(rows.length).to.be.greaterThan(0);
+    expect(rows.length).to.be.lessThan(20);
+
+    const spacer = el.shadowRoot.querySelector('.virtual-spacer');
+    expect(spacer.style.height).to.equal('40000px');
+  });
+
+  it('keeps one tabbable row and moves focus with arrow keys in virtual mode', async () => {
+    const el = await fixture(html`<firebase-autolist virtual row-height="40"></firebase-autolist>`);
+
+    el._items = Array.from({ length: 100 }, (_, i) => ({ _key: `k${i}` }));
+    await el.updateComplete;
+
+    expect(el.shadowRoot.querySelectorAll('.list-item[tabindex="0"]').length).to.equal(1);
+
+    const first = el.shadowRoot.querySelector('.list-item[data-index="0"]');
+    first.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+    await el._focusItem(1);
+
+    expect(el._focusIndex).to.equal(1);
+    expect(el.shadowRoot.querySelector('.list-item[tabindex="0"]').dataset.index).to.equal('1');
+  });
+
+  it('patches items from child events and fires item-removed', async () => {
+    const el = await fixture(html`<firebase-autolist sync-mode="child"></firebase-autolist>`);
+    const child = (key, val) => ({ key, val: () => val });
+
+    el._handleChildAdded(child('a', { name: 'A' }), null);
+    el._handleChildAdded(child('b', { name: 'B' }), 'a');
+    el._childrenReady = true;
+
+    expect(el.items.map(item => item._key)).to.deep.equal(['a', 'b']);
+
+    setTimeout(() => el._handleChildRemoved(child('a', null)));
+    const event = await oneEvent(el, 'item-removed');
+
+    expect(event.detail.key).to.equal('a');
+    expect(event.detail.index).to.equal(0);
+    expect(el.items.map(item => item._key)).to.deep.equal(['b']);
+  });
+
+  it('appends children whose previous sibling is not known', async () => {
+    const el = await fixture(html`<firebase-autolist sync-mode="child"></firebase-autolist>`);
+    const child = (key, val) => ({ key, val: () => val });
+
+    el._handleChildAdded(child('a', { name: 'A' }), null);
+    el._handleChildAdded(child('b', { name: 'B' }), 'a');
+    el._handleChildAdded(child('d', { name: 'D' }), 'c');
+
+    expect(el.items.map(item => item._key)).to.deep.equal(['a', 'b', 'd']);
+    expect(el._childKeys).to.deep.equal(['a', 'b', 'd']);
+  });
+
+  it('removes items that stop matching the client-side filter', async () => {
+    const el = await fixture(html`
+      <firebase-autolist sync-mode="child" filter-field="status" filter-value="open"></firebase-autolist>
+    `);
+    const child = (key, val) => ({ key, val: () => val });
+
+    el._handleChildAdded(child('a', { status: 'open' }), null);
+    el._handleChildAdded(child('b', { status: 'closed' }), 'a');
+    expect(el.items.map(item => item._key)).to.deep.equal(['a']);
+
+    el._handleChildChanged(child('a', { status: 'closed' }));
+    el._handleChildChanged(child('b', { status: 'open' }));
+    expect(el.items.map(item => item._key)).to.deep.equal(['b']);
+  });
+
+  it('renders a semantic table from column definitions', async () => {
+    const el = await fixture(html`<firebase-autolist layout="table"></firebase-autolist>`);
+
+    el.columns = [
+      { field: 'name', label: 'Name', width: 120 },
+      { field: 'address.city', label: 'City' },
+      { field: 'total', label: 'Total', align: 'right', formatter: (v) => `${v} €` },
+    ];
+    el._items = [{ _key: 'a', name: 'Ann', address: { city: 'Madrid' }, total: 5 }];
+    await el.updateComplete;
+
+    const headers = [...el.shadowRoot.querySelectorAll('thead th')];
+    expect(headers.map(th => th.textContent.trim())).to.deep.equal(['Name', 'City', 'Total']);
+    expect(headers[0].style.width).to.equal('120px');
+
+    const cells = [...el.shadowRoot.querySelectorAll('tbody tr.list-item td')];
+    expect(cells.map(td => td.textContent.trim())).to.deep.equal(['Ann', 'Madrid', '5 €']);
+    expect(cells[2].style.textAlign).to.equal('right');
+  });
+
+  it('fires item-click from table rows', async () => {
+    const el = await fixture(html`<firebase-autolist layout="table"></firebase-autolist>`);
+
+    el._items = [{ _key: 'a', name: 'Ann' }];
+    await el.updateComplete;
+
+    const row = el.shadowRoot.querySelector('tbody tr.list-item');
+    setTimeout(() => row.click());
+    const event = await oneEvent(el, 'item-click');
+
+    expect(event.detail.key).to.equal('a');
+  });
+
+  it('cycles the sort from header clicks and sets aria-sort', async () => {
+    const el = await fixture(html`<firebase-autolist layout="table"></firebase-autolist>`);
+
+    el.columns = [{ field: 'name' }, { field: 'age' }];
+    el._items = [
+      { _key: 'a', name: 'Cid', age: 30 },
+      { _key: 'b', name: 'Ann', age: 9 },
+      { _key: 'c', name: 'Bob' },
+    ];
+    await el.updateComplete;
+
+    const button = () => el.shadowRoot.querySelectorAll('.sort-btn')[1];
+    setTimeout(() => button().click());
+    const event = await oneEvent(el, 'sort-changed');
+    await el.updateComplete;
+
+    expect(event.detail.sort).to.deep.equal([{ field: 'age', direction: 'asc' }]);
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['b', 'a', 'c']);
+    expect(el.shadowRoot.querySelectorAll('thead th')[1].getAttribute('aria-sort')).to.equal('ascending');
+
+    button().click();
+    await el.updateComplete;
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['a', 'b', 'c']);
+
+    button().click();
+    await el.updateComplete;
+    expect(el.sort).to.deep.equal([]);
+    expect(el.shadowRoot.querySelectorAll('thead th')[1].getAttribute('aria-sort')).to.equal('none');
+  });
+
+  it('adds secondary sort keys with shift-click', async () => {
+    const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
+
+    el._items = [
+      { _key: 'a', status: 'open', total: 1 },
+      { _key: 'b', status: 'closed', total: 2 },
+      { _key: 'c', status: 'open', total: 3 },
+    ];
+    el.toggleSort('status');
+    el.toggleSort('total', true);
+    el.toggleSort('total', true);
+    await el.updateComplete;
+
+    expect(el.sort).to.deep.equal([
+      { field: 'status', direction: 'asc' },
+      { field: 'total', direction: 'desc' },
+    ]);
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['b', 'c', 'a']);
+  });
+
+  it('combines filter predicates with AND/OR groups', async () => {
+    const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
+
+    el.filters = [
+      { field: 'price', op: 'range', min: 10, max: 50 },
+      { op: 'or', filters: [
+        { field: 'tags.sale', op: 'boolean', value: true },
+        { field: 'category', op: 'in', value: ['books', 'music'] },
+      ] },
+    ];
+
+    const items = el._filterItems([
+      { _key: 'a', price: 20, category: 'books' },
+      { _key: 'b', price: 20, category: 'games', tags: { sale: true } },
+      { _key: 'c', price: 20, category: 'games' },
+      { _key: 'd', price: 80, category: 'books' },
+      { _key: 'e', category: 'books' },
+    ]);
+
+    expect(items.map(item => item._key)).to.deep.equal(['a', 'b']);
+  });
+
+  it('hides soft-deleted rows unless show-deleted is set', async () => {
+    const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
+    const items = [
+      { _key: 'a', name: 'Kept' },
+      { _key: 'b', name: 'Trashed', _deletedAt: 1700000000000, _deletedBy: 'u1' },
+    ];
+
+    expect(el._filterItems(items).map(item => item._key)).to.deep.equal(['a']);
+
+    el.showDeleted = true;
+    el._items = el._filterItems(items);
+    await el.updateComplete;
+
+    expect(el._items.map(item => item._key)).to.deep.equal(['a', 'b']);
+    expect(el.shadowRoot.querySelectorAll('.list-item--deleted').length).to.equal(1);
+  });
+
+  it('leaves soft-deleted rows out of every snapshot shape', async () => {
+    const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
+    const snapshot = val => ({ exists: () => true, val: () => val });
+    const rendered = () => [...el.shadowRoot.querySelectorAll('.list-item')].length;
+
+    el._handleSnapshot(snapshot({ a: { name: 'Kept' }, b: { name: 'Trashed', _deletedAt: 1 } }));
+    await el.updateComplete;
+    expect(el.items.map(item => item._key)).to.deep.equal(['a']);
+    expect(rendered()).to.equal(1);
+
+    el._handleSnapshot(snapshot([{ name: 'Kept' }, { name: 'Trashed', _deletedAt: 1 }]));
+    await el.updateComplete;
+    expect(el.items.map(item => item._key)).to.deep.equal(['0']);
+    expect(rendered()).to.equal(1);
+
+    el._handleQuerySnapshot({
+      docs: [
+        { id: 'x', data: () => ({ name: 'Trashed', _deletedAt: 1 }) },
+        { id: 'y', data: () => ({ name: 'Kept' }) },
+      ],
+    });
+    await el.updateComplete;
+    expect(el.items.map(item => item._key)).to.deep.equal(['y']);
+    expect(rendered()).to.equal(1);
+  });
+
+  it('pushes order-field predicates to the query and reports them in filter-changed', async () => {
+    const el = await fixture(html`<firebase-autolist order-by="price"></firebase-autolist>`);
+    const filters = [
+      { field: 'name', op: 'contains', value: 'an' },
+      { field: 'price', op: 'range', min: 10 },
+    ];
+
+    setTimeout(() => { el.filters = filters; });
+    const event = await oneEvent(el, 'filter-changed');
+
+    expect(event.detail.filters).to.deep.equal(filters);
+    expect(event.detail.pushedDown).to.deep.equal([filters[1]]);
+    expect(el._getServerRange()).to.deep.equal({ start: 10, end: undefined });
+
+    el.filterField = 'price';
+    el.filterValue = 'free';
+    expect(el._getServerRange()).to.deep.equal({ start: 'free', end: 'free' });
+
+    // One range cannot match both '20' and 20, so the pair stays on the client
+    el.filterValue = '20';
+    expect(el._isFilterFieldPushed()).to.be.false;
+    expect(el._getServerRange()).to.deep.equal({ start: 10, end: undefined });
+    expect(el._filterItems([{ _key: 'a', name: 'Ann', price: 20 }, { _key: 'b', name: 'Dan', price: 30 }]).map(item => item._key))
+      .to.deep.equal(['a']);
+  });
+
+  it('matches the filter-field pair exactly when the server applies it', async () => {
+    const el = await fixture(html`
+      <firebase-autolist filter-field="status" filter-value="open"></firebase-autolist>
+    `);
+    const items = [
+      { _key: 'a', status: 'open' },
+      { _key: 'b', status: 'Reopened' },
+    ];
+
+    expect(el._filterItems(items).map(item => item._key)).to.deep.equal(['a', 'b']);
+
+    el.backend = 'firestore';
+    const where = (field, op, value) => ({ field, op, value });
+    expect(el._isFilterFieldPushed()).to.be.true;
+    expect(el._getFirestoreFilters(where)).to.deep.equal([{ field: 'status', op: '==', value: 'open' }]);
+    // The query already did the exact match; the client does not widen it
+    expect(el._filterItems([items[0]]).map(item => item._key)).to.deep.equal(['a']);
+
+    el.filterValue = '42';
+    expect(el._getFirestoreFilters(where)).to.deep.equal([{ field: 'status', op: 'in', value: ['42', 42] }]);
+    el.filterValue = 'true';
+    expect(el._getFirestoreFilters(where)).to.deep.equal([{ field: 'status', op: 'in', value: ['true', true] }]);
+  });
+
+  it('debounces the search box and matches accent-insensitive tokens', async () => {
+    const el = await fixture(html`
+      <firebase-autolist searchable search-fields="name,city" search-debounce="10" key-field="name"></firebase-autolist>
+    `);
+
+    el._items = [
+      { _key: 'a', name: 'José Pérez', city: 'Málaga' },
+      { _key: 'b', name: 'Ana Ruiz', city: 'Madrid' },
+    ];
+    await el.updateComplete;
+
+    const input = el.shadowRoot.querySelector('.search-input');
+    input.value = 'jose mala';
+    input.dispatchEvent(new Event('input'));
+    expect(el.searchQuery).to.equal('');
+
+    const event = await oneEvent(el, 'search-changed');
+    expect(event.detail).to.include({ query: 'jose mala', count: 1 });
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['a']);
+
+    const hits = [...el.shadowRoot.querySelectorAll('mark.search-hit')];
+    expect(hits.map(mark => mark.textContent)).to.deep.equal(['José']);
+  });
+
+  it('searches again when the columns or the key field change', async () => {
+    const el = await fixture(html`<firebase-autolist search-query="madrid" key-field="name"></firebase-autolist>`);
+
+    el._items = [
+      { _key: 'a', name: 'Ann', city: 'Madrid' },
+      { _key: 'b', name: 'Madrid Club', city: 'Lyon' },
+    ];
+    await el.updateComplete;
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['b']);
+
+    el.keyField = 'city';
+    await el.updateComplete;
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['a']);
+
+    el.columns = [{ field: 'name' }, { field: 'city' }];
+    await el.updateComplete;
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['a', 'b']);
+  });
+
+  it('shows a no-match message while keeping the search box', async () => {
+    const el = await fixture(html`<firebase-autolist searchable search-query="zzz"></firebase-autolist>`);
+
+    el._items = [{ _key: 'a', name: 'Ann' }];
+    await el.updateComplete;
+
+    expect(el.shadowRoot.querySelector('.search-input')).to.exist;
+    expect(el.shadowRoot.querySelector('.empty').textContent).to.include('zzz');
+  });
+
+  it('keeps the header and search box above the empty state', async () => {
+    const el = await fixture(html`<firebase-autolist searchable show-header></firebase-autolist>`);
+
+    const header = el.shadowRoot.querySelector('.list-header');
+    expect(header.querySelector('.search-input')).to.exist;
+    expect(header.nextElementSibling.textContent.trim()).to.equal('No items found');
+  });
+
+  it('selects ranges with shift-click and toggles with ctrl-click', async () => {
+    const el = await fixture(html`<firebase-autolist selection="multiple"></firebase-autolist>`);
+
+    el._items = ['a', 'b', 'c', 'd'].map(key => ({ _key: key }));
+    await el.updateComplete;
+
+    const rows = () => el.shadowRoot.querySelectorAll('.list-item');
+    rows()[0].click();
+    rows()[2].dispatchEvent(new MouseEvent('click', { shiftKey: true }));
+    rows()[1].dispatchEvent(new MouseEvent('click', { ctrlKey: true }));
+    await el.updateComplete;
+
+    expect(el.selectedKeys).to.deep.equal(['a', 'c']);
+    expect(el.selectedItems.map(item => item._key)).to.deep.equal(['a', 'c']);
+    expect(rows()[2].querySelector('.item-checkbox').checked).to.be.true;
+
+    el.shadowRoot.querySelector('.select-all').click();
+    await el.updateComplete;
+    expect(el.selectedKeys).to.have.members(['a', 'b', 'c', 'd']);
+  });
+
+  it('writes bulk actions as one multi-path update', async () => {
+    const el = await fixture(html`<firebase-autolist selection="multiple"></firebase-autolist>`);
+
+    expect(el._toMultiPathUpdate({ a: null, b: { done: true, 'meta.by': 'ann' } })).to.deep.equal({
+      a: null,
+      'b/done': true,
+      'b/meta/by': 'ann',
+    });
+
+    el.selectedKeys = ['a'];
+    let error;
+    try {
+      await el.deleteSelected();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Database not initialized or path not set');
+  });
+
+  it('edits a cell on double-click, validates inline and cancels with Escape', async () => {
+    const el = await fixture(html`<firebase-autolist layout="table" editable></firebase-autolist>`);
+
+    el.columns = [{ field: 'name' }, { field: 'stock' }];
+    el.editSchema = { stock: { type: 'number', min: 0 } };
+    el._items = [{ _key: 'a', name: 'Pen', stock: 3 }];
+    await el.updateComplete;
+
+    const cells = () => el.shadowRoot.querySelectorAll('tbody td');
+    cells()[0].dispatchEvent(new MouseEvent('dblclick'));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.cell-editor')).to.not.exist;
+
+    cells()[1].dispatchEvent(new MouseEvent('dblclick'));
+    await el.updateComplete;
+    const editor = el.shadowRoot.querySelector('.cell-editor');
+    expect(editor.type).to.equal('number');
+    expect(editor.value).to.equal('3');
+
+    editor.value = '-1';
+    editor.dispatchEvent(new Event('input'));
+    await el.commitEdit();
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.cell-error').textContent).to.equal('Minimum value is 0');
+
+    el.shadowRoot.querySelector('.cell-editor').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.cell-editor')).to.not.exist;
+    expect(cells()[1].textContent.trim()).to.equal('3');
+  });
+
+  it('shows reorderable rows by order field and computes fractional positions', async () => {
+    const el = await fixture(html`<firebase-autolist reorderable></firebase-autolist>`);
+
+    el._items = [
+      { _key: 'a', order: 2 },
+      { _key: 'b', order: 1 },
+      { _key: 'c' },
+    ];
+    await el.updateComplete;
+
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['b', 'a', 'c']);
+    expect(el.shadowRoot.querySelector('.list-item').getAttribute('draggable')).to.equal('true');
+
+    const [b, a, c] = el.visibleItems;
+    expect(el._orderBetween(b, a)).to.equal(1.5);
+    expect(el._orderBetween(undefined, b)).to.equal(0);
+    expect(el._orderBetween(a, undefined)).to.equal(3);
+    expect(el._orderBetween(a, c)).to.be.null;
+    expect(el._orderBetween(a, { _key: 'd', order: 2 })).to.be.null;
+  });
+
+  it('renumbers around a moved item that already holds its new position', async () => {
+    const el = await fixture(html`<firebase-autolist reorderable path="/tasks"></firebase-autolist>`);
+    el._database = {};
+    const writes = [];
+    el._writeChanges = async (changes) => { writes.push(changes); };
+
+    el._items = [
+      { _key: 'c', order: 2 },
+      { _key: 'b', order: 3 },
+      { _key: 'a' },
+    ];
+    await el.updateComplete;
+
+    setTimeout(() => el.moveItem('b', 2));
+    const event = await oneEvent(el, 'item-reordered');
+
+    expect(writes).to.deep.equal([{ c: { order: 1 }, a: { order: 2 } }]);
+    expect(event.detail.order).to.equal(3);
+    await el.updateComplete;
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['c', 'a', 'b']);
+  });
+
+  it('disables reordering while a custom sort is set', async () => {
+    const el = await fixture(html`<firebase-autolist reorderable></firebase-autolist>`);
+
+    el._items = [{ _key: 'a', order: 1 }];
+    el.sort = [{ field: 'name', direction: 'asc' }];
+    await el.updateComplete;
+
+    expect(el.shadowRoot.querySelector('.list-item').hasAttribute('draggable')).to.be.false;
+  });
+
+  it('renders groups with counts and collapses them', async () => {
+    const el = await fixture(html`<firebase-autolist group-by="status" key-field="name"></firebase-autolist>`);
+
+    el._items = [
+      { _key: 'a', name: 'A', status: 'open' },
+      { _key: 'b', name: 'B', status: 'done' },
+      { _key: 'c', name: 'C', status: 'open' },
+    ];
+    await el.updateComplete;
+
+    const toggles = () => [...el.shadowRoot.querySelectorAll('.group-toggle')];
+    expect(toggles().map(t => t.querySelector('.group-label').textContent)).to.deep.equal(['open', 'done']);
+    expect(toggles().map(t => t.querySelector('.group-count').textContent)).to.deep.equal(['2', '1']);
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['a', 'c', 'b']);
+
+    setTimeout(() => toggles()[0].click());
+    const event = await oneEvent(el, 'group-toggled');
+    await el.updateComplete;
+
+    expect(event.detail).to.include({ key: 'open', collapsed: true });
+    expect(toggles()[0].getAttribute('aria-expanded')).to.equal('false');
+    expect(el.visibleItems.map(item => item._key)).to.deep.equal(['b']);
+    expect(el.shadowRoot.querySelectorAll('.list-item').length).to.equal(1);
+  });
+
+  it('groups by formatted values', async () => {
+    const el = await fixture(html`<firebase-autolist group-by="total"></firebase-autolist>`);
+
+    el.groupFormatter = (value) => (value >= 100 ? 'large' : 'small');
+    el._items = [{ _key: 'a', total: 5 }, { _key: 'b', total: 150 }, { _key: 'c', total: 20 }];
+    await el.updateComplete;
+
+    expect(el.groups).to.deep.equal([
+      { key: 'small', label: 'small', count: 2, collapsed: false },
+      { key: 'large', label: 'large', count: 1, collapsed: false },
+    ]);
+  });
+
+  it('renders aggregates in the table footer and list-loaded', async () => {
+    const el = await fixture(html`<firebase-autolist layout="table" show-summary></firebase-autolist>`);
+
+    el.columns = [{ field: 'name' }, { field: 'amount' }];
+    el.aggregates = { amount: ['sum', 'max'], name: 'distinct' };
+    el._items = [
+      { _key: 'a', name: 'Ann', amount: 1200 },
+      { _key: 'b', name: 'Bob', amount: 300 },
+      { _key: 'c', name: 'Ann' },
+    ];
+
+    setTimeout(() => el._dispatchLoaded());
+    const event = await oneEvent(el, 'list-loaded');
+    await el.updateComplete;
+
+    expect(event.detail.summary).to.deep.equal({
+      count: 3,
+      fields: { amount: { sum: 1500, max: 1200 }, name: { distinct: 2 } },
+    });
+
+    const cells = [...el.shadowRoot.querySelectorAll('tfoot td')];
+    expect(cells[0].textContent.replace(/\s+/g, ' ').trim()).to.equal('Distinct 2');
+    expect(cells[1].querySelectorAll('.summary-value').length).to.equal(2);
+  });
+
+  it('exports visible items as escaped, flattened CSV', async () => {
+    const el = await fixture(html`<firebase-autolist searchable></firebase-autolist>`);
+
+    el._items = [
+      { _key: 'a', name: 'Ann, "Jr"', address: { city: 'Lyon' } },
+      { _key: 'b', name: 'Bob', address: { city: 'Oslo' } },
+    ];
+    el.searchQuery = 'ann';
+    await el.updateComplete;
+
+    expect(el.exportAs('csv', { download: false })).to.equal(
+      '_key,name,address.city\r\na,"Ann, ""Jr""",Lyon\r\n'
+    );
+    expect(el.exportAs('csv', { scope: 'all', fields: ['address.city'], download: false })).to.equal(
+      'address.city\r\nLyon\r\nOslo\r\n'
+    );
+  });
+
+  it('exports JSON and NDJSON limited to fields', async () => {
+    const el = await fixture(html`<firebase-autolist></firebase-autolist>`);
+
+    el._items = [{ _key: 'a', name: 'Ann', address: { city: 'Lyon', zip: '69000' } }];
+    await el.updateComplete;
+
+    const options = { fields: ['name', 'address.city'], download: false };
+    expect(JSON.parse(el.exportAs('json', options))).to.deep.equal([{ name: 'Ann', address: { city: 'Lyon' } }]);
+    expect(el.exportAs('ndjson', options)).to.equal('{"name":"Ann","address":{"city":"Lyon"}}\n');
+  });
+
+  it('renders an export button with show-export', async () => {
+    const el = await fixture(html`<firebase-autolist show-export export-format="json"></firebase-autolist>`);
+    const button = el.shadowRoot.querySelector('.export-btn');
+
+    expect(button).to.exist;
+    expect(button.textContent.trim()).to.equal('Export JSON');
+  });
+
+  it('shows an offline badge while the parent wrapper is disconnected', async () => {
+    const wrapper = await fixture(html`<firebase-wrapper><firebase-autolist show-header></firebase-autolist></firebase-wrapper>`);
+    const el = wrapper.querySelector('firebase-autolist');
+    await el._watchConnection();
+
+    wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: false, serverTimeOffset: 0 } }));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.list-offline').textContent).to.equal('Offline');
+
+    wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: true, serverTimeOffset: 0 } }));
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('.list-offline')).to.not.exist;
+  });
+
+  it('stops listening for firebase-ready once disconnected', async () => {
+    const el = await fixture(html`<firebase-autolist path="/users"></firebase-autolist>`);
+    const database = {};
+    el.remove();
+
+    document.dispatchEvent(new CustomEvent('firebase-ready', { detail: { database } }));
+    expect(el._database).to.not.equal(database);
+  });
 });
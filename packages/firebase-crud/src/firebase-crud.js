@@ -1,5 +1,11 @@
 import { LitElement, html, nothing } from 'lit';
 import { styles } from './firebase-crud.styles.js';
+import {
+  applyChanges, auditEntryWrite, commitWrites, computeSummary, downloadText, enqueueWrite, flattenItem,
+  flushQueuedWrites, getAuditEntries, getFieldValue, getQueuedWrites, hasServerValues, replayQueuedWrite,
+  serializeItems, setFieldValue, validateFieldValue,
+} from '@manufosela/firebase-utils';
+import { coerceFieldValue, detectImportFormat, isSameValue, parseRecords } from './firebase-crud.utils.js';
 
 /**
  * @typedef {Object} CrudOptions
@@ -10,15 +16,45 @@ import { styles } from './firebase-crud.styles.js';
  * @property {string} [endAt] - End at value for pagination
  */
 
+/**
+ * @typedef {Object} HistoryChange
+ * @property {string} path - Collection or list path
+ * @property {string} key - Record key
+ * @property {Object | null} before - Record before the write, null if it did not exist
+ * @property {Object | null} after - Record after the write, null if it was deleted
+ */
+
+/**
+ * @typedef {Object} HistoryStep
+ * @property {'create' | 'update' | 'delete' | 'revert'} operation - Recorded write
+ * @property {HistoryChange[]} changes - Records written together
+ */
+
+/**
+ * @typedef {Object} PageCursor
+ * @property {string} key - Key of the boundary item
+ * @property {*} value - Value of the `orderBy` child of the boundary item
+ */
+
 /**
  * Firebase CRUD Web Component
- * Provides CRUD operations for Firebase Realtime Database
+ * Provides CRUD operations for Firebase Realtime Database or Cloud Firestore
  *
  * @element firebase-crud
  *
  * @fires data-loaded - Fired when data is loaded from the database
  * @fires data-error - Fired when an error occurs during database operations
  * @fires data-updated - Fired when data is successfully updated/created/deleted
+ * @fires page-changed - Fired when a different page has been loaded
+ * @fires item-added - Fired when a child is added (sync-mode="child")
+ * @fires item-changed - Fired when a child changes (sync-mode="child")
+ * @fires item-removed - Fired when a child is removed (sync-mode="child")
+ * @fires item-moved - Fired when a child changes position (sync-mode="child")
+ * @fires import-progress - Fired after each chunk written by importFrom
+ * @fires data-rollback - Fired when an optimistic write is rejected and undone
+ * @fires sync-queued - Fired when a write is queued while offline
+ * @fires sync-flushed - Fired when queued writes have been replayed
+ * @fires history-changed - Fired when the undo/redo history changes
  *
  * @cssprop --firebase-crud-font-family - Font family for the component
  * @cssprop --firebase-crud-loading-color - Loading spinner color
@@ -51,12 +87,26 @@ export class FirebaseCrud extends LitElement {
      */
     path: { type: String },
 
+    /**
+     * Storage backend: Realtime Database ('rtdb') or Firestore ('firestore').
+     * In Firestore mode `path` names a collection.
+     * @type {'rtdb' | 'firestore'}
+     */
+    backend: { type: String },
+
     /**
      * Enable real-time sync with database
      * @type {boolean}
      */
     autoSync: { type: Boolean, attribute: 'auto-sync' },
 
+    /**
+     * How auto-sync applies changes: rebuild from full `onValue` snapshots
+     * ('value') or patch `data` from child events ('child', RTDB only)
+     * @type {'value' | 'child'}
+     */
+    syncMode: { type: String, attribute: 'sync-mode' },
+
     /**
      * Field to order results by
      * @type {string}
@@ -75,6 +125,66 @@ export class FirebaseCrud extends LitElement {
      */
     limitTo: { type: Number, attribute: 'limit-to' },
 
+    /**
+     * Page size for cursor-based pagination (0 = no pagination)
+     * @type {number}
+     */
+    pageSize: { type: Number, attribute: 'page-size' },
+
+    /**
+     * Apply create/update/delete to the loaded data before the server
+     * confirms them, and roll them back if the write is rejected
+     * @type {boolean}
+     */
+    optimistic: { type: Boolean },
+
+    /**
+     * Queue create/update/delete in IndexedDB while the Realtime Database is
+     * disconnected, and replay them in order when `.info/connected` turns true
+     * @type {boolean}
+     */
+    offline: { type: Boolean },
+
+    /**
+     * Record create/update/delete so they can be undone and redone.
+     * Each write reads the record first to capture its previous value.
+     * @type {boolean}
+     */
+    history: { type: Boolean },
+
+    /**
+     * Maximum number of undo steps kept, the oldest are dropped first
+     * @type {number}
+     */
+    historyLimit: { type: Number, attribute: 'history-limit' },
+
+    /**
+     * Make delete() keep the record: it moves to `trashPath` when set,
+     * otherwise it gets `_deletedAt`/`_deletedBy` and is hidden from `data`
+     * @type {boolean}
+     */
+    softDelete: { type: Boolean, attribute: 'soft-delete' },
+
+    /**
+     * Path (a collection in Firestore) soft-deleted records move to
+     * @type {string}
+     */
+    trashPath: { type: String, attribute: 'trash-path' },
+
+    /**
+     * Path (a collection in Firestore) where every change is logged with the
+     * previous value, the diff, the user's uid and a server timestamp
+     * @type {string}
+     */
+    auditPath: { type: String, attribute: 'audit-path' },
+
+    /**
+     * Aggregates over the loaded items: a field mapped to one operation
+     * (count, sum, avg, min, max, distinct) or a list of them
+     * @type {Record<string, string | string[]>}
+     */
+    aggregates: { type: Object },
+
     /**
      * Show loading indicator
      * @type {boolean}
@@ -114,27 +224,108 @@ export class FirebaseCrud extends LitElement {
      * @private
      */
     _syncActive: { type: Boolean, state: true },
+
+    /**
+     * Internal state: in-flight optimistic writes by key
+     * @type {Map<string, number>}
+     * @private
+     */
+    _pending: { state: true },
+
+    /**
+     * Internal state: writes queued offline for this path, oldest first
+     * @type {Array<Object>}
+     * @private
+     */
+    _queue: { state: true },
+
+    /**
+     * Internal state: `.info/connected`, null until known
+     * @type {boolean | null}
+     * @private
+     */
+    _connected: { state: true },
   };
 
   /** @type {import('firebase/database').Database | null} */
   _database = null;
 
+  /** @type {import('firebase/firestore').Firestore | null} */
+  _firestore = null;
+
+  /** @type {import('firebase/auth').Auth | null} */
+  _auth = null;
+
   /** @type {import('firebase/database').Unsubscribe | null} */
   _unsubscribe = null;
 
+  /** @type {import('firebase/database').Unsubscribe | null} */
+  _connectionUnsubscribe = null;
+
+  /** @type {boolean} */
+  _flushing = false;
+
+  /** @type {HistoryStep[]} */
+  _undoStack = [];
+
+  /** @type {HistoryStep[]} */
+  _redoStack = [];
+
+  /**
+   * How the current page was requested. `null` means the first page.
+   * @type {{ direction: 'first' | 'next' | 'prev', forward: boolean, anchor: PageCursor | null } | null}
+   */
+  _pageRequest = null;
+
+  /** @type {PageCursor | null} */
+  _pageStart = null;
+
+  /** @type {PageCursor | null} */
+  _pageEnd = null;
+
+  /** @type {number} */
+  _page = 0;
+
+  /** @type {boolean} */
+  _hasMore = false;
+
+  /** @type {boolean} */
+  _pageChanging = false;
+
+  /**
+   * Whether the initial children have arrived in child sync mode
+   * @type {boolean}
+   */
+  _childrenReady = false;
+
   constructor() {
     super();
     this.path = '';
+    this.backend = 'rtdb';
     this.autoSync = false;
+    this.syncMode = 'value';
     this.orderBy = '';
     this.orderDirection = 'asc';
     this.limitTo = 0;
+    this.pageSize = 0;
+    this.optimistic = false;
+    this.offline = false;
+    this.history = false;
+    this.historyLimit = 50;
+    this.softDelete = false;
+    this.trashPath = '';
+    this.auditPath = '';
+    this.aggregates = {};
     this.showLoading = false;
     this.emptyMessage = 'No data available';
     this._data = null;
     this._loading = false;
     this._error = '';
     this._syncActive = false;
+    this._pending = new Map();
+    this._queue = [];
+    this._connected = null;
+    this._handleFirebaseReady = this._handleFirebaseReady.bind(this);
   }
 
   /**
@@ -145,6 +336,47 @@ export class FirebaseCrud extends LitElement {
     return this._data;
   }
 
+  /**
+   * Aggregates over the loaded items, as configured in `aggregates`.
+   * Single values (non-list data) count as no items.
+   * @returns {{ count: number, fields: Record<string, Record<string, *>> }}
+   */
+  get summary() {
+    return computeSummary(Array.isArray(this._data) ? this._data : [], this.aggregates);
+  }
+
+  /**
+   * Keys with optimistic writes waiting for the server
+   * @returns {string[]}
+   */
+  get pendingKeys() {
+    return [...this._pending.keys()];
+  }
+
+  /**
+   * Number of writes queued offline for this path
+   * @returns {number}
+   */
+  get queuedCount() {
+    return this._queue.length;
+  }
+
+  /**
+   * Check if there is a write to undo
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone write to redo
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
   /**
    * Check if data is loading
    * @returns {boolean}
@@ -158,7 +390,23 @@ export class FirebaseCrud extends LitElement {
    * @returns {boolean}
    */
   get isSyncing() {
-    return this._syncActive;
+    return this._syncActive && this._connected !== false;
+  }
+
+  /**
+   * Current page index (0-based) when pagination is enabled
+   * @returns {number}
+   */
+  get page() {
+    return this._page;
+  }
+
+  /**
+   * Check if there are more items after the current page
+   * @returns {boolean}
+   */
+  get hasMore() {
+    return this._hasMore;
   }
 
   connectedCallback() {
@@ -168,22 +416,42 @@ export class FirebaseCrud extends LitElement {
 
   disconnectedCallback() {
     super.disconnectedCallback();
+    document.removeEventListener('firebase-ready', this._handleFirebaseReady);
     this._cleanup();
+    if (this._connectionUnsubscribe) {
+      this._connectionUnsubscribe();
+      this._connectionUnsubscribe = null;
+    }
   }
 
   /**
    * @param {Map<string, unknown>} changedProperties
    */
+  willUpdate(changedProperties) {
+    // Snapshots replace _data, so flag pending rows again
+    if (changedProperties.has('_data') && this._pending.size > 0 && Array.isArray(this._data)) {
+      this._data = this._data.map(item => (
+        this._pending.has(item._key) && !item._pending ? { ...item, _pending: true } : item
+      ));
+    }
+  }
+
   updated(changedProperties) {
     if (
       changedProperties.has('path') ||
+      changedProperties.has('backend') ||
       changedProperties.has('autoSync') ||
+      changedProperties.has('syncMode') ||
       changedProperties.has('orderBy') ||
-      changedProperties.has('limitTo')
+      changedProperties.has('limitTo') ||
+      changedProperties.has('pageSize')
     ) {
-      if (this._database && this.path) {
+      this._resetPaging();
+      if (this._hasBackend() && this.path) {
         this._setupDataListener();
       }
+    } else if (changedProperties.has('offline') && this.offline) {
+      this._loadQueue().catch(error => this._handleError(error));
     }
   }
 
@@ -194,8 +462,10 @@ export class FirebaseCrud extends LitElement {
   _findDatabase() {
     // Look for parent firebase-wrapper or use global Firebase
     const wrapper = this.closest('firebase-wrapper');
-    if (wrapper && wrapper.database) {
+    if (wrapper && (wrapper.database || wrapper.firestore)) {
       this._database = wrapper.database;
+      this._firestore = wrapper.firestore;
+      this._auth = wrapper.auth;
       if (this.path) {
         this._setupDataListener();
       }
@@ -205,14 +475,23 @@ export class FirebaseCrud extends LitElement {
     }
 
     // Listen for firebase-ready event
-    document.addEventListener('firebase-ready', (e) => {
-      if (e.detail.database) {
-        this._database = e.detail.database;
-        if (this.path) {
-          this._setupDataListener();
-        }
+    document.addEventListener('firebase-ready', this._handleFirebaseReady);
+  }
+
+  /**
+   * Take the database from a firebase-ready event
+   * @param {CustomEvent} e
+   * @private
+   */
+  _handleFirebaseReady(e) {
+    if (e.detail.database || e.detail.firestore) {
+      this._database = e.detail.database;
+      this._firestore = e.detail.firestore;
+      this._auth = e.detail.auth || null;
+      if (this.path) {
+        this._setupDataListener();
       }
-    });
+    }
   }
 
   /**
@@ -221,8 +500,13 @@ export class FirebaseCrud extends LitElement {
    */
   async _initFromGlobal() {
     try {
-      const { getDatabase } = await import('firebase/database');
-      this._database = getDatabase();
+      if (this._isFirestore()) {
+        const { getFirestore } = await import('firebase/firestore');
+        this._firestore = getFirestore();
+      } else {
+        const { getDatabase } = await import('firebase/database');
+        this._database = getDatabase();
+      }
       if (this.path) {
         this._setupDataListener();
       }
@@ -231,6 +515,24 @@ export class FirebaseCrud extends LitElement {
     }
   }
 
+  /**
+   * Check if the Firestore backend is selected
+   * @returns {boolean}
+   * @private
+   */
+  _isFirestore() {
+    return this.backend === 'firestore';
+  }
+
+  /**
+   * Check if the instance for the selected backend is available
+   * @returns {boolean}
+   * @private
+   */
+  _hasBackend() {
+    return this._isFirestore() ? Boolean(this._firestore) : Boolean(this._database);
+  }
+
   /**
    * Set up data listener based on autoSync setting
    * @private
@@ -238,16 +540,41 @@ export class FirebaseCrud extends LitElement {
   async _setupDataListener() {
     this._cleanup();
 
-    if (!this._database || !this.path) {
+    if (!this._hasBackend() || !this.path) {
       return;
     }
 
     this._loading = true;
     this._error = '';
 
+    this._watchConnection();
+
+    if (this._isFirestore()) {
+      await this._setupFirestoreListener();
+      return;
+    }
+
     try {
-      const { ref, query, orderByChild, limitToFirst, limitToLast, onValue, get } =
-        await import('firebase/database');
+      if (this.offline) {
+        await this._loadQueue();
+      }
+
+      const {
+        ref,
+        query,
+        orderByChild,
+        orderByKey,
+        limitToFirst,
+        limitToLast,
+        startAfter,
+        endBefore,
+        onValue,
+        onChildAdded,
+        onChildChanged,
+        onChildRemoved,
+        onChildMoved,
+        get,
+      } = await import('firebase/database');
 
       let dbRef = ref(this._database, this.path);
 
@@ -256,9 +583,15 @@ export class FirebaseCrud extends LitElement {
 
       if (this.orderBy) {
         queryConstraints.push(orderByChild(this.orderBy));
+      } else if (this.pageSize > 0) {
+        queryConstraints.push(orderByKey());
       }
 
-      if (this.limitTo > 0) {
+      if (this.pageSize > 0) {
+        queryConstraints.push(
+          ...this._getPageConstraints(startAfter, endBefore, limitToFirst, limitToLast)
+        );
+      } else if (this.limitTo > 0) {
         if (this.orderDirection === 'desc') {
           queryConstraints.push(limitToLast(this.limitTo));
         } else {
@@ -270,7 +603,15 @@ export class FirebaseCrud extends LitElement {
         dbRef = query(dbRef, ...queryConstraints);
       }
 
-      if (this.autoSync) {
+      if (this.autoSync && this.syncMode === 'child' && this.pageSize <= 0) {
+        this._unsubscribe = this._listenChildEvents(dbRef, {
+          onValue,
+          onChildAdded,
+          onChildChanged,
+          onChildRemoved,
+          onChildMoved,
+        });
+      } else if (this.autoSync) {
         // Set up real-time listener
         this._unsubscribe = onValue(
           dbRef,
@@ -294,171 +635,1803 @@ export class FirebaseCrud extends LitElement {
   }
 
   /**
-   * Handle database snapshot
-   * @param {import('firebase/database').DataSnapshot} snapshot
+   * Listen to child events and patch `_data` in place instead of rebuilding it
+   * @param {import('firebase/database').Query} dbRef
+   * @param {Object} listeners - Listener functions from `firebase/database`
+   * @returns {() => void} Unsubscribe function for all listeners
    * @private
    */
-  _handleSnapshot(snapshot) {
-    this._loading = false;
-
-    if (snapshot.exists()) {
-      const data = snapshot.val();
-
-      // Convert to array if it's an object with keys
-      if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
-        this._data = Object.entries(data).map(([key, value]) => ({
-          _key: key,
-          ...value,
-        }));
-      } else {
-        this._data = data;
-      }
-    } else {
-      this._data = null;
-    }
+  _listenChildEvents(dbRef, { onValue, onChildAdded, onChildChanged, onChildRemoved, onChildMoved }) {
+    this._data = [];
+    this._childrenReady = false;
 
-    this._dispatchDataLoaded();
+    const onError = (error) => {
+      this._handleError(error);
+      this._syncActive = false;
+    };
+
+    const unsubscribers = [
+      onChildAdded(dbRef, (snapshot, prevKey) => this._handleChildAdded(snapshot, prevKey), onError),
+      onChildChanged(dbRef, (snapshot, prevKey) => this._handleChildChanged(snapshot, prevKey), onError),
+      onChildRemoved(dbRef, (snapshot) => this._handleChildRemoved(snapshot), onError),
+      onChildMoved(dbRef, (snapshot, prevKey) => this._handleChildMoved(snapshot, prevKey), onError),
+      // The initial child_added events all fire before the first value event
+      onValue(
+        dbRef,
+        () => {
+          this._childrenReady = true;
+          this._loading = false;
+          this._syncActive = true;
+          this.requestUpdate();
+          this._dispatchDataLoaded();
+        },
+        onError,
+        { onlyOnce: true }
+      ),
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
   }
 
   /**
-   * Handle database error
-   * @param {Error} error
+   * Convert a child snapshot to a keyed item
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @returns {Object}
    * @private
    */
-  _handleError(error) {
-    this._loading = false;
-    this._error = error.message;
-    this._dispatchError(error.message);
+  _childToItem(snapshot) {
+    return { _key: snapshot.key, ...snapshot.val() };
   }
 
   /**
-   * Clean up listeners
+   * Find the index of an item by key
+   * @param {string} key
+   * @returns {number}
    * @private
    */
-  _cleanup() {
-    if (this._unsubscribe) {
-      this._unsubscribe();
-      this._unsubscribe = null;
-    }
-    this._syncActive = false;
+  _indexOfKey(key) {
+    return this._data.findIndex((item) => item._key === key);
   }
 
   /**
-   * Create data at the current path
-   * @param {Object} data - Data to create
-   * @param {string} [key] - Optional specific key (otherwise auto-generated)
-   * @returns {Promise<string>} The key of the created data
+   * Index where a child following prevKey in query order belongs. A prevKey
+   * that is not loaded yet puts the child at the end.
+   * @param {string | null} prevKey
+   * @returns {number}
+   * @private
    */
-  async create(data, key = null) {
-    if (!this._database || !this.path) {
-      throw new Error('Database not initialized or path not set');
-    }
-
-    try {
-      const { ref, push, set } = await import('firebase/database');
-
-      let newRef;
-      if (key) {
-        newRef = ref(this._database, `${this.path}/${key}`);
-        await set(newRef, data);
-      } else {
-        const listRef = ref(this._database, this.path);
-        newRef = push(listRef);
-        await set(newRef, data);
-      }
-
-      const newKey = key || newRef.key;
-      this._dispatchDataUpdated('create', newKey, data);
-      return newKey;
-    } catch (error) {
-      this._handleError(error);
-      throw error;
-    }
+  _childInsertIndex(prevKey) {
+    if (prevKey === null) return 0;
+    const index = this._indexOfKey(prevKey);
+    return index === -1 ? this._data.length : index + 1;
   }
 
   /**
-   * Read data from a specific key
-   * @param {string} key - Key to read
-   * @returns {Promise<Object | null>}
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @param {string | null} prevKey - Key of the previous sibling in query order
+   * @private
    */
-  async read(key) {
-    if (!this._database || !this.path) {
-      throw new Error('Database not initialized or path not set');
-    }
-
-    try {
-      const { ref, get } = await import('firebase/database');
-      const dataRef = ref(this._database, `${this.path}/${key}`);
-      const snapshot = await get(dataRef);
+  _handleChildAdded(snapshot, prevKey) {
+    const item = this._childToItem(snapshot);
+    if (this._isHiddenChild(item)) return;
 
-      return snapshot.exists() ? snapshot.val() : null;
-    } catch (error) {
-      this._handleError(error);
-      throw error;
-    }
+    const index = this._childInsertIndex(prevKey);
+    this._data.splice(index, 0, item);
+    this._dispatchChildEvent('item-added', { key: item._key, item, index });
   }
 
   /**
-   * Update data at a specific key
-   * @param {string} key - Key to update
-   * @param {Object} data - Data to update (partial update)
-   * @returns {Promise<void>}
+   * A child flagged as deleted in soft-delete mode is removed from `_data`, and
+   * one that is no longer flagged (restored) is inserted again.
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @param {string | null} prevKey - Key of the previous sibling in query order
+   * @private
    */
-  async update(key, data) {
-    if (!this._database || !this.path) {
-      throw new Error('Database not initialized or path not set');
+  _handleChildChanged(snapshot, prevKey) {
+    const item = this._childToItem(snapshot);
+    const index = this._indexOfKey(item._key);
+    if (this._isHiddenChild(item)) {
+      if (index !== -1) this._handleChildRemoved(snapshot);
+      return;
     }
-
-    try {
-      const { ref, update } = await import('firebase/database');
-      const dataRef = ref(this._database, `${this.path}/${key}`);
-      await update(dataRef, data);
-
-      this._dispatchDataUpdated('update', key, data);
-    } catch (error) {
-      this._handleError(error);
-      throw error;
+    if (index === -1) {
+      if (this.softDelete) this._handleChildAdded(snapshot, prevKey);
+      return;
     }
+
+    const previous = this._data[index];
+    this._data[index] = item;
+    this._dispatchChildEvent('item-changed', { key: item._key, item, previous, index });
   }
 
   /**
-   * Delete data at a specific key
-   * @param {string} key - Key to delete
-   * @returns {Promise<void>}
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @private
    */
-  async delete(key) {
-    if (!this._database || !this.path) {
-      throw new Error('Database not initialized or path not set');
-    }
+  _handleChildRemoved(snapshot) {
+    const index = this._indexOfKey(snapshot.key);
+    if (index === -1) return;
 
-    try {
-      const { ref, remove } = await import('firebase/database');
-      const dataRef = ref(this._database, `${this.path}/${key}`);
-      await remove(dataRef);
+    const [item] = this._data.splice(index, 1);
+    this._dispatchChildEvent('item-removed', { key: item._key, item, index });
+  }
 
-      this._dispatchDataUpdated('delete', key, null);
-    } catch (error) {
-      this._handleError(error);
-      throw error;
-    }
+  /**
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @param {string | null} prevKey - Key of the new previous sibling
+   * @private
+   */
+  _handleChildMoved(snapshot, prevKey) {
+    const from = this._indexOfKey(snapshot.key);
+    if (from === -1) return;
+
+    const [item] = this._data.splice(from, 1);
+    const to = this._childInsertIndex(prevKey);
+    this._data.splice(to, 0, item);
+    this._dispatchChildEvent('item-moved', { key: item._key, item, from, to });
   }
 
   /**
-   * Refresh data (useful when autoSync is false)
-   * @returns {Promise<void>}
+   * Whether a child is left out of `_data` because it is soft-deleted
+   * @param {Object} item
+   * @returns {boolean}
+   * @private
    */
-  async refresh() {
-    await this._setupDataListener();
+  _isHiddenChild(item) {
+    return this.softDelete && Boolean(item._deletedAt);
   }
 
   /**
-   * Dispatch data-loaded event
+   * Re-render and dispatch a granular child event once the initial load is done
+   * @param {string} name - Event name
+   * @param {Object} detail - Event detail
+   * @private
+   */
+  _dispatchChildEvent(name, detail) {
+    if (!this._childrenReady) return;
+
+    this.requestUpdate();
+    this.dispatchEvent(
+      new CustomEvent(name, {
+        detail: { ...detail, path: this.path },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Set up Firestore collection listener based on autoSync setting
+   * @private
+   */
+  async _setupFirestoreListener() {
+    try {
+      const {
+        collection,
+        query,
+        orderBy,
+        documentId,
+        limit,
+        limitToLast,
+        startAfter,
+        endBefore,
+        onSnapshot,
+        getDocs,
+      } = await import('firebase/firestore');
+
+      let colRef = collection(this._firestore, this.path);
+
+      // Mirror the RTDB query so both backends return the same ordering
+      const queryConstraints = [];
+
+      if (this.orderBy) {
+        queryConstraints.push(orderBy(this.orderBy));
+      }
+
+      if (this.pageSize > 0) {
+        // Document id breaks ties so cursors are unique, like RTDB keys
+        queryConstraints.push(
+          orderBy(documentId()),
+          ...this._getPageConstraints(startAfter, endBefore, limit, limitToLast)
+        );
+      } else if (this.limitTo > 0) {
+        if (this.orderDirection === 'desc' && this.orderBy) {
+          queryConstraints.push(limitToLast(this.limitTo));
+        } else {
+          queryConstraints.push(limit(this.limitTo));
+        }
+      }
+
+      if (queryConstraints.length > 0) {
+        colRef = query(colRef, ...queryConstraints);
+      }
+
+      if (this.autoSync) {
+        this._unsubscribe = onSnapshot(
+          colRef,
+          (snapshot) => {
+            this._handleQuerySnapshot(snapshot);
+            this._syncActive = true;
+          },
+          (error) => {
+            this._handleError(error);
+            this._syncActive = false;
+          }
+        );
+      } else {
+        const snapshot = await getDocs(colRef);
+        this._handleQuerySnapshot(snapshot);
+      }
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Handle Firestore query snapshot
+   * @param {import('firebase/firestore').QuerySnapshot} snapshot
+   * @private
+   */
+  _handleQuerySnapshot(snapshot) {
+    if (this.pageSize > 0) {
+      this._applyPage(
+        snapshot.docs.map((docSnap) => ({
+          key: docSnap.id,
+          value: this.orderBy ? docSnap.get(this.orderBy) : null,
+          data: docSnap.data(),
+        }))
+      );
+      return;
+    }
+
+    this._loading = false;
+
+    this._data = snapshot.empty
+      ? null
+      : snapshot.docs.map((docSnap) => ({
+          _key: docSnap.id,
+          ...docSnap.data(),
+        }));
+
+    this._dispatchDataLoaded();
+  }
+
+  /**
+   * Handle database snapshot
+   * @param {import('firebase/database').DataSnapshot} snapshot
+   * @private
+   */
+  _handleSnapshot(snapshot) {
+    if (this.pageSize > 0) {
+      // Iterate children to keep the query order, which val() does not guarantee
+      const entries = [];
+      snapshot.forEach((child) => {
+        entries.push({
+          key: child.key,
+          value: this.orderBy ? child.child(this.orderBy).val() : null,
+          data: child.val(),
+        });
+      });
+      this._applyPage(entries);
+      return;
+    }
+
+    this._loading = false;
+
+    if (snapshot.exists()) {
+      const data = snapshot.val();
+
+      // Convert to array if it's an object with keys
+      if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
+        this._data = Object.entries(data).map(([key, value]) => ({
+          _key: key,
+          ...value,
+        }));
+      } else {
+        this._data = data;
+      }
+    } else {
+      this._data = null;
+    }
+
+    this._dispatchDataLoaded();
+  }
+
+  /**
+   * Get the current page request, defaulting to the first page
+   * @returns {{ direction: 'first' | 'next' | 'prev', forward: boolean, anchor: PageCursor | null }}
+   * @private
+   */
+  _getPageRequest() {
+    return (
+      this._pageRequest || {
+        direction: 'first',
+        forward: this.orderDirection !== 'desc',
+        anchor: null,
+      }
+    );
+  }
+
+  /**
+   * Build cursor and limit constraints for the current page.
+   * One extra item is requested to know whether another page follows.
+   * @param {Function} startAfter - Backend `startAfter` constraint factory
+   * @param {Function} endBefore - Backend `endBefore` constraint factory
+   * @param {Function} limitFirst - Backend "limit to first" constraint factory
+   * @param {Function} limitLast - Backend "limit to last" constraint factory
+   * @returns {Array<unknown>}
+   * @private
+   */
+  _getPageConstraints(startAfter, endBefore, limitFirst, limitLast) {
+    const { forward, anchor } = this._getPageRequest();
+    const constraints = [];
+
+    if (anchor) {
+      const cursor = this.orderBy ? [anchor.value, anchor.key] : [anchor.key];
+      constraints.push(forward ? startAfter(...cursor) : endBefore(...cursor));
+    }
+
+    constraints.push(forward ? limitFirst(this.pageSize + 1) : limitLast(this.pageSize + 1));
+    return constraints;
+  }
+
+  /**
+   * Apply a fetched page of ordered entries
+   * @param {Array<{ key: string, value: *, data: * }>} entries - Entries in query order
+   * @private
+   */
+  _applyPage(entries) {
+    const { direction, forward } = this._getPageRequest();
+    const overflow = entries.length > this.pageSize;
+
+    // Drop the look-ahead item on the side we are moving towards
+    if (overflow) {
+      if (forward) {
+        entries.pop();
+      } else {
+        entries.shift();
+      }
+    }
+
+    if (direction === 'prev') {
+      this._hasMore = true;
+      if (!overflow) {
+        this._page = 0;
+      }
+    } else {
+      this._hasMore = overflow;
+    }
+
+    if (entries.length > 0) {
+      const first = entries[0];
+      const last = entries[entries.length - 1];
+      this._pageStart = { key: first.key, value: first.value };
+      this._pageEnd = { key: last.key, value: last.value };
+    }
+
+    this._loading = false;
+    this._data =
+      entries.length > 0
+        ? entries.map(({ key, data }) => ({ _key: key, ...data }))
+        : null;
+
+    this._dispatchDataLoaded();
+
+    if (this._pageChanging) {
+      this._pageChanging = false;
+      this._dispatchPageChanged();
+    }
+  }
+
+  /**
+   * Reset pagination to the first page
+   * @private
+   */
+  _resetPaging() {
+    this._pageRequest = null;
+    this._pageStart = null;
+    this._pageEnd = null;
+    this._page = 0;
+    this._hasMore = false;
+    this._pageChanging = false;
+  }
+
+  /**
+   * Load the page next to the current one
+   * @param {'next' | 'prev'} direction
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadPage(direction) {
+    // In descending mode the next page holds lower values
+    const forward = (direction === 'next') !== (this.orderDirection === 'desc');
+    this._pageRequest = {
+      direction,
+      forward,
+      anchor: forward ? this._pageEnd : this._pageStart,
+    };
+    this._page += direction === 'next' ? 1 : -1;
+    this._pageChanging = true;
+    await this._setupDataListener();
+  }
+
+  /**
+   * Handle database error
+   * @param {Error} error
+   * @private
+   */
+  _handleError(error) {
+    this._loading = false;
+    this._error = error.message;
+    this._dispatchError(error.message);
+  }
+
+  /**
+   * Clean up listeners
+   * @private
+   */
+  _cleanup() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    this._syncActive = false;
+  }
+
+  /**
+   * Create data at the current path
+   * @param {Object} data - Data to create
+   * @param {string} [key] - Optional specific key (otherwise auto-generated)
+   * @returns {Promise<string>} The key of the created data
+   */
+  async create(data, key = null) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    if (this._isFirestore()) {
+      return this._createDocument(data, key);
+    }
+
+    try {
+      const newKey = key || (await this._generateKeys(1))[0];
+      if (this._shouldQueue()) {
+        await this._queueWrite('create', newKey, data);
+      } else {
+        await this._write('create', newKey, data);
+      }
+      return newKey;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read data from a specific key
+   * @param {string} key - Key to read
+   * @returns {Promise<Object | null>}
+   */
+  async read(key) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      return await this._readRecord(this.path, key);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update data at a specific key
+   * @param {string} key - Key to update
+   * @param {Object} data - Data to update (partial update)
+   * @returns {Promise<void>}
+   */
+  async updateRecord(key, data) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    if (this._isFirestore()) {
+      return this._updateDocument(key, data);
+    }
+
+    try {
+      if (this._shouldQueue()) {
+        await this._queueWrite('update', key, data);
+        return;
+      }
+
+      await this._write('update', key, data);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete data at a specific key. In soft-delete mode the record is moved
+   * to `trashPath`, or flagged with `_deletedAt`/`_deletedBy`.
+   * @param {string} key - Key to delete
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    if (this.softDelete) {
+      return this._softDelete(key);
+    }
+
+    if (this._isFirestore()) {
+      return this._deleteDocument(key);
+    }
+
+    try {
+      if (this._shouldQueue()) {
+        await this._queueWrite('delete', key, null);
+        return;
+      }
+
+      await this._write('delete', key, null);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring back a soft-deleted record: move it from `trashPath` back to
+   * `path`, or clear its `_deletedAt`/`_deletedBy` flags
+   * @param {string} key - Key of the record
+   * @returns {Promise<boolean>} False if there was no deleted record with that key
+   */
+  async restore(key) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      const record = await this._readRecord(this.trashPath || this.path, key);
+      if (!record || (!this.trashPath && !record._deletedAt)) return false;
+
+      let restored = record;
+      let writes;
+      if (this.trashPath) {
+        writes = [
+          { path: this.trashPath, key, value: null },
+          { path: this.path, key, value: record },
+        ];
+      } else {
+        const { _deletedAt, _deletedBy, ...rest } = record;
+        restored = rest;
+        writes = [{ path: this.path, key, value: await this._clearedDeletedFlags(), merge: true }];
+      }
+
+      const before = this.trashPath ? null : record;
+      await this._writeRecords([...writes, ...await this._auditWrites('restore', key, before, restored)]);
+      this._dispatchDataUpdated('restore', key, restored);
+      return true;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a soft-deleted record for good, from `trashPath` or from `path`.
+   * Records that are not deleted are left alone.
+   * @param {string} key - Key of the record
+   * @returns {Promise<boolean>} False if there was no deleted record with that key
+   */
+  async purge(key) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      const path = this.trashPath || this.path;
+      const record = await this._readRecord(path, key);
+      if (!record || (!this.trashPath && !record._deletedAt)) return false;
+
+      await this._writeRecords([{ path, key, value: null }, ...await this._auditWrites('purge', key, record, null)]);
+      this._dispatchDataUpdated('purge', key, null);
+      return true;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a record. Flagged records are queued like updates while offline.
+   * @param {string} key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _softDelete(key) {
+    const stamp = this._deletedFlags();
+
+    try {
+      if (!this.trashPath && this._shouldQueue()) {
+        await this._queueWrite('delete', key, stamp);
+      } else {
+        await this._write('delete', key, stamp);
+      }
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete flags of a record deleted now by the signed-in user
+   * @returns {{ _deletedAt: number, _deletedBy: string | null }}
+   * @private
+   */
+  _deletedFlags() {
+    return {
+      _deletedAt: Date.now(),
+      _deletedBy: this._auth?.currentUser?.uid ?? null,
+    };
+  }
+
+  /**
+   * Fields that clear the soft-delete flags of a record in a merge write
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _clearedDeletedFlags() {
+    if (this._isFirestore()) {
+      const { deleteField } = await import('firebase/firestore');
+      return { _deletedAt: deleteField(), _deletedBy: deleteField() };
+    }
+    return { _deletedAt: null, _deletedBy: null };
+  }
+
+  /**
+   * Read a record at any path of the selected backend
+   * @param {string} path
+   * @param {string} key
+   * @returns {Promise<Object | null>}
+   * @private
+   */
+  async _readRecord(path, key) {
+    if (this._isFirestore()) {
+      const { doc, getDoc } = await import('firebase/firestore');
+      const docSnap = await getDoc(doc(this._firestore, path, key));
+      return docSnap.exists() ? docSnap.data() : null;
+    }
+
+    const { ref, get } = await import('firebase/database');
+    const snapshot = await get(ref(this._database, `${path}/${key}`));
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+
+  /**
+   * Revisions of a record logged in `auditPath`, oldest first
+   * @param {string} key - Key of the record
+   * @returns {Promise<import('@manufosela/firebase-utils').AuditEntry[]>}
+   */
+  async revisions(key) {
+    if (!this._hasBackend() || !this.auditPath) {
+      throw new Error('Database not initialized or audit path not set');
+    }
+
+    try {
+      return await getAuditEntries(this._backendInstance(), this.auditPath, key);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a record back as it was right after one of its revisions.
+   * A revision that deleted the record deletes it again, softly in
+   * soft-delete mode. The write is recorded in the history and applied at
+   * once in optimistic mode, like any other.
+   * @param {string} key - Key of the record
+   * @param {string} revisionId - `id` of an entry from revisions()
+   * @returns {Promise<Object | null>} The record written
+   */
+  async revert(key, revisionId) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    const revision = (await this.revisions(key)).find(entry => entry.id === revisionId);
+    if (!revision) {
+      const error = new Error(`Revision ${revisionId} not found for ${key}`);
+      this._handleError(error);
+      throw error;
+    }
+
+    try {
+      if (revision.after) {
+        await this._write('create', key, revision.after, 'revert');
+      } else {
+        await this._write('delete', key, this.softDelete ? this._deletedFlags() : null, 'revert');
+      }
+      return revision.after;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit entry logging a change of the record `path/key`, as a write to
+   * commit with the change. Empty without `auditPath`.
+   * @param {string} operation
+   * @param {string} key
+   * @param {Object | null} before
+   * @param {Object | null} after
+   * @returns {Promise<import('@manufosela/firebase-utils').RecordWrite[]>}
+   * @private
+   */
+  async _auditWrites(operation, key, before, after) {
+    if (!this.auditPath) return [];
+
+    return [await auditEntryWrite(this._backendInstance(), this.auditPath, {
+      operation,
+      path: this.path,
+      key,
+      before: before ?? null,
+      after: after ?? null,
+      uid: this._auth?.currentUser?.uid ?? null,
+    })];
+  }
+
+  /**
+   * Instance of the selected backend
+   * @returns {import('@manufosela/firebase-utils').AuditBackend}
+   * @private
+   */
+  _backendInstance() {
+    return this._isFirestore() ? { firestore: this._firestore } : { database: this._database };
+  }
+
+  /**
+   * Read-modify-write a record atomically.
+   * `updateFn` gets the current record (null if missing) and returns the new
+   * one, null to delete it, or undefined to abort. It may run more than once,
+   * and in the Realtime Database its first call may get null before the
+   * server value is known.
+   * @param {string} key - Key of the record
+   * @param {(current: Object | null) => Object | null | undefined} updateFn
+   * @returns {Promise<{ committed: boolean, value: Object | null }>}
+   */
+  async transaction(key, updateFn) {
+    return this._runTransaction(key, null, updateFn);
+  }
+
+  /**
+   * Atomically add `delta` to a numeric field with the backend's `increment()`
+   * server value. A missing field counts as 0. With `auditPath` the record
+   * is read back once the write commits, and the stored value is logged.
+   * @param {string} key - Key of the record
+   * @param {string} field - Field name or dot path
+   * @param {number} [delta=1] - Amount to add, negative to subtract
+   * @returns {Promise<{ committed: boolean, value: null }>} The value is computed on the server
+   */
+  async increment(key, field, delta = 1) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      const before = this.auditPath ? await this._readRecord(this.path, key) : null;
+      if (this._isFirestore()) {
+        const { doc, setDoc, increment } = await import('firebase/firestore');
+        const docRef = doc(this._firestore, this.path, key);
+        await setDoc(docRef, setFieldValue({}, field, increment(delta)), { merge: true });
+      } else {
+        const { ref, update, increment } = await import('firebase/database');
+        const dataRef = ref(this._database, `${this.path}/${key}`);
+        await update(dataRef, { [field.replaceAll('.', '/')]: increment(delta) });
+      }
+
+      if (this.auditPath) await this._auditCommitted('transaction', key, () => before);
+      this._dispatchDataUpdated('transaction', key, null, { committed: true });
+      return { committed: true, value: null };
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically add values to a list field, skipping those already in it,
+   * like Firestore's `arrayUnion()`. Does not commit when nothing is added.
+   * @param {string} key - Key of the record
+   * @param {string} field - Field name or dot path
+   * @param {...*} values - Values to add
+   * @returns {Promise<{ committed: boolean, value: Array | null }>}
+   */
+  async addToSet(key, field, ...values) {
+    return this._runTransaction(key, field, (current) => {
+      let list = [];
+      if (Array.isArray(current)) {
+        list = current;
+      } else if (current !== null && typeof current === 'object') {
+        list = Object.values(current);
+      }
+
+      const missing = values.filter((value, i) => (
+        !list.some(item => isSameValue(item, value)) && values.findIndex(other => isSameValue(other, value)) === i
+      ));
+      return missing.length > 0 ? [...list, ...missing] : undefined;
+    });
+  }
+
+  /**
+   * Atomically set a field only if it still holds `expected`.
+   * A missing field matches null.
+   * @param {string} key - Key of the record
+   * @param {string} field - Field name or dot path
+   * @param {*} expected - Value the field must hold
+   * @param {*} value - New value, null to remove the field
+   * @returns {Promise<{ committed: boolean, value: * }>} The field value after the attempt
+   */
+  async compareAndSet(key, field, expected, value) {
+    return this._runTransaction(key, field, current => (isSameValue(current, expected) ? value : undefined));
+  }
+
+  /**
+   * Undo the last recorded write by restoring the previous value of its
+   * records in one atomic multi-path update
+   * @returns {Promise<boolean>} False if there was nothing to undo
+   */
+  async undo() {
+    return this._stepHistory('undo');
+  }
+
+  /**
+   * Redo the last undone write in one atomic multi-path update
+   * @returns {Promise<boolean>} False if there was nothing to redo
+   */
+  async redo() {
+    return this._stepHistory('redo');
+  }
+
+  /**
+   * Forget every recorded write
+   */
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._dispatchHistoryChanged('clear', null);
+  }
+
+  /**
+   * Replay the last step of the undo or redo stack and move it to the other one
+   * @param {'undo' | 'redo'} action
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _stepHistory(action) {
+    const stack = action === 'undo' ? this._undoStack : this._redoStack;
+    const step = stack[stack.length - 1];
+    if (!step) return false;
+
+    if (!this._hasBackend()) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      const changes = step.changes.map(change => ({
+        path: change.path,
+        key: change.key,
+        value: action === 'undo' ? change.before : change.after,
+      }));
+      const audits = [];
+      for (const change of step.changes) {
+        if (change.path !== this.path) continue;
+        const [before, after] = action === 'undo' ? [change.after, change.before] : [change.before, change.after];
+        audits.push(...await this._auditWrites(action, change.key, before, after));
+      }
+      await this._writeRecords([...changes, ...audits]);
+
+      if (action === 'undo') {
+        this._undoStack = this._undoStack.slice(0, -1);
+        this._redoStack = [...this._redoStack, step];
+      } else {
+        this._redoStack = this._redoStack.slice(0, -1);
+        this._undoStack = [...this._undoStack, step];
+      }
+
+      changes.forEach(({ key, value }) => this._dispatchDataUpdated(action, key, value));
+      this._dispatchHistoryChanged(action, step);
+      return true;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write records in one atomic operation: a multi-path update in the
+   * Realtime Database, a write batch in Firestore. A null value deletes the
+   * record and `merge` updates only the given fields.
+   * @param {import('@manufosela/firebase-utils').RecordWrite[]} changes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeRecords(changes) {
+    await commitWrites(this._backendInstance(), changes);
+  }
+
+  /**
+   * Records to write for a create, update or delete. A soft delete moves the
+   * record to `trashPath`, or merges the `_deletedAt`/`_deletedBy` flags.
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} record - Stored record, read for a move to `trashPath`
+   * @param {Object | null} data
+   * @returns {import('@manufosela/firebase-utils').RecordWrite[]}
+   * @private
+   */
+  _recordWrites(operation, key, record, data) {
+    if (operation === 'delete' && this.softDelete && this.trashPath) {
+      return record === null ? [] : [
+        { path: this.path, key, value: null },
+        { path: this.trashPath, key, value: record },
+      ];
+    }
+    if (operation === 'create') return [{ path: this.path, key, value: data }];
+    if (operation === 'delete' && !this.softDelete) return [{ path: this.path, key, value: null }];
+    return [{ path: this.path, key, value: data, merge: true }];
+  }
+
+  /**
+   * Records changed by a write, the record at `path` first
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} before
+   * @param {Object | null} data
+   * @returns {HistoryChange[]}
+   * @private
+   */
+  _writtenChanges(operation, key, before, data) {
+    if (operation === 'delete' && this.softDelete && this.trashPath) {
+      return [
+        { path: this.path, key, before, after: null },
+        { path: this.trashPath, key, before: null, after: before },
+      ];
+    }
+    if (operation === 'delete' && this.softDelete) {
+      return [{ path: this.path, key, before, after: before && { ...before, ...data } }];
+    }
+
+    let after = null;
+    if (operation === 'create') {
+      after = data;
+    } else if (operation === 'update') {
+      after = applyChanges(before || {}, data);
+    }
+    return [{ path: this.path, key, before, after }];
+  }
+
+  /**
+   * Push a write onto the undo stack and clear the redo stack
+   * @param {HistoryStep['operation']} operation
+   * @param {HistoryChange[]} changes
+   * @private
+   */
+  _recordHistory(operation, changes) {
+    const step = { operation, changes };
+    this._undoStack = [...this._undoStack, step].slice(-Math.max(this.historyLimit, 1));
+    this._redoStack = [];
+    this._dispatchHistoryChanged('record', step);
+  }
+
+  /**
+   * Run a transaction on a record, or on one of its fields, and dispatch
+   * data-updated with the outcome. A committed transaction is logged in
+   * `auditPath` once it commits.
+   * @param {string} key - Key of the record
+   * @param {string | null} field - Field name or dot path, null for the whole record
+   * @param {(current: *) => *} updateFn - Returns the new value, or undefined to abort
+   * @returns {Promise<{ committed: boolean, value: * }>}
+   * @private
+   */
+  async _runTransaction(key, field, updateFn) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      // The last call gets the value the committed attempt started from
+      let base = null;
+      const run = (current) => {
+        base = current;
+        return updateFn(current);
+      };
+      const result = this._isFirestore()
+        ? await this._runDocumentTransaction(key, field, run)
+        : await this._runDatabaseTransaction(key, field, run);
+
+      if (result.committed && this.auditPath) {
+        await this._auditCommitted('transaction', key, after => (field ? setFieldValue(after || {}, field, base) : base));
+      }
+      this._dispatchDataUpdated('transaction', key, result.value, { committed: result.committed });
+      return result;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a Realtime Database transaction at `path/key`, or `path/key/field`
+   * @param {string} key
+   * @param {string | null} field
+   * @param {(current: *) => *} updateFn
+   * @returns {Promise<{ committed: boolean, value: * }>}
+   * @private
+   */
+  async _runDatabaseTransaction(key, field, updateFn) {
+    const { ref, runTransaction } = await import('firebase/database');
+    const target = field ? `${this.path}/${key}/${field.replaceAll('.', '/')}` : `${this.path}/${key}`;
+    const { committed, snapshot } = await runTransaction(ref(this._database, target), updateFn);
+
+    return { committed, value: snapshot.exists() ? snapshot.val() : null };
+  }
+
+  /**
+   * Run a Firestore transaction on the document `key`, or one of its fields
+   * @param {string} key
+   * @param {string | null} field
+   * @param {(current: *) => *} updateFn
+   * @returns {Promise<{ committed: boolean, value: * }>}
+   * @private
+   */
+  async _runDocumentTransaction(key, field, updateFn) {
+    const { doc, runTransaction, deleteField } = await import('firebase/firestore');
+    const docRef = doc(this._firestore, this.path, key);
+
+    return runTransaction(this._firestore, async (tx) => {
+      const docSnap = await tx.get(docRef);
+      const record = docSnap.exists() ? docSnap.data() : null;
+      const current = field ? getFieldValue(record || {}, field) ?? null : record;
+      const next = updateFn(current);
+
+      if (next === undefined) return { committed: false, value: current };
+
+      if (!field) {
+        if (next === null) {
+          tx.delete(docRef);
+        } else {
+          tx.set(docRef, next);
+        }
+      } else if (docSnap.exists()) {
+        tx.update(docRef, { [field]: next === null ? deleteField() : next });
+      } else if (next !== null) {
+        tx.set(docRef, setFieldValue({}, field, next));
+      }
+      return { committed: true, value: next };
+    });
+  }
+
+  /**
+   * Create a Firestore document in the `path` collection
+   * @param {Object} data - Document data
+   * @param {string | null} key - Optional document id
+   * @returns {Promise<string>} The id of the created document
+   * @private
+   */
+  async _createDocument(data, key) {
+    try {
+      const { collection, doc } = await import('firebase/firestore');
+      const colRef = collection(this._firestore, this.path);
+      const docRef = key ? doc(colRef, key) : doc(colRef);
+
+      await this._write('create', docRef.id, data);
+      return docRef.id;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a Firestore document in the `path` collection
+   * @param {string} key - Document id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateDocument(key, data) {
+    try {
+      await this._write('update', key, data);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a Firestore document from the `path` collection
+   * @param {string} key - Document id
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteDocument(key) {
+    try {
+      await this._write('delete', key, null);
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a record and dispatch data-updated. In optimistic mode the change
+   * is applied to `_data` and announced first, and rolled back if the write
+   * fails. The write is recorded in the history once it succeeds.
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} data - Data to write, the soft-delete flags for a soft delete
+   * @param {string} [label] - Operation reported in events, the history and the audit trail
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(operation, key, data, label = operation) {
+    if (!this.optimistic) {
+      const changes = await this._commitWrite(operation, key, data, label);
+      if (this.history) this._recordHistory(label, changes);
+      this._dispatchDataUpdated(label, key, data);
+      return;
+    }
+
+    const rollback = this._applyOptimistic(operation, key, data);
+    this._dispatchDataUpdated(label, key, data, { pending: true });
+
+    let changes;
+    try {
+      changes = await this._commitWrite(operation, key, data, label);
+      this._settlePending(key);
+    } catch (error) {
+      this._settlePending(key);
+      this._dispatchRollback(label, key, data, rollback(), error.message);
+      throw error;
+    }
+    if (this.history) this._recordHistory(label, changes);
+  }
+
+  /**
+   * Commit a write of `path/key`. With `history` or `auditPath`, the record is
+   * read first and its audit entry is committed in the same atomic write (see
+   * _commitAudited()).
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} data
+   * @param {string} label - Operation logged in the audit trail
+   * @returns {Promise<HistoryChange[]>} The changes to record in the history, empty when untracked
+   * @private
+   */
+  async _commitWrite(operation, key, data, label) {
+    const tracked = this.history || Boolean(this.auditPath);
+    const moved = operation === 'delete' && this.softDelete && Boolean(this.trashPath);
+    const before = tracked || moved ? await this._readRecord(this.path, key) : null;
+    const changes = tracked ? this._writtenChanges(operation, key, before, data) : [];
+    const writes = this._recordWrites(operation, key, before, data);
+
+    const after = await this._commitAudited(label, key, before, changes[0]?.after ?? null, writes, data);
+    if (tracked) changes[0] = { ...changes[0], after };
+    return changes;
+  }
+
+  /**
+   * Commit record writes together with the audit entry of the change to
+   * `path/key`. When `data` holds server values, such as `serverTimestamp()`,
+   * the stored record is only known once the write commits, so it is read
+   * back and logged right after the write instead.
+   * @param {string} operation
+   * @param {string} key
+   * @param {Object | null} before - Record before the write
+   * @param {Object | null} after - Record after the write, as computed locally
+   * @param {import('@manufosela/firebase-utils').RecordWrite[]} writes
+   * @param {Object | null} data - Written data
+   * @returns {Promise<Object | null>} The record after the write
+   * @private
+   */
+  async _commitAudited(operation, key, before, after, writes, data) {
+    const tracked = this.history || Boolean(this.auditPath);
+    if (!tracked || !(await this._hasServerValues(data))) {
+      await this._writeRecords([...writes, ...await this._auditWrites(operation, key, before, after)]);
+      return after;
+    }
+
+    await this._writeRecords(writes);
+    return (await this._auditCommitted(operation, key, () => before)) ?? after;
+  }
+
+  /**
+   * Read back a record whose value is only known once its write commits,
+   * and log it in `auditPath` in a write of its own. The change stays
+   * committed if this fails: an error event reports it instead.
+   * @param {string} operation
+   * @param {string} key
+   * @param {(after: Object | null) => Object | null} getBefore - Record before the write, given the stored one
+   * @returns {Promise<Object | null | undefined>} The stored record, undefined if it could not be read
+   * @private
+   */
+  async _auditCommitted(operation, key, getBefore) {
+    try {
+      const after = await this._readRecord(this.path, key);
+      await this._writeRecords(await this._auditWrites(operation, key, getBefore(after), after));
+      return after;
+    } catch (error) {
+      this._handleError(error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Check if data holds server values of the selected backend
+   * @param {*} data
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _hasServerValues(data) {
+    if (!this._isFirestore()) return hasServerValues(data);
+
+    const { FieldValue } = await import('firebase/firestore');
+    return hasServerValues(data, FieldValue);
+  }
+
+  /**
+   * Apply a write to `_data` and flag the row as pending
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} data
+   * @returns {() => Object | null} Restores the row as it was and returns it
+   * @private
+   */
+  _applyOptimistic(operation, key, data) {
+    const items = Array.isArray(this._data) ? this._data : [];
+    const index = items.findIndex(item => item._key === key);
+    const previous = index === -1 ? null : items[index];
+
+    let next = items;
+    if (operation === 'delete') {
+      next = items.filter(item => item._key !== key);
+    } else if (operation === 'update' && previous) {
+      next = items.map(item => (item === previous ? { ...applyChanges(item, data), _pending: true } : item));
+    } else if (operation === 'create') {
+      const created = { _key: key, ...data, _pending: true };
+      next = previous ? items.map(item => (item === previous ? created : item)) : [...items, created];
+    }
+
+    if (Array.isArray(this._data) || next.length > 0) {
+      this._data = next.length > 0 ? next : null;
+    }
+    this._pending = new Map(this._pending).set(key, (this._pending.get(key) || 0) + 1);
+
+    return () => {
+      const current = Array.isArray(this._data) ? this._data : [];
+      const restored = current.filter(item => item._key !== key);
+      if (!previous) {
+        this._data = restored.length > 0 ? restored : null;
+        return null;
+      }
+
+      const { _pending, ...row } = previous;
+      restored.splice(Math.min(index, restored.length), 0, this._pending.has(key) ? previous : row);
+      this._data = restored;
+      return row;
+    };
+  }
+
+  /**
+   * Count down the in-flight writes of a key, unflagging the row after the last one
+   * @param {string} key
+   * @private
+   */
+  _settlePending(key) {
+    const count = (this._pending.get(key) || 0) - 1;
+    const pending = new Map(this._pending);
+
+    if (count > 0) {
+      pending.set(key, count);
+    } else {
+      pending.delete(key);
+      if (Array.isArray(this._data)) {
+        this._data = this._data.map((item) => {
+          if (item._key !== key || !item._pending) return item;
+          const { _pending, ...row } = item;
+          return row;
+        });
+      }
+    }
+    this._pending = pending;
+  }
+
+  /**
+   * Track the connection state, from the parent firebase-wrapper's
+   * `connection-changed` event or, without one, from `.info/connected`
+   * @private
+   */
+  async _watchConnection() {
+    if (this._connectionUnsubscribe) return;
+
+    const wrapper = this.closest('firebase-wrapper');
+    if (wrapper) {
+      const onConnectionChanged = (e) => this._setConnected(e.detail.online);
+      wrapper.addEventListener('connection-changed', onConnectionChanged);
+      this._connectionUnsubscribe = () => {
+        wrapper.removeEventListener('connection-changed', onConnectionChanged);
+      };
+      if (typeof wrapper.isOnline === 'boolean') {
+        this._setConnected(wrapper.isOnline);
+      }
+      return;
+    }
+
+    if (this._isFirestore() || !this._database) return;
+
+    try {
+      const { ref, onValue } = await import('firebase/database');
+      if (this._connectionUnsubscribe) return;
+
+      this._connectionUnsubscribe = onValue(ref(this._database, '.info/connected'), (snapshot) => {
+        this._setConnected(snapshot.val() === true);
+      });
+    } catch (error) {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Update the connection state, replaying the offline queue once back online
+   * @param {boolean} online
+   * @private
+   */
+  _setConnected(online) {
+    this._connected = online;
+    if (online && this.offline && !this._isFirestore()) {
+      this._flushQueue();
+    }
+  }
+
+  /**
+   * Check if writes go to the offline queue
+   * @returns {boolean}
+   * @private
+   */
+  _shouldQueue() {
+    return this.offline && !this._isFirestore() && this._connected === false;
+  }
+
+  /**
+   * Queue a write for replay and apply it to `_data`. The entry keeps the
+   * audit and soft-delete settings, so it replays the same from any element.
+   * @param {'create' | 'update' | 'delete'} operation
+   * @param {string} key
+   * @param {Object | null} data - Data to write, the soft-delete flags for a soft delete
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queueWrite(operation, key, data) {
+    await enqueueWrite({
+      path: this.path,
+      operation,
+      key,
+      data,
+      backend: this._isFirestore() ? 'firestore' : 'database',
+      auditPath: this.auditPath,
+      softDelete: this.softDelete,
+      uid: this._auth?.currentUser?.uid ?? null,
+    });
+    await this._loadQueue();
+
+    this._dispatchDataUpdated(operation, key, data, { pending: true });
+    this._dispatchSyncQueued(operation, key, data);
+  }
+
+  /**
+   * Read the queued writes of this path and apply them to `_data`
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadQueue() {
+    this._queue = this.path ? await getQueuedWrites(this.path) : [];
+    this._data = this._hideDeleted(this._overlayQueue(this._data));
+  }
+
+  /**
+   * Drop the rows flagged with `_deletedAt` in soft-delete mode
+   * @param {Object | Array | null} data
+   * @returns {Object | Array | null}
+   * @private
+   */
+  _hideDeleted(data) {
+    if (!this.softDelete || !Array.isArray(data)) return data;
+
+    const items = data.filter(item => !item._deletedAt);
+    return items.length === data.length ? data : items;
+  }
+
+  /**
+   * Apply the queued writes to loaded data, flagging the rows with `_queued`.
+   * Queued creates are added, updates merged and deletes removed.
+   * @param {Object | Array | null} data
+   * @returns {Object | Array | null}
+   * @private
+   */
+  _overlayQueue(data) {
+    if (this._queue.length === 0 || (data !== null && !Array.isArray(data))) return data;
+
+    let items = data || [];
+    for (const { operation, key, data: changes } of this._queue) {
+      const current = items.find(item => item._key === key);
+
+      if (operation === 'delete') {
+        items = items.filter(item => item._key !== key);
+      } else if (operation === 'create') {
+        const created = { _key: key, ...changes, _queued: true };
+        items = current ? items.map(item => (item === current ? created : item)) : [...items, created];
+      } else if (current) {
+        items = items.map(item => (item === current ? { ...applyChanges(item, changes), _queued: true } : item));
+      }
+    }
+
+    return items.length > 0 ? items : null;
+  }
+
+  /**
+   * Replay the queued writes of this path and dispatch sync-flushed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushQueue() {
+    if (this._flushing || !this._database || !this.path) return;
+    this._flushing = true;
+
+    try {
+      const backend = this._backendInstance();
+      const { flushed, failed } = await flushQueuedWrites(this.path, entry => replayQueuedWrite(backend, entry));
+
+      // Another element or tab may have flushed the queue: unflag the rows it wrote either way
+      this._queue = await getQueuedWrites(this.path);
+      const queuedKeys = new Set(this._queue.map(entry => entry.key));
+      if (Array.isArray(this._data)) {
+        this._data = this._data.map((item) => {
+          if (!item._queued || queuedKeys.has(item._key)) return item;
+          const { _queued, ...row } = item;
+          return row;
+        });
+      }
+      if (flushed.length === 0 && failed.length === 0) return;
+
+      this._dispatchSyncFlushed(flushed.length, failed);
+    } catch (error) {
+      this._handleError(error);
+    } finally {
+      this._flushing = false;
+    }
+  }
+
+  /**
+   * Refresh data (useful when autoSync is false)
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    await this._setupDataListener();
+  }
+
+  /**
+   * Load the next page (requires `pageSize`)
+   * @returns {Promise<void>}
+   */
+  async nextPage() {
+    if (this.pageSize <= 0 || !this._hasMore) {
+      return;
+    }
+    await this._loadPage('next');
+  }
+
+  /**
+   * Load the previous page (requires `pageSize`)
+   * @returns {Promise<void>}
+   */
+  async prevPage() {
+    if (this.pageSize <= 0 || this._page === 0) {
+      return;
+    }
+    await this._loadPage('prev');
+  }
+
+  /**
+   * Serialize the loaded items to CSV, JSON or NDJSON and download them as a file.
+   * CSV flattens nested fields to dot-path columns; `fields` picks the
+   * columns (or fields, for JSON) to export. Single values export as one item.
+   * The `_pending` and `_queued` flags of unconfirmed writes are left out.
+   * @param {'csv' | 'json' | 'ndjson'} [format='csv'] - Output format
+   * @param {Object} [options]
+   * @param {string[]} [options.fields] - Fields (dot paths) to export, in order
+   * @param {string} [options.filename] - Download file name
+   * @param {string} [options.delimiter=','] - CSV delimiter
+   * @param {boolean} [options.download=true] - Trigger a file download
+   * @returns {string} Serialized content
+   */
+  exportAs(format = 'csv', { fields, filename, delimiter, download = true } = {}) {
+    let items = [];
+    if (Array.isArray(this._data)) {
+      items = this._data;
+    } else if (this._data !== null && typeof this._data === 'object') {
+      items = [this._data];
+    }
+    // Pending and queued flags are local state, not record fields
+    items = items.map(({ _pending, _queued, ...item }) => item);
+
+    const { content, mimeType, extension } = serializeItems(items, format, { fields, delimiter });
+
+    if (download) {
+      const name = this.path ? this.path.split('/').filter(Boolean).pop() : 'export';
+      downloadText(content, mimeType, filename || `${name}.${extension}`);
+    }
+    return content;
+  }
+
+  /**
+   * Import records from a CSV, JSON or NDJSON file into `path`.
+   * Records are keyed by `keyField` (a generated key when missing) and
+   * written in chunks of `chunkSize` rows, each as one multi-path `update()`
+   * (a batch in Firestore). `mode` decides what happens to existing records:
+   * 'merge' updates the imported fields, 'replace' overwrites the record and
+   * 'skip-existing' leaves it untouched. Rows that fail to parse, fail the
+   * `schema` or fail to write are listed in the report, and the others are
+   * still imported. Fires `import-progress` after each chunk.
+   * @param {File | Blob | string} file - File or text to import
+   * @param {Object} [options]
+   * @param {'csv' | 'json' | 'ndjson'} [options.format] - Defaults to the file extension, else the content
+   * @param {string} [options.keyField='_key'] - Field holding each record's key
+   * @param {'merge' | 'replace' | 'skip-existing'} [options.mode='merge'] - Handling of existing records
+   * @param {Object} [options.schema] - firebase-autoform schema to validate and convert values
+   * @param {string} [options.delimiter=','] - CSV delimiter
+   * @param {number} [options.chunkSize=500] - Rows per write
+   * @returns {Promise<{ total: number, written: number, skipped: number, failed: number, errors: Array }>}
+   */
+  async importFrom(file, {
+    format, keyField = '_key', mode = 'merge', schema = null, delimiter = ',', chunkSize = 500,
+  } = {}) {
+    if (!this._hasBackend() || !this.path) {
+      throw new Error('Database not initialized or path not set');
+    }
+
+    try {
+      const text = typeof file === 'string' ? file : await file.text();
+      const records = parseRecords(text, format || detectImportFormat(file.name, text), { keyField, delimiter });
+      const { rows, errors } = this._prepareImport(records, { keyField, schema });
+      const newKeys = await this._generateKeys(rows.filter(row => !row.key).length);
+      rows.filter(row => !row.key).forEach((row, i) => { row.key = newKeys[i]; });
+
+      // A Firestore batch takes 500 writes, and each audited row adds its entry
+      const batchLimit = this.auditPath ? 250 : 500;
+      const size = this._isFirestore() ? Math.min(chunkSize, batchLimit) : chunkSize;
+      let written = 0;
+      let skipped = 0;
+
+      for (let start = 0; start < rows.length; start += size) {
+        let chunk = rows.slice(start, start + size);
+
+        if (mode === 'skip-existing') {
+          const existing = await this._findExistingKeys(chunk.map(row => row.key));
+          skipped += chunk.filter(row => existing.has(row.key)).length;
+          chunk = chunk.filter(row => !existing.has(row.key));
+        }
+
+        try {
+          if (chunk.length > 0) await this._writeImportChunk(chunk, mode);
+          written += chunk.length;
+        } catch (error) {
+          errors.push(...chunk.map(({ row, key }) => ({ row, key, field: null, message: error.message })));
+        }
+
+        this._dispatchImportProgress(Math.min(start + size, rows.length), rows.length, written, skipped);
+      }
+
+      errors.sort((a, b) => a.row - b.row);
+      const report = {
+        total: records.length,
+        written,
+        skipped,
+        failed: new Set(errors.map(error => error.row)).size,
+        errors,
+      };
+      this._dispatchDataUpdated('import', null, report);
+      return report;
+    } catch (error) {
+      this._handleError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the keys out of parsed records and validate them against `schema`.
+   * String values are first converted to the schema field type.
+   * @param {{ row: number, data?: Object, error?: string }[]} records
+   * @param {{ keyField: string, schema: Object | null }} options
+   * @returns {{ rows: { row: number, key: string | null, data: Object }[], errors: Array }}
+   * @private
+   */
+  _prepareImport(records, { keyField, schema }) {
+    const rows = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const record of records) {
+      const { row } = record;
+      const fail = (key, field, message) => errors.push({ row, key, field, message });
+
+      if (record.error) {
+        fail(null, null, record.error);
+        continue;
+      }
+      if (record.data === null || typeof record.data !== 'object' || Array.isArray(record.data)) {
+        fail(null, null, 'Record is not an object');
+        continue;
+      }
+
+      let { [keyField]: key, ...data } = record.data;
+      key = key === undefined || key === null || key === '' ? null : String(key);
+
+      if (key !== null && /[.#$[\]/]/.test(key)) {
+        fail(key, keyField, 'Invalid key');
+        continue;
+      }
+      if (key !== null && seen.has(key)) {
+        fail(key, keyField, 'Duplicate key');
+        continue;
+      }
+
+      let valid = true;
+      for (const [field, fieldSchema] of Object.entries(schema || {})) {
+        const value = coerceFieldValue(getFieldValue(data, field), fieldSchema);
+        const message = validateFieldValue(value, fieldSchema);
+        if (message) {
+          fail(key, field, message);
+          valid = false;
+        } else if (value !== undefined) {
+          data = setFieldValue(data, field, value);
+        }
+      }
+      if (!valid) continue;
+
+      if (Object.keys(data).length === 0) {
+        fail(key, null, 'Record has no fields');
+        continue;
+      }
+
+      if (key !== null) seen.add(key);
+      rows.push({ row, key, data });
+    }
+
+    return { rows, errors };
+  }
+
+  /**
+   * Write a chunk of import rows, with their audit entries, in one request:
+   * whole records in 'replace' mode, one path per field otherwise
+   * @param {{ key: string, data: Object }[]} rows
+   * @param {string} mode
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeImportChunk(rows, mode) {
+    const audits = await this._importAuditWrites(rows, mode);
+
+    if (this._isFirestore()) {
+      const { doc, writeBatch } = await import('firebase/firestore');
+      const batch = writeBatch(this._firestore);
+      for (const { key, data } of rows) {
+        batch.set(doc(this._firestore, this.path, key), data, { merge: mode !== 'replace' });
+      }
+      audits.forEach(({ path, key, value }) => batch.set(doc(this._firestore, path, key), value));
+      await batch.commit();
+      return;
+    }
+
+    const writes = rows.map(({ key, data }) => {
+      if (mode === 'replace') return { path: this.path, key, value: data };
+
+      const fields = Object.entries(flattenItem(data)).map(([field, value]) => [field.replaceAll('.', '/'), value]);
+      return { path: this.path, key, value: Object.fromEntries(fields), merge: true };
+    });
+    await this._writeRecords([...writes, ...audits]);
+  }
+
+  /**
+   * Audit entries of a chunk of import rows, each with the record as it was
+   * before the import. Empty without `auditPath`.
+   * @param {{ key: string, data: Object }[]} rows
+   * @param {string} mode
+   * @returns {Promise<import('@manufosela/firebase-utils').RecordWrite[]>}
+   * @private
+   */
+  async _importAuditWrites(rows, mode) {
+    if (!this.auditPath) return [];
+
+    const records = await Promise.all(rows.map(({ key }) => this._readRecord(this.path, key)));
+    const audits = await Promise.all(rows.map(({ key, data }, i) => {
+      const before = records[i];
+      const after = mode === 'replace' || !before ? data : applyChanges(before, flattenItem(data));
+      return this._auditWrites('import', key, before, after);
+    }));
+    return audits.flat();
+  }
+
+  /**
+   * Generate new record keys without writing
+   * @param {number} count
+   * @returns {Promise<string[]>}
+   * @private
+   */
+  async _generateKeys(count) {
+    if (count === 0) return [];
+
+    if (this._isFirestore()) {
+      const { collection, doc } = await import('firebase/firestore');
+      const colRef = collection(this._firestore, this.path);
+      return Array.from({ length: count }, () => doc(colRef).id);
+    }
+
+    const { ref, push } = await import('firebase/database');
+    const listRef = ref(this._database, this.path);
+    return Array.from({ length: count }, () => push(listRef).key);
+  }
+
+  /**
+   * Find which keys already exist under `path`
+   * @param {string[]} keys
+   * @returns {Promise<Set<string>>}
+   * @private
+   */
+  async _findExistingKeys(keys) {
+    const records = await Promise.all(keys.map(key => this._readRecord(this.path, key)));
+    return new Set(keys.filter((key, i) => records[i] !== null));
+  }
+
+  /**
+   * Dispatch data-loaded event
    * @private
    */
   _dispatchDataLoaded() {
+    if (this._queue.length > 0) {
+      this._data = this._overlayQueue(this._data);
+    }
+    this._data = this._hideDeleted(this._data);
+
     this.dispatchEvent(
       new CustomEvent('data-loaded', {
-        detail: { data: this._data, path: this.path },
+        detail: { data: this._data, summary: this.summary, path: this.path },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch page-changed event
+   * @private
+   */
+  _dispatchPageChanged() {
+    this.dispatchEvent(
+      new CustomEvent('page-changed', {
+        detail: {
+          page: this._page,
+          pageSize: this.pageSize,
+          hasMore: this._hasMore,
+          path: this.path,
+        },
         bubbles: true,
         composed: true,
       })
@@ -482,15 +2455,117 @@ export class FirebaseCrud extends LitElement {
 
   /**
    * Dispatch data-updated event
-   * @param {'create' | 'update' | 'delete'} operation - Operation type
-   * @param {string} key - Affected key
+   * @param {'create' | 'update' | 'delete' | 'import' | 'transaction'} operation - Operation type
+   * @param {string | null} key - Affected key
    * @param {Object | null} data - Updated data
+   * @param {{ pending?: boolean, committed?: boolean }} [status] - `pending` for optimistic
+   *   changes not yet confirmed by the server, `committed` for transactions
    * @private
    */
-  _dispatchDataUpdated(operation, key, data) {
+  _dispatchDataUpdated(operation, key, data, { pending = false, committed } = {}) {
+    const detail = { operation, key, data, pending, path: this.path };
+    if (committed !== undefined) detail.committed = committed;
+
     this.dispatchEvent(
       new CustomEvent('data-updated', {
-        detail: { operation, key, data, path: this.path },
+        detail,
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch data-rollback event
+   * @param {string} operation - Rejected operation
+   * @param {string} key - Key of the rolled back row
+   * @param {Object | null} data - Data of the rejected write
+   * @param {Object | null} previous - Restored row, null if it did not exist
+   * @param {string} message - Write error message
+   * @private
+   */
+  _dispatchRollback(operation, key, data, previous, message) {
+    this.dispatchEvent(
+      new CustomEvent('data-rollback', {
+        detail: { operation, key, data, previous, message, path: this.path },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch sync-queued event
+   * @param {string} operation - Queued operation
+   * @param {string} key - Record key
+   * @param {Object | null} data - Queued data
+   * @private
+   */
+  _dispatchSyncQueued(operation, key, data) {
+    this.dispatchEvent(
+      new CustomEvent('sync-queued', {
+        detail: { operation, key, data, queued: this._queue.length, path: this.path },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch history-changed event
+   * @param {'record' | 'undo' | 'redo' | 'clear'} action
+   * @param {HistoryStep | null} step - Step recorded, undone or redone
+   * @private
+   */
+  _dispatchHistoryChanged(action, step) {
+    this.dispatchEvent(
+      new CustomEvent('history-changed', {
+        detail: {
+          action,
+          step,
+          canUndo: this.canUndo,
+          canRedo: this.canRedo,
+          path: this.path,
+        },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch sync-flushed event
+   * @param {number} flushed - Writes replayed
+   * @param {Array<{ operation: string, key: string, message: string }>} failed - Writes the server rejected
+   * @private
+   */
+  _dispatchSyncFlushed(flushed, failed) {
+    this.dispatchEvent(
+      new CustomEvent('sync-flushed', {
+        detail: {
+          flushed,
+          failed: failed.map(({ operation, key, message }) => ({ operation, key, message })),
+          queued: this._queue.length,
+          path: this.path,
+        },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Dispatch import-progress event
+   * @param {number} processed - Rows processed so far
+   * @param {number} total - Valid rows to import
+   * @param {number} written - Rows written so far
+   * @param {number} skipped - Existing rows skipped so far
+   * @private
+   */
+  _dispatchImportProgress(processed, total, written, skipped) {
+    this.dispatchEvent(
+      new CustomEvent('import-progress', {
+        detail: { processed, total, written, skipped, path: this.path },
         bubbles: true,
         composed: true,
       })
@@ -550,6 +2625,15 @@ export class FirebaseCrud extends LitElement {
   _renderSyncIndicator() {
     if (!this.autoSync) return nothing;
 
+    if (this._connected === false) {
+      return html`
+        <div class="sync-indicator sync-indicator--offline">
+          <span class="sync-dot"></span>
+          <span>Offline</span>
+        </div>
+      `;
+    }
+
     const syncClass = this._syncActive
       ? 'sync-indicator sync-indicator--active'
       : 'sync-indicator';
@@ -562,6 +2646,21 @@ export class FirebaseCrud extends LitElement {
     `;
   }
 
+  /**
+   * Render the number of writes waiting to sync
+   * @returns {import('lit').TemplateResult | typeof nothing}
+   * @private
+   */
+  _renderQueueIndicator() {
+    if (this._queue.length === 0) return nothing;
+
+    return html`
+      <div class="queue-indicator" role="status">
+        ${this._queue.length} pending ${this._queue.length === 1 ? 'change' : 'changes'}
+      </div>
+    `;
+  }
+
   render() {
     if (this._loading && this.showLoading) {
       return this._renderLoading();
@@ -577,12 +2676,14 @@ export class FirebaseCrud extends LitElement {
     ) {
       return html`
         ${this._renderSyncIndicator()}
+        ${this._renderQueueIndicator()}
         ${this._renderEmpty()}
       `;
     }
 
     return html`
       ${this._renderSyncIndicator()}
+      ${this._renderQueueIndicator()}
       <div class="data-container">
         <slot></slot>
       </div>
@@ -7,6 +7,8 @@ import { css } from 'lit';
  * - --firebase-crud-loading-color: Loading spinner color (default: #007bff)
  * - --firebase-crud-error-color: Error text color (default: #dc3545)
  * - --firebase-crud-success-color: Success text color (default: #28a745)
+ * - --firebase-crud-queue-bg: Pending changes badge background (default: #fff3cd)
+ * - --firebase-crud-queue-color: Pending changes badge text color (default: #856404)
  */
 export const styles = css`
   :host {
@@ -87,6 +89,10 @@ export const styles = css`
     color: var(--firebase-crud-sync-active-color, #28a745);
   }
 
+  .sync-indicator--offline {
+    color: var(--firebase-crud-sync-offline-color, #dc3545);
+  }
+
   .sync-dot {
     width: 6px;
     height: 6px;
@@ -98,6 +104,16 @@ export const styles = css`
     animation: pulse 1.5s ease-in-out infinite;
   }
 
+  .queue-indicator {
+    display: inline-block;
+    margin-left: 0.5rem;
+    padding: 0 0.375rem;
+    border-radius: 999px;
+    font-size: 0.75rem;
+    background-color: var(--firebase-crud-queue-bg, #fff3cd);
+    color: var(--firebase-crud-queue-color, #856404);
+  }
+
   @keyframes pulse {
     0%, 100% {
       opacity: 1;
@@ -0,0 +1,155 @@
+/**
+ * Helpers used by the FirebaseCrud component
+ */
+
+import { FORMULA_PREFIX, setFieldValue } from '@manufosela/firebase-utils';
+
+/**
+ * Compare two database values: primitives by value, objects and arrays
+ * by their JSON form. `undefined` counts as null, like a missing value.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function isSameValue(a, b) {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+  if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') {
+    return left === right;
+  }
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * Convert a text value to the type of a firebase-autoform FieldSchema
+ * entry: numbers for number and range fields, booleans for checkboxes.
+ * Non-string values are returned as they are.
+ * @param {*} value
+ * @param {object} [field]
+ * @returns {*}
+ */
+export function coerceFieldValue(value, field = {}) {
+  if (typeof value !== 'string') return value;
+
+  if (field.type === 'number' || field.type === 'range') {
+    return value.trim() === '' ? '' : Number(value);
+  }
+  if (field.type === 'checkbox') {
+    return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+  }
+  return value;
+}
+
+/**
+ * Parse CSV text (RFC 4180) into rows of cells.
+ * Quoted cells may contain delimiters, doubled quotes and line breaks.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Guess the format of an import from its file name, else its content
+ * @param {string} name - File name, may be empty
+ * @param {string} text - File content
+ * @returns {'csv' | 'json' | 'ndjson'}
+ */
+export function detectImportFormat(name, text) {
+  const extension = (name || '').split('.').pop().toLowerCase();
+  if (extension === 'csv' || extension === 'json' || extension === 'ndjson') return extension;
+  if (extension === 'jsonl') return 'ndjson';
+
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+/**
+ * Parse CSV, JSON or NDJSON text into records.
+ * CSV headers are dot paths to nested fields, and empty cells are left out.
+ * A `'` before formula-like text, as written by the CSV export, is removed.
+ * JSON may be an array of records or an object of records by key, which
+ * is stored in `keyField`. Each record carries its 1-based row number;
+ * NDJSON lines that fail to parse carry an `error` instead of data.
+ * @param {string} text
+ * @param {'csv' | 'json' | 'ndjson'} format
+ * @param {{ keyField?: string, delimiter?: string }} [options]
+ * @returns {{ row: number, data?: object, error?: string }[]}
+ */
+export function parseRecords(text, format, { keyField = '_key', delimiter = ',' } = {}) {
+  switch (format) {
+    case 'csv': {
+      const [header = [], ...rows] = parseCsv(text, delimiter);
+      // Undo the `'` that exportAs() puts before formula-like text
+      const unescape = cell => (cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell);
+      return rows.map((cells, index) => ({
+        row: index + 1,
+        data: header.reduce(
+          (data, column, i) => (
+            cells[i] === undefined || cells[i] === '' ? data : setFieldValue(data, column.trim(), unescape(cells[i]))
+          ),
+          {}
+        ),
+      }));
+    }
+    case 'json': {
+      const parsed = JSON.parse(text);
+      const records = Array.isArray(parsed)
+        ? parsed
+        : Object.entries(parsed || {}).map(([key, value]) => ({ ...value, [keyField]: key }));
+      return records.map((data, index) => ({ row: index + 1, data }));
+    }
+    case 'ndjson':
+      return text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, row }) => {
+          try {
+            return { row, data: JSON.parse(line) };
+          } catch (error) {
+            return { row, error: `Invalid JSON: ${error.message}` };
+          }
+        });
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
@@ -1,4 +1,5 @@
 import { LitElement, TemplateResult } from 'lit';
+import type { AuditEntry } from '@manufosela/firebase-utils';
 import { Database } from 'firebase/database';
 
 /**
@@ -6,6 +7,92 @@ import { Database } from 'firebase/database';
  */
 export interface DataLoadedEventDetail {
   data: unknown;
+  /** Aggregates over the loaded items */
+  summary: Summary;
+  path: string;
+}
+
+/**
+ * Aggregate operations
+ */
+export type AggregateOperation = 'count' | 'sum' | 'avg' | 'min' | 'max' | 'distinct';
+
+/**
+ * Aggregate results: item count, and results by field and operation
+ */
+export interface Summary {
+  count: number;
+  fields: Record<string, Partial<Record<AggregateOperation, unknown>>>;
+}
+
+/**
+ * Export formats
+ */
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+/**
+ * Export options
+ */
+export interface ExportOptions {
+  /** Fields (dot paths) to export, in order */
+  fields?: string[];
+  /** Download file name (default: last path segment plus extension) */
+  filename?: string;
+  /** CSV delimiter (default: ',') */
+  delimiter?: string;
+  /** Trigger a file download (default: true) */
+  download?: boolean;
+}
+
+/**
+ * Import options
+ */
+export interface ImportOptions {
+  /** Input format (default: from the file extension, else the content) */
+  format?: 'csv' | 'json' | 'ndjson';
+  /** Field holding each record's key (default: '_key') */
+  keyField?: string;
+  /** Handling of existing records (default: 'merge') */
+  mode?: 'merge' | 'replace' | 'skip-existing';
+  /** firebase-autoform schema to validate and convert values */
+  schema?: Record<string, Record<string, unknown>>;
+  /** CSV delimiter (default: ',') */
+  delimiter?: string;
+  /** Rows per write (default: 500, at most 500 in Firestore) */
+  chunkSize?: number;
+}
+
+/**
+ * A row that was not imported
+ */
+export interface ImportError {
+  /** 1-based row (CSV data row, JSON record or NDJSON line) */
+  row: number;
+  key: string | null;
+  /** Field that failed validation, null for row errors */
+  field: string | null;
+  message: string;
+}
+
+/**
+ * Import result
+ */
+export interface ImportReport {
+  total: number;
+  written: number;
+  skipped: number;
+  failed: number;
+  errors: ImportError[];
+}
+
+/**
+ * Import progress event detail
+ */
+export interface ImportProgressEventDetail {
+  processed: number;
+  total: number;
+  written: number;
+  skipped: number;
   path: string;
 }
 
@@ -21,9 +108,118 @@ export interface DataErrorEventDetail {
  * Data updated event detail
  */
 export interface DataUpdatedEventDetail {
+  operation: 'create' | 'update' | 'delete' | 'import' | 'transaction' | 'undo' | 'redo' | 'restore' | 'purge' | 'revert';
+  key: string | null;
+  /** Written data, the ImportReport for 'import', or the value after a 'transaction' */
+  data: unknown;
+  /** Optimistic change not yet confirmed by the server */
+  pending: boolean;
+  /** Whether a 'transaction' was committed */
+  committed?: boolean;
+  path: string;
+}
+
+/**
+ * Transaction outcome
+ */
+export interface TransactionResult<T = unknown> {
+  committed: boolean;
+  /** Value after the attempt (null when unknown, as for increment) */
+  value: T | null;
+}
+
+/**
+ * Child event detail (item-added, item-changed, item-removed, item-moved)
+ */
+export interface ItemEventDetail {
+  key: string;
+  item: Record<string, unknown>;
+  index?: number;
+  previous?: Record<string, unknown>;
+  from?: number;
+  to?: number;
+  path: string;
+}
+
+/**
+ * Data rollback event detail
+ */
+export interface DataRollbackEventDetail {
+  operation: 'create' | 'update' | 'delete' | 'revert';
+  key: string;
+  /** Data of the rejected write */
+  data: Record<string, unknown> | null;
+  /** Restored row, null if it did not exist */
+  previous: Record<string, unknown> | null;
+  message: string;
+  path: string;
+}
+
+/**
+ * Sync queued event detail
+ */
+export interface SyncQueuedEventDetail {
   operation: 'create' | 'update' | 'delete';
   key: string;
-  data: unknown;
+  data: Record<string, unknown> | null;
+  /** Writes queued for the path */
+  queued: number;
+  path: string;
+}
+
+/**
+ * Sync flushed event detail
+ */
+export interface SyncFlushedEventDetail {
+  /** Writes replayed */
+  flushed: number;
+  /** Writes the server rejected, dropped from the queue */
+  failed: Array<{ operation: 'create' | 'update' | 'delete'; key: string; message: string }>;
+  /** Writes still queued */
+  queued: number;
+  path: string;
+}
+
+/**
+ * One record written by a history step
+ */
+export interface HistoryChange {
+  path: string;
+  key: string;
+  /** Record before the write, null if it did not exist */
+  before: Record<string, unknown> | null;
+  /** Record after the write, null if it was deleted */
+  after: Record<string, unknown> | null;
+}
+
+/**
+ * A recorded write, undone and redone as one atomic update
+ */
+export interface HistoryStep {
+  operation: 'create' | 'update' | 'delete' | 'revert';
+  changes: HistoryChange[];
+}
+
+export type { AuditChange, AuditEntry } from '@manufosela/firebase-utils';
+
+/**
+ * History changed event detail
+ */
+export interface HistoryChangedEventDetail {
+  action: 'record' | 'undo' | 'redo' | 'clear';
+  step: HistoryStep | null;
+  canUndo: boolean;
+  canRedo: boolean;
+  path: string;
+}
+
+/**
+ * Page changed event detail
+ */
+export interface PageChangedEventDetail {
+  page: number;
+  pageSize: number;
+  hasMore: boolean;
   path: string;
 }
 
@@ -35,6 +231,16 @@ export interface DataUpdatedEventDetail {
  * @fires data-loaded - Fired when data is loaded from the database
  * @fires data-error - Fired when an error occurs during database operations
  * @fires data-updated - Fired when data is successfully updated/created/deleted
+ * @fires page-changed - Fired when a different page has been loaded
+ * @fires item-added - Fired when a child is added (sync-mode="child")
+ * @fires item-changed - Fired when a child changes (sync-mode="child")
+ * @fires item-removed - Fired when a child is removed (sync-mode="child")
+ * @fires item-moved - Fired when a child changes position (sync-mode="child")
+ * @fires import-progress - Fired after each chunk written by importFrom
+ * @fires data-rollback - Fired when an optimistic write is rejected and undone
+ * @fires sync-queued - Fired when a write is queued while offline
+ * @fires sync-flushed - Fired when queued writes have been replayed
+ * @fires history-changed - Fired when the undo/redo history changes
  *
  * @slot - Default slot for custom data rendering
  * @slot loading - Custom loading indicator
@@ -47,11 +253,21 @@ export declare class FirebaseCrud extends LitElement {
    */
   path: string;
 
+  /**
+   * Storage backend. In Firestore mode `path` names a collection.
+   */
+  backend: 'rtdb' | 'firestore';
+
   /**
    * Enable real-time sync with database
    */
   autoSync: boolean;
 
+  /**
+   * How auto-sync applies changes: full snapshots or child event patches (RTDB only)
+   */
+  syncMode: 'value' | 'child';
+
   /**
    * Field to order results by
    */
@@ -67,6 +283,51 @@ export declare class FirebaseCrud extends LitElement {
    */
   limitTo: number;
 
+  /**
+   * Page size for cursor-based pagination (0 = no pagination)
+   */
+  pageSize: number;
+
+  /**
+   * Apply writes to the loaded data before the server confirms them
+   */
+  optimistic: boolean;
+
+  /**
+   * Queue writes in IndexedDB while the Realtime Database is disconnected
+   */
+  offline: boolean;
+
+  /**
+   * Record writes so they can be undone and redone
+   */
+  history: boolean;
+
+  /**
+   * Maximum number of undo steps kept
+   */
+  historyLimit: number;
+
+  /**
+   * Keep deleted records: move them to `trashPath`, or flag them with `_deletedAt`/`_deletedBy`
+   */
+  softDelete: boolean;
+
+  /**
+   * Path (a collection in Firestore) soft-deleted records move to
+   */
+  trashPath: string;
+
+  /**
+   * Path (a collection in Firestore) where every change is logged
+   */
+  auditPath: string;
+
+  /**
+   * Aggregates per field: one operation or a list of them
+   */
+  aggregates: Record<string, AggregateOperation | AggregateOperation[]>;
+
   /**
    * Show loading indicator
    */
@@ -82,16 +343,51 @@ export declare class FirebaseCrud extends LitElement {
    */
   get data(): unknown;
 
+  /**
+   * Aggregates over the loaded items
+   */
+  get summary(): Summary;
+
+  /**
+   * Keys with optimistic writes waiting for the server
+   */
+  get pendingKeys(): string[];
+
+  /**
+   * Number of writes queued offline for the path
+   */
+  get queuedCount(): number;
+
+  /**
+   * Check if there is a write to undo
+   */
+  get canUndo(): boolean;
+
+  /**
+   * Check if there is an undone write to redo
+   */
+  get canRedo(): boolean;
+
   /**
    * Check if data is loading
    */
   get loading(): boolean;
 
   /**
-   * Check if sync is active
+   * Check if sync is active and the connection is up
    */
   get isSyncing(): boolean;
 
+  /**
+   * Current page index (0-based)
+   */
+  get page(): number;
+
+  /**
+   * Check if there are more items after the current page
+   */
+  get hasMore(): boolean;
+
   /**
    * Create data at the current path
    * @param data - Data to create
@@ -111,7 +407,7 @@ export declare class FirebaseCrud extends LitElement {
    * @param key - Key to update
    * @param data - Data to update (partial update)
    */
-  update(key: string, data: Record<string, unknown>): Promise<void>;
+  updateRecord(key: string, data: Record<string, unknown>): Promise<void>;
 
   /**
    * Delete data at a specific key
@@ -124,6 +420,91 @@ export declare class FirebaseCrud extends LitElement {
    */
   refresh(): Promise<void>;
 
+  /**
+   * Load the next page
+   */
+  nextPage(): Promise<void>;
+
+  /**
+   * Load the previous page
+   */
+  prevPage(): Promise<void>;
+
+  /**
+   * Serialize the loaded items and download them as a file
+   * @param format - Output format (default: 'csv')
+   * @returns Serialized content
+   */
+  exportAs(format?: ExportFormat, options?: ExportOptions): string;
+
+  /**
+   * Import records from a CSV, JSON or NDJSON file into the path
+   * @param file - File or text to import
+   * @returns Report of written, skipped and failed rows
+   */
+  importFrom(file: Blob | string, options?: ImportOptions): Promise<ImportReport>;
+
+  /**
+   * Read-modify-write a record atomically
+   * @param key - Key of the record
+   * @param updateFn - Returns the new record, null to delete it or undefined to abort
+   */
+  transaction<T = Record<string, unknown>>(
+    key: string,
+    updateFn: (current: T | null) => T | null | undefined
+  ): Promise<TransactionResult<T>>;
+
+  /**
+   * Atomically add to a numeric field
+   * @param delta - Amount to add (default: 1)
+   */
+  increment(key: string, field: string, delta?: number): Promise<TransactionResult<never>>;
+
+  /**
+   * Atomically add values to a list field, skipping those already in it
+   */
+  addToSet(key: string, field: string, ...values: unknown[]): Promise<TransactionResult<unknown[]>>;
+
+  /**
+   * Atomically set a field only if it still holds the expected value
+   */
+  compareAndSet(key: string, field: string, expected: unknown, value: unknown): Promise<TransactionResult>;
+
+  /**
+   * Bring back a soft-deleted record, resolving false if there was none
+   */
+  restore(key: string): Promise<boolean>;
+
+  /**
+   * Remove a soft-deleted record for good, resolving false if there was none
+   */
+  purge(key: string): Promise<boolean>;
+
+  /**
+   * Revisions of a record logged in `auditPath`, oldest first
+   */
+  revisions(key: string): Promise<AuditEntry[]>;
+
+  /**
+   * Put a record back as it was right after one of its revisions
+   */
+  revert(key: string, revisionId: string): Promise<Record<string, unknown> | null>;
+
+  /**
+   * Undo the last recorded write, resolving false if there was none
+   */
+  undo(): Promise<boolean>;
+
+  /**
+   * Redo the last undone write, resolving false if there was none
+   */
+  redo(): Promise<boolean>;
+
+  /**
+   * Forget every recorded write
+   */
+  clearHistory(): void;
+
   render(): TemplateResult;
 }
 
@@ -136,5 +517,15 @@ declare global {
     'data-loaded': CustomEvent<DataLoadedEventDetail>;
     'data-error': CustomEvent<DataErrorEventDetail>;
     'data-updated': CustomEvent<DataUpdatedEventDetail>;
+    'page-changed': CustomEvent<PageChangedEventDetail>;
+    'item-added': CustomEvent<ItemEventDetail>;
+    'item-changed': CustomEvent<ItemEventDetail>;
+    'item-removed': CustomEvent<ItemEventDetail>;
+    'item-moved': CustomEvent<ItemEventDetail>;
+    'import-progress': CustomEvent<ImportProgressEventDetail>;
+    'data-rollback': CustomEvent<DataRollbackEventDetail>;
+    'sync-queued': CustomEvent<SyncQueuedEventDetail>;
+    'sync-flushed': CustomEvent<SyncFlushedEventDetail>;
+    'history-changed': CustomEvent<HistoryChangedEventDetail>;
   }
 }
@@ -1,5 +1,10 @@
-import { html, fixture, expect, oneEvent } from '@open-wc/testing';
+import { html, fixture, expect, oneEvent, waitUntil } from '@open-wc/testing';
 import '../src/firebase-crud.js';
+import { parseRecords } from '../src/firebase-crud.utils.js';
+import {
+  applyChanges, compareValues, diffRecords, enqueueWrite, flushQueuedWrites, getFieldValue, getQueuedWrites,
+  setFieldValue, toAuditEntry,
+} from '@manufosela/firebase-utils';
 
 // Mock Firebase database module
 const mockData = {
@@ -7,6 +12,206 @@ const mockData = {
   user2: { name: 'Jane', email: 'jane@example.com' },
 };
 
+// Server time filled in for `{ '.sv': 'timestamp' }`
+const NOW = 1700000000000;
+
+const keysOf = data => (data || []).map(item => item._key);
+
+const resolveServerValues = (value) => {
+  if (Array.isArray(value)) return value.map(resolveServerValues);
+  if (value === null || typeof value !== 'object') return value;
+  if (value['.sv'] === 'timestamp') return NOW;
+  return Object.fromEntries(Object.entries(value).map(([field, child]) => [field, resolveServerValues(child)]));
+};
+
+/**
+ * In-memory Realtime Database behind an element. Records live in `store`
+ * under `path/key`. Reads, atomic writes, transactions, generated keys, audit
+ * entries and the data listener (value, page or child events) all go through
+ * it, so the tests below only use the element's public API.
+ * @param {HTMLElement} el - firebase-crud element
+ * @param {Object} [store] - Records by `path/key`
+ */
+const useFakeStore = (el, store = {}) => {
+  const commits = [];
+  const gates = { read: null, write: null };
+  const listeners = { value: [], added: [], changed: [], removed: [], moved: [] };
+  let failure = null;
+  let keyCount = 0;
+  let entryCount = 0;
+
+  const recordsAt = path => Object.entries(store)
+    .filter(([id]) => id.startsWith(`${path}/`) && !id.slice(path.length + 1).includes('/'))
+    .map(([id, data]) => ({ key: id.slice(path.length + 1), data }));
+
+  // Query order: by `orderBy`, then by key
+  const ordered = () => recordsAt(el.path)
+    .map(({ key, data }) => ({ key, value: el.orderBy ? getFieldValue(data, el.orderBy) ?? null : null, data }))
+    .sort((a, b) => compareValues(a.value, b.value) || a.key.localeCompare(b.key));
+
+  const page = (entries) => {
+    let result = entries;
+    el._getPageConstraints(
+      (...cursor) => ({ after: cursor[cursor.length - 1] }),
+      (...cursor) => ({ before: cursor[cursor.length - 1] }),
+      count => ({ first: count }),
+      count => ({ last: count })
+    ).forEach(({ after, before, first, last }) => {
+      if (after !== undefined) result = result.slice(result.findIndex(entry => entry.key === after) + 1);
+      if (before !== undefined) result = result.slice(0, result.findIndex(entry => entry.key === before));
+      if (first) result = result.slice(0, first);
+      if (last) result = result.slice(-last);
+    });
+    return result;
+  };
+
+  const childSnapshot = ({ key, data }) => ({ key, val: () => data });
+  const snapshotOf = entries => ({
+    exists: () => entries.length > 0,
+    val: () => (entries.length > 0 ? Object.fromEntries(entries.map(({ key, data }) => [key, data])) : null),
+    forEach: callback => entries.forEach(({ key, data }) => callback({
+      key,
+      val: () => data,
+      child: field => ({ val: () => getFieldValue(data, field) ?? null }),
+    })),
+  });
+  const prevKeyIn = (entries, key) => {
+    const index = entries.findIndex(entry => entry.key === key);
+    return index > 0 ? entries[index - 1].key : null;
+  };
+  const subscribe = (type, callback) => {
+    listeners[type].push(callback);
+    return () => { listeners[type] = listeners[type].filter(listener => listener !== callback); };
+  };
+
+  // Fire value and child events for what a write changed
+  const notify = (previous) => {
+    listeners.value.forEach(callback => callback());
+
+    const current = ordered();
+    previous
+      .filter(entry => !current.some(({ key }) => key === entry.key))
+      .forEach(entry => listeners.removed.forEach(callback => callback(childSnapshot(entry))));
+
+    current.forEach((entry) => {
+      const old = previous.find(({ key }) => key === entry.key);
+      const prevKey = prevKeyIn(current, entry.key);
+      if (!old) {
+        listeners.added.forEach(callback => callback(childSnapshot(entry), prevKey));
+      } else if (JSON.stringify(old.data) !== JSON.stringify(entry.data)) {
+        listeners.changed.forEach(callback => callback(childSnapshot(entry), prevKey));
+        if (prevKeyIn(previous, entry.key) !== prevKey) {
+          listeners.moved.forEach(callback => callback(childSnapshot(entry), prevKey));
+        }
+      }
+    });
+  };
+
+  el._database = {};
+
+  el._setupDataListener = async () => {
+    el._cleanup();
+    // Only the parent firebase-wrapper reports the connection here
+    if (el.closest('firebase-wrapper')) el._watchConnection();
+    if (el.offline) await el._loadQueue();
+
+    if (el.autoSync && el.syncMode === 'child' && el.pageSize <= 0) {
+      el._unsubscribe = el._listenChildEvents(null, {
+        onChildAdded: (query, callback) => {
+          const entries = ordered();
+          entries.forEach(entry => callback(childSnapshot(entry), prevKeyIn(entries, entry.key)));
+          return subscribe('added', callback);
+        },
+        onChildChanged: (query, callback) => subscribe('changed', callback),
+        onChildRemoved: (query, callback) => subscribe('removed', callback),
+        onChildMoved: (query, callback) => subscribe('moved', callback),
+        onValue: (query, callback) => {
+          callback(snapshotOf(ordered()));
+          return () => {};
+        },
+      });
+      return;
+    }
+
+    const load = () => el._handleSnapshot(snapshotOf(el.pageSize > 0 ? page(ordered()) : ordered()));
+    if (el.autoSync) {
+      el._unsubscribe = subscribe('value', () => {
+        load();
+        el._syncActive = true;
+      });
+      el._syncActive = true;
+    }
+    load();
+  };
+
+  el._readRecord = async (path, key) => {
+    await gates.read;
+    return store[`${path}/${key}`] ?? null;
+  };
+
+  // Local events fire at once, the promise resolves when the server confirms
+  el._writeRecords = async (writes) => {
+    if (failure) throw new Error(failure);
+
+    commits.push(writes);
+    const previous = ordered();
+    writes.forEach(({ path, key, value, merge }) => {
+      const id = `${path}/${key}`;
+      if (merge) {
+        store[id] = applyChanges(store[id] || {}, resolveServerValues(value));
+      } else if (value === null) {
+        delete store[id];
+      } else {
+        store[id] = resolveServerValues(value);
+      }
+    });
+    notify(previous);
+    await gates.write;
+  };
+
+  el._runDatabaseTransaction = async (key, field, updateFn) => {
+    const id = `${el.path}/${key}`;
+    const record = store[id] ?? null;
+    const current = field ? getFieldValue(record || {}, field) ?? null : record;
+    const next = updateFn(current);
+    if (next === undefined) return { committed: false, value: current };
+
+    store[id] = field ? setFieldValue(record || {}, field, next) : next;
+    return { committed: true, value: next };
+  };
+
+  el._generateKeys = async count => Array.from({ length: count }, () => `new${keyCount++}`);
+
+  el._auditWrites = async (operation, key, before, after) => {
+    if (!el.auditPath) return [];
+    entryCount += 1;
+    return [{ path: `${el.auditPath}/${key}`, key: `e${entryCount}`, value: { operation, before, after } }];
+  };
+
+  const revisions = el.revisions.bind(el);
+  el.revisions = async key => (el.auditPath
+    ? recordsAt(`${el.auditPath}/${key}`).map(({ key: id, data }) => ({ id, ...data }))
+    : revisions(key));
+
+  return {
+    store,
+    commits,
+    /** Audit entries of a record, oldest first */
+    entries: key => recordsAt(`${el.auditPath}/${key}`).map(({ data }) => data),
+    /** Make writes fail with a message, or succeed again with null */
+    fail: (message) => { failure = message; },
+    /** Hold reads or writes until the returned function is called */
+    hold: (kind) => {
+      let release;
+      gates[kind] = new Promise((resolve) => { release = resolve; });
+      return () => {
+        gates[kind] = null;
+        release();
+      };
+    },
+  };
+};
+
 describe('FirebaseCrud', () => {
   describe('initialization', () => {
     it('should be defined', async () => {
@@ -18,10 +223,12 @@ describe('FirebaseCrud', () => {
     it('should have default property values', async () => {
       const el = await fixture(html`<firebase-crud></firebase-crud>`);
       expect(el.path).to.equal('');
+      expect(el.backend).to.equal('rtdb');
       expect(el.autoSync).to.be.false;
       expect(el.orderBy).to.equal('');
       expect(el.orderDirection).to.equal('asc');
       expect(el.limitTo).to.equal(0);
+      expect(el.pageSize).to.equal(0);
       expect(el.showLoading).to.be.false;
       expect(el.emptyMessage).to.equal('No data available');
     });
@@ -33,6 +240,13 @@ describe('FirebaseCrud', () => {
       expect(el.path).to.equal('/users');
     });
 
+    it('should accept backend attribute', async () => {
+      const el = await fixture(
+        html`<firebase-crud backend="firestore"></firebase-crud>`
+      );
+      expect(el.backend).to.equal('firestore');
+    });
+
     it('should accept auto-sync attribute', async () => {
       const el = await fixture(
         html`<firebase-crud auto-sync></firebase-crud>`
@@ -309,10 +523,10 @@ describe('FirebaseCrud', () => {
       }
     });
 
-    it('should throw error when update is called without database', async () => {
+    it('should throw error when updateRecord is called without database', async () => {
       const el = await fixture(html`<firebase-crud></firebase-crud>`);
       try {
-        await el.update('key1', { name: 'Updated' });
+        await el.updateRecord('key1', { name: 'Updated' });
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.equal(
@@ -321,6 +535,11 @@ describe('FirebaseCrud', () => {
       }
     });
 
+    it('should render its template', async () => {
+      const el = await fixture(html`<firebase-crud></firebase-crud>`);
+      expect(el.shadowRoot.querySelector('.empty-state')).to.exist;
+    });
+
     it('should throw error when delete is called without database', async () => {
       const el = await fixture(html`<firebase-crud></firebase-crud>`);
       try {
@@ -334,6 +553,901 @@ describe('FirebaseCrud', () => {
     });
   });
 
+  describe('child sync mode', () => {
+    const keys = el => keysOf(el.data);
+
+    it('should default to value sync mode', async () => {
+      const el = await fixture(html`<firebase-crud></firebase-crud>`);
+      expect(el.syncMode).to.equal('value');
+    });
+
+    it('should insert children after their previous sibling', async () => {
+      const el = await fixture(html`<firebase-crud path="/items" sync-mode="child" auto-sync order-by="n"></firebase-crud>`);
+      useFakeStore(el, { '/items/a': { n: 1 }, '/items/c': { n: 3 } });
+      await el.refresh();
+      expect(keys(el)).to.deep.equal(['a', 'c']);
+
+      setTimeout(() => el.create({ n: 2 }, 'b'));
+      const event = await oneEvent(el, 'item-added');
+
+      expect(event.detail).to.include({ key: 'b', index: 1, path: '/items' });
+      expect(keys(el)).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should append children whose previous sibling is not loaded', async () => {
+      const el = await fixture(
+        html`<firebase-crud path="/items" sync-mode="child" auto-sync order-by="n" soft-delete></firebase-crud>`
+      );
+      useFakeStore(el, { '/items/a': { n: 1 }, '/items/b': { n: 2, _deletedAt: 1 } });
+      await el.refresh();
+
+      // The new child follows the hidden one
+      await el.create({ n: 3 }, 'c');
+      expect(keys(el)).to.deep.equal(['a', 'c']);
+    });
+
+    it('should dispatch item-changed with the previous value after the initial load', async () => {
+      const el = await fixture(html`<firebase-crud path="/test" sync-mode="child" auto-sync></firebase-crud>`);
+      useFakeStore(el, { '/test/a': { n: 1 } });
+      await el.refresh();
+
+      setTimeout(() => el.updateRecord('a', { n: 2 }));
+      const event = await oneEvent(el, 'item-changed');
+
+      expect(event.detail.key).to.equal('a');
+      expect(event.detail.previous).to.deep.equal({ _key: 'a', n: 1 });
+      expect(event.detail.item).to.deep.equal({ _key: 'a', n: 2 });
+      expect(event.detail.index).to.equal(0);
+    });
+
+    it('should remove and move children in place', async () => {
+      const el = await fixture(html`<firebase-crud path="/items" sync-mode="child" auto-sync order-by="n"></firebase-crud>`);
+      useFakeStore(el, { '/items/a': { n: 1 }, '/items/b': { n: 2 }, '/items/c': { n: 3 } });
+      await el.refresh();
+
+      setTimeout(() => el.updateRecord('a', { n: 4 }));
+      const moved = await oneEvent(el, 'item-moved');
+      expect(moved.detail).to.include({ key: 'a', from: 0, to: 2 });
+      expect(keys(el)).to.deep.equal(['b', 'c', 'a']);
+
+      setTimeout(() => el.delete('c'));
+      const removed = await oneEvent(el, 'item-removed');
+      expect(removed.detail).to.include({ key: 'c', index: 1 });
+      expect(keys(el)).to.deep.equal(['b', 'a']);
+    });
+
+    it('should treat soft-deleted children as removed in soft-delete mode', async () => {
+      const el = await fixture(
+        html`<firebase-crud path="/test" sync-mode="child" auto-sync order-by="n" soft-delete></firebase-crud>`
+      );
+      useFakeStore(el, { '/test/a': { n: 1 }, '/test/b': { n: 2, _deletedAt: 1 }, '/test/c': { n: 3 } });
+      await el.refresh();
+      expect(keys(el)).to.deep.equal(['a', 'c']);
+
+      setTimeout(() => el.restore('b'));
+      const added = await oneEvent(el, 'item-added');
+      expect(added.detail.key).to.equal('b');
+      expect(keys(el)).to.deep.equal(['a', 'b', 'c']);
+
+      setTimeout(() => el.delete('a'));
+      const removed = await oneEvent(el, 'item-removed');
+      expect(removed.detail.key).to.equal('a');
+      expect(keys(el)).to.deep.equal(['b', 'c']);
+    });
+  });
+
+  describe('pagination', () => {
+    const items = count => Object.fromEntries(
+      Array.from({ length: count }, (_, i) => [`/items/k${i}`, { n: i }])
+    );
+
+    it('should report hasMore when a look-ahead item is returned', async () => {
+      const el = await fixture(html`<firebase-crud path="/items" page-size="2"></firebase-crud>`);
+      useFakeStore(el, items(3));
+      await el.refresh();
+
+      expect(el.hasMore).to.be.true;
+      expect(el.data).to.deep.equal([
+        { _key: 'k0', n: 0 },
+        { _key: 'k1', n: 1 },
+      ]);
+    });
+
+    it('should report no more items on the last page', async () => {
+      const el = await fixture(html`<firebase-crud path="/items" page-size="2"></firebase-crud>`);
+      useFakeStore(el, items(2));
+      await el.refresh();
+
+      expect(el.hasMore).to.be.false;
+      expect(el.page).to.equal(0);
+    });
+
+    it('should load the pages after the last key and before the first one', async () => {
+      const el = await fixture(html`<firebase-crud path="/items" page-size="2"></firebase-crud>`);
+      useFakeStore(el, items(5));
+      await el.refresh();
+
+      await el.nextPage();
+      expect(keysOf(el.data)).to.deep.equal(['k2', 'k3']);
+      await el.nextPage();
+      expect(keysOf(el.data)).to.deep.equal(['k4']);
+      expect(el.hasMore).to.be.false;
+
+      await el.prevPage();
+      expect(keysOf(el.data)).to.deep.equal(['k2', 'k3']);
+      expect(el.page).to.equal(1);
+      await el.prevPage();
+      expect(keysOf(el.data)).to.deep.equal(['k0', 'k1']);
+      expect(el.page).to.equal(0);
+    });
+
+    it('should dispatch page-changed after a page loads', async () => {
+      const el = await fixture(html`<firebase-crud path="/test" page-size="2"></firebase-crud>`);
+      useFakeStore(el, { '/test/a': { n: 1 }, '/test/b': { n: 2 }, '/test/c': { n: 3 } });
+      await el.refresh();
+
+      setTimeout(() => el.nextPage());
+      const event = await oneEvent(el, 'page-changed');
+
+      expect(event.detail).to.deep.equal({
+        page: 1,
+        pageSize: 2,
+        hasMore: false,
+        path: '/test',
+      });
+    });
+
+    it('should not move before the first page', async () => {
+      const el = await fixture(html`<firebase-crud page-size="2"></firebase-crud>`);
+      await el.prevPage();
+      expect(el.page).to.equal(0);
+    });
+  });
+
+  describe('aggregates', () => {
+    it('should compute the summary over the loaded items', async () => {
+      const el = await fixture(html`<firebase-crud path="/orders"></firebase-crud>`);
+      el.aggregates = { total: ['sum', 'avg', 'min', 'max'], status: 'distinct', note: 'count' };
+      useFakeStore(el, {
+        '/orders/a': { total: 10, status: 'open' },
+        '/orders/b': { total: 30, status: 'paid', note: 'gift' },
+        '/orders/c': { status: 'open' },
+      });
+      await el.refresh();
+
+      expect(el.summary).to.deep.equal({
+        count: 3,
+        fields: {
+          total: { sum: 40, avg: 20, min: 10, max: 30 },
+          status: { distinct: 2 },
+          note: { count: 1 },
+        },
+      });
+    });
+
+    it('should include the summary in data-loaded', async () => {
+      const el = await fixture(html`<firebase-crud path="/orders"></firebase-crud>`);
+      el.aggregates = { total: 'sum' };
+      useFakeStore(el, { '/orders/a': { total: 5 }, '/orders/b': { total: 7 } });
+
+      setTimeout(() => el.refresh());
+      const event = await oneEvent(el, 'data-loaded');
+
+      expect(event.detail.summary).to.deep.equal({ count: 2, fields: { total: { sum: 12 } } });
+    });
+  });
+
+  describe('export', () => {
+    it('should serialize items to CSV with escaping and flattened fields', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      el._data = [
+        { _key: 'a', name: 'Ann\nMarie', address: { city: 'Lyon' } },
+        { _key: 'b', name: 'Bob', tags: ['x', 'y'] },
+      ];
+
+      expect(el.exportAs('csv', { download: false })).to.equal(
+        '_key,name,address.city,tags\r\na,"Ann\nMarie",Lyon,\r\nb,Bob,,"[""x"",""y""]"\r\n'
+      );
+      expect(el.exportAs('csv', { fields: ['name'], delimiter: ';', download: false })).to.equal(
+        'name\r\n"Ann\nMarie"\r\nBob\r\n'
+      );
+    });
+
+    it('should serialize items to JSON and NDJSON', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      el._data = [{ _key: 'a', name: 'Ann' }, { _key: 'b', name: 'Bob' }];
+
+      expect(JSON.parse(el.exportAs('json', { download: false }))).to.deep.equal(el._data);
+      expect(el.exportAs('ndjson', { fields: ['_key'], download: false })).to.equal('{"_key":"a"}\n{"_key":"b"}\n');
+    });
+
+    it('should escape formula-like cells and leave out pending flags', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      el._data = [
+        { _key: 'a', note: '=HYPERLINK("x")', total: -3, _pending: true },
+        { _key: 'b', note: '@cmd', total: 2, _queued: true },
+      ];
+
+      const csv = el.exportAs('csv', { download: false });
+      expect(csv).to.equal('_key,note,total\r\na,"\'=HYPERLINK(""x"")",-3\r\nb,\'@cmd,2\r\n');
+      expect(JSON.parse(el.exportAs('json', { download: false }))).to.deep.equal([
+        { _key: 'a', note: '=HYPERLINK("x")', total: -3 },
+        { _key: 'b', note: '@cmd', total: 2 },
+      ]);
+      expect(parseRecords(csv, 'csv').map(record => record.data.note)).to.deep.equal(['=HYPERLINK("x")', '@cmd']);
+    });
+
+    it('should reject unknown formats', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      expect(() => el.exportAs('xml', { download: false })).to.throw('Unsupported export format: xml');
+    });
+  });
+
+
+  describe('import', () => {
+    const schema = {
+      name: { type: 'text', required: true },
+      age: { type: 'number', min: 0 },
+      active: { type: 'checkbox' },
+    };
+
+    it('should parse CSV rows, convert values and report invalid rows', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      const { store } = useFakeStore(el);
+      const report = await el.importFrom(
+        'id,name,age,active,address.city\r\nu1,"Doe, Jane",42,yes,Lyon\r\nu2,,7,no,\r\nu.3,Bob,1,,\r\n,Ann,-1,,\r\n',
+        { format: 'csv', keyField: 'id', schema }
+      );
+
+      expect(store).to.deep.equal({
+        '/users/u1': { name: 'Doe, Jane', age: 42, active: true, address: { city: 'Lyon' } },
+      });
+      expect(report).to.deep.equal({
+        total: 4,
+        written: 1,
+        skipped: 0,
+        failed: 3,
+        errors: [
+          { row: 2, key: 'u2', field: 'name', message: 'This field is required' },
+          { row: 3, key: 'u.3', field: 'id', message: 'Invalid key' },
+          { row: 4, key: null, field: 'age', message: 'Minimum value is 0' },
+        ],
+      });
+    });
+
+    it('should merge, replace or skip existing records', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/users/u1': { name: 'Old', age: 3, address: { city: 'Paris', zip: '75' } } });
+      const json = '[{"_key":"u1","name":"Ann","address":{"city":"Lyon"}}]';
+
+      await el.importFrom(json);
+      expect(store['/users/u1']).to.deep.equal({ name: 'Ann', age: 3, address: { city: 'Lyon', zip: '75' } });
+
+      await el.importFrom(json, { mode: 'replace' });
+      expect(store['/users/u1']).to.deep.equal({ name: 'Ann', address: { city: 'Lyon' } });
+
+      const report = await el.importFrom('[{"_key":"u1","name":"Bob"},{"_key":"u2","name":"Cy"}]', { mode: 'skip-existing' });
+      expect(report).to.include({ written: 1, skipped: 1 });
+      expect(store['/users/u1'].name).to.equal('Ann');
+      expect(store['/users/u2']).to.deep.equal({ name: 'Cy' });
+    });
+
+    it('should write chunks with progress events and return a report', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      const { commits } = useFakeStore(el);
+      const progress = [];
+      el.addEventListener('import-progress', (e) => progress.push(e.detail.processed));
+
+      const json = '[{"_key":"a","n":1},{"n":2},{"_key":"a","n":3},{"_key":"b","n":4}]';
+      setTimeout(() => el.importFrom(json, { mode: 'replace', chunkSize: 2 }));
+      const event = await oneEvent(el, 'data-updated');
+
+      expect(commits.map(writes => writes.map(({ key }) => key))).to.deep.equal([['a', 'new0'], ['b']]);
+      expect(progress).to.deep.equal([2, 3]);
+      expect(event.detail.operation).to.equal('import');
+      expect(event.detail.data).to.deep.equal({
+        total: 4,
+        written: 3,
+        skipped: 0,
+        failed: 1,
+        errors: [{ row: 3, key: 'a', field: '_key', message: 'Duplicate key' }],
+      });
+    });
+
+    it('should throw error when importing without database', async () => {
+      const el = await fixture(html`<firebase-crud></firebase-crud>`);
+      try {
+        await el.importFrom('[]');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Database not initialized or path not set');
+      }
+    });
+  });
+
+  describe('optimistic mode', () => {
+    it('should apply updates at once and flag them until the server confirms', async () => {
+      const el = await fixture(html`<firebase-crud path="/users" optimistic auto-sync></firebase-crud>`);
+      const { commits, hold } = useFakeStore(el, {
+        '/users/a': { name: 'Ann', address: { city: 'Lyon' } },
+        '/users/b': { name: 'Bob' },
+      });
+      await el.refresh();
+      const confirm = hold('write');
+
+      setTimeout(() => el.updateRecord('a', { 'address/city': 'Oslo' }));
+      const event = await oneEvent(el, 'data-updated');
+
+      expect(event.detail.pending).to.be.true;
+      expect(el.data[0]).to.deep.equal({ _key: 'a', name: 'Ann', address: { city: 'Oslo' }, _pending: true });
+      expect(el.pendingKeys).to.deep.equal(['a']);
+
+      // The snapshot of the local write, before the server confirms it, keeps the flag
+      await waitUntil(() => commits.length === 1);
+      await el.updateComplete;
+      expect(el.data[0]._pending).to.be.true;
+
+      confirm();
+      await waitUntil(() => el.pendingKeys.length === 0);
+      expect(el.data[0]).to.deep.equal({ _key: 'a', name: 'Ann', address: { city: 'Oslo' } });
+    });
+
+    it('should roll back a rejected delete with data-rollback', async () => {
+      const el = await fixture(html`<firebase-crud path="/users" optimistic></firebase-crud>`);
+      const { fail } = useFakeStore(el, { '/users/a': { name: 'Ann' }, '/users/b': { name: 'Bob' } });
+      await el.refresh();
+      fail('PERMISSION_DENIED');
+
+      setTimeout(() => el.delete('a').catch(() => {}));
+      const event = await oneEvent(el, 'data-rollback');
+
+      expect(event.detail).to.include({ operation: 'delete', key: 'a', message: 'PERMISSION_DENIED', path: '/users' });
+      expect(event.detail.previous).to.deep.equal({ _key: 'a', name: 'Ann' });
+      expect(el.data).to.deep.equal([{ _key: 'a', name: 'Ann' }, { _key: 'b', name: 'Bob' }]);
+      expect(el.pendingKeys).to.deep.equal([]);
+    });
+
+    it('should remove a rejected create', async () => {
+      const el = await fixture(html`<firebase-crud path="/users" optimistic></firebase-crud>`);
+      const { fail } = useFakeStore(el);
+      fail('Denied');
+      const write = el.create({ name: 'Cy' }, 'c');
+
+      expect(el.data).to.deep.equal([{ _key: 'c', name: 'Cy', _pending: true }]);
+      try {
+        await write;
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Denied');
+      }
+      expect(el.data).to.be.null;
+    });
+
+    it('should apply the change before reading the record for the history', async () => {
+      const el = await fixture(html`<firebase-crud path="/users" optimistic history></firebase-crud>`);
+      const { hold } = useFakeStore(el, { '/users/a': { name: 'Ann' } });
+      await el.refresh();
+      const loaded = hold('read');
+
+      setTimeout(() => el.updateRecord('a', { name: 'Anna' }));
+      const event = await oneEvent(el, 'data-updated');
+
+      expect(event.detail.pending).to.be.true;
+      expect(el.data[0]).to.deep.equal({ _key: 'a', name: 'Anna', _pending: true });
+
+      loaded();
+      await waitUntil(() => el.canUndo);
+      expect(el.pendingKeys).to.deep.equal([]);
+    });
+
+    it('should wait for the server when not optimistic', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      const { commits, hold } = useFakeStore(el, { '/users/a': { name: 'Ann' } });
+      await el.refresh();
+      const confirm = hold('write');
+      const write = el.updateRecord('a', { name: 'Anna' });
+
+      await waitUntil(() => commits.length === 1);
+      expect(el.data[0].name).to.equal('Ann');
+      confirm();
+      await write;
+      expect(el.data[0].name).to.equal('Ann');
+    });
+  });
+
+  describe('transactions', () => {
+    it('should add only missing values to a set and report the commit', async () => {
+      const el = await fixture(html`<firebase-crud path="/posts"></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/posts/p1': { tags: ['news', 'tech'] } });
+
+      setTimeout(() => el.addToSet('p1', 'tags', 'tech', 'web', 'web'));
+      const event = await oneEvent(el, 'data-updated');
+
+      expect(event.detail).to.include({ operation: 'transaction', key: 'p1', committed: true });
+      expect(store['/posts/p1'].tags).to.deep.equal(['news', 'tech', 'web']);
+      expect(await el.addToSet('p1', 'tags', 'news')).to.deep.equal({ committed: false, value: ['news', 'tech', 'web'] });
+    });
+
+    it('should only set a field holding the expected value', async () => {
+      const el = await fixture(html`<firebase-crud path="/orders"></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/orders/o1': { status: 'open' } });
+
+      expect(await el.compareAndSet('o1', 'status', 'draft', 'paid')).to.deep.equal({ committed: false, value: 'open' });
+      expect(await el.compareAndSet('o1', 'status', 'open', 'paid')).to.deep.equal({ committed: true, value: 'paid' });
+      expect(await el.compareAndSet('o1', 'owner', null, 'ann')).to.deep.equal({ committed: true, value: 'ann' });
+      expect(store['/orders/o1']).to.deep.equal({ status: 'paid', owner: 'ann' });
+    });
+
+    it('should throw error when running a transaction without database', async () => {
+      const el = await fixture(html`<firebase-crud></firebase-crud>`);
+      for (const call of [() => el.transaction('k', v => v), () => el.increment('k', 'votes')]) {
+        try {
+          await call();
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.message).to.equal('Database not initialized or path not set');
+        }
+      }
+    });
+  });
+
+  describe('offline queue', () => {
+    const setOnline = (wrapper, online) => {
+      wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online, serverTimeOffset: 0 } }));
+    };
+
+    afterEach(async () => {
+      await flushQueuedWrites('/offline', async () => {});
+    });
+
+    it('should queue writes, apply them to the data and count them', async () => {
+      const wrapper = await fixture(
+        html`<firebase-wrapper><firebase-crud path="/offline" offline></firebase-crud></firebase-wrapper>`
+      );
+      const el = wrapper.querySelector('firebase-crud');
+      const { commits } = useFakeStore(el, { '/offline/a': { name: 'Ann' }, '/offline/b': { name: 'Bob' } });
+      await el.refresh();
+      setOnline(wrapper, false);
+
+      setTimeout(() => el.updateRecord('a', { name: 'Anna' }));
+      const event = await oneEvent(el, 'sync-queued');
+      expect(event.detail).to.include({ operation: 'update', key: 'a', queued: 1, path: '/offline' });
+
+      await el.delete('b');
+      await el.create({ name: 'Cy' }, 'c');
+      await el.updateComplete;
+
+      expect(commits).to.deep.equal([]);
+      expect(el.queuedCount).to.equal(3);
+      expect(el.data).to.deep.equal([
+        { _key: 'a', name: 'Anna', _queued: true },
+        { _key: 'c', name: 'Cy', _queued: true },
+      ]);
+      expect(el.shadowRoot.querySelector('.queue-indicator').textContent.trim()).to.equal('3 pending changes');
+    });
+
+    it('should queue soft deletes with the settings to replay them with', async () => {
+      const wrapper = await fixture(
+        html`<firebase-wrapper><firebase-crud path="/offline" offline soft-delete audit-path="/audit"></firebase-crud></firebase-wrapper>`
+      );
+      const el = wrapper.querySelector('firebase-crud');
+      useFakeStore(el, { '/offline/a': { name: 'Ann' } });
+      await el.refresh();
+      setOnline(wrapper, false);
+
+      await el.delete('a');
+
+      const [entry] = await getQueuedWrites('/offline');
+      expect(entry).to.include({
+        operation: 'delete', key: 'a', backend: 'database', auditPath: '/audit', softDelete: true, uid: null,
+      });
+      expect(entry.data._deletedAt).to.be.a('number');
+      expect(el.data).to.be.null;
+    });
+
+    it('should flag queued rows in data-loaded', async () => {
+      const el = await fixture(html`<firebase-crud path="/offline" offline></firebase-crud>`);
+      useFakeStore(el, { '/offline/a': { name: 'Ann' }, '/offline/b': { name: 'Bob' } });
+      await enqueueWrite({ path: '/offline', operation: 'update', key: 'a', data: { name: 'Anna' } });
+
+      setTimeout(() => el.refresh());
+      const event = await oneEvent(el, 'data-loaded');
+
+      expect(event.detail.data).to.deep.equal([
+        { _key: 'a', name: 'Anna', _queued: true },
+        { _key: 'b', name: 'Bob' },
+      ]);
+    });
+
+    it('should unflag rows on reconnect when another element already flushed the queue', async () => {
+      const wrapper = await fixture(
+        html`<firebase-wrapper><firebase-crud path="/offline" offline></firebase-crud></firebase-wrapper>`
+      );
+      const el = wrapper.querySelector('firebase-crud');
+      useFakeStore(el, { '/offline/a': { name: 'Ann' } });
+      await el.refresh();
+      setOnline(wrapper, false);
+      await el.updateRecord('a', { name: 'Anna' });
+      expect(el.data[0]._queued).to.be.true;
+
+      await flushQueuedWrites('/offline', async () => {});
+      setOnline(wrapper, true);
+      await waitUntil(() => !el.data[0]._queued);
+
+      expect(el.data).to.deep.equal([{ _key: 'a', name: 'Anna' }]);
+    });
+
+    it('should replay queued writes in order and drop rejected ones', async () => {
+      await enqueueWrite({ path: '/offline', operation: 'create', key: 'x', data: { n: 1 } });
+      await enqueueWrite({ path: '/offline', operation: 'update', key: 'y', data: { n: 2 } });
+      await enqueueWrite({ path: '/offline', operation: 'delete', key: 'z', data: null });
+      const written = [];
+
+      const { flushed, failed } = await flushQueuedWrites('/offline', async (entry) => {
+        if (entry.key === 'y') throw new Error('PERMISSION_DENIED');
+        written.push(entry.key);
+      });
+
+      expect(written).to.deep.equal(['x', 'z']);
+      expect(flushed.length).to.equal(2);
+      expect(failed.map(({ key, message }) => ({ key, message }))).to.deep.equal([{ key: 'y', message: 'PERMISSION_DENIED' }]);
+      expect(await getQueuedWrites('/offline')).to.deep.equal([]);
+    });
+  });
+
+  describe('history', () => {
+    it('should record writes with the previous value and undo them', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes" history></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/nodes/n1': { name: 'Root', tags: { a: true } } });
+
+      setTimeout(() => el.updateRecord('n1', { name: 'Top', 'tags/a': null }));
+      const recorded = await oneEvent(el, 'history-changed');
+      expect(recorded.detail).to.include({ action: 'record', canUndo: true, canRedo: false, path: '/nodes' });
+      expect(recorded.detail.step.changes).to.deep.equal([
+        { path: '/nodes', key: 'n1', before: { name: 'Root', tags: { a: true } }, after: { name: 'Top', tags: {} } },
+      ]);
+
+      await el.delete('n1');
+      expect(store['/nodes/n1']).to.be.undefined;
+      expect(await el.undo()).to.be.true;
+      expect(store['/nodes/n1']).to.deep.equal({ name: 'Top', tags: {} });
+      expect(await el.undo()).to.be.true;
+      expect(store['/nodes/n1']).to.deep.equal({ name: 'Root', tags: { a: true } });
+      expect(el.canUndo).to.be.false;
+      expect(await el.undo()).to.be.false;
+
+      expect(await el.redo()).to.be.true;
+      expect(store['/nodes/n1']).to.deep.equal({ name: 'Top', tags: {} });
+      expect(el.canRedo).to.be.true;
+    });
+
+    it('should clear the redo stack on a new write and keep only historyLimit steps', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes" history history-limit="2"></firebase-crud>`);
+      const { store } = useFakeStore(el);
+
+      await el.create({ n: 1 }, 'a');
+      await el.create({ n: 2 }, 'b');
+      await el.undo();
+      expect(store['/nodes/b']).to.be.undefined;
+      expect(el.canRedo).to.be.true;
+
+      await el.create({ n: 3 }, 'c');
+      await el.create({ n: 4 }, 'd');
+      expect(el.canRedo).to.be.false;
+
+      expect(await el.undo()).to.be.true;
+      expect(await el.undo()).to.be.true;
+      expect(await el.undo()).to.be.false;
+      expect(store).to.deep.equal({ '/nodes/a': { n: 1 } });
+    });
+
+    it('should not record failed writes or writes without history', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes"></firebase-crud>`);
+      const { fail } = useFakeStore(el);
+
+      await el.create({ n: 1 }, 'a');
+      el.history = true;
+      fail('PERMISSION_DENIED');
+      try {
+        await el.create({ n: 2 }, 'b');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('PERMISSION_DENIED');
+      }
+      expect(el.canUndo).to.be.false;
+    });
+  });
+
+  describe('soft delete', () => {
+    it('should move deleted records to the trash path and back', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes" soft-delete trash-path="/trash"></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/nodes/n1': { name: 'Root' } });
+
+      setTimeout(() => el.delete('n1'));
+      const deleted = await oneEvent(el, 'data-updated');
+      expect(deleted.detail).to.include({ operation: 'delete', key: 'n1' });
+      expect(deleted.detail.data._deletedAt).to.be.a('number');
+      expect(store).to.deep.equal({ '/trash/n1': { name: 'Root' } });
+
+      expect(await el.restore('n1')).to.be.true;
+      expect(store).to.deep.equal({ '/nodes/n1': { name: 'Root' } });
+      expect(await el.restore('n1')).to.be.false;
+
+      await el.delete('n1');
+      expect(await el.purge('n1')).to.be.true;
+      expect(store).to.deep.equal({});
+    });
+
+    it('should flag deleted records, hide them and only purge flagged ones', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes" soft-delete></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/nodes/n1': { name: 'Root' }, '/nodes/n2': { name: 'Leaf' } });
+      document.dispatchEvent(new CustomEvent('firebase-ready', {
+        detail: { database: {}, auth: { currentUser: { uid: 'u1' } } },
+      }));
+
+      await el.delete('n1');
+      expect(store['/nodes/n1']).to.include({ name: 'Root', _deletedBy: 'u1' });
+
+      setTimeout(() => el.refresh());
+      const loaded = await oneEvent(el, 'data-loaded');
+      expect(loaded.detail.data).to.deep.equal([{ _key: 'n2', name: 'Leaf' }]);
+
+      expect(await el.purge('n2')).to.be.false;
+      expect(await el.restore('n1')).to.be.true;
+      expect(store['/nodes/n1']).to.deep.equal({ name: 'Root' });
+    });
+
+    it('should undo a soft delete with the trash move as one step', async () => {
+      const el = await fixture(html`<firebase-crud path="/nodes" soft-delete trash-path="/trash" history></firebase-crud>`);
+      const { store } = useFakeStore(el, { '/nodes/n1': { name: 'Root' } });
+
+      await el.delete('n1');
+      await el.undo();
+
+      expect(store).to.deep.equal({ '/nodes/n1': { name: 'Root' } });
+    });
+  });
+
+  describe('audit trail', () => {
+    it('should diff nested fields of two record versions', () => {
+      expect(diffRecords(
+        { name: 'Ann', address: { city: 'Lyon', zip: '69000' }, tags: ['a'] },
+        { name: 'Ann', address: { city: 'Oslo' }, tags: ['a', 'b'], age: 30 }
+      )).to.deep.equal([
+        { field: 'address.city', before: 'Lyon', after: 'Oslo' },
+        { field: 'address.zip', before: '69000', after: null },
+        { field: 'tags', before: ['a'], after: ['a', 'b'] },
+        { field: 'age', before: null, after: 30 },
+      ]);
+      expect(diffRecords(null, { name: 'Ann' })).to.deep.equal([{ field: 'name', before: null, after: 'Ann' }]);
+    });
+
+    it('should normalize stored entries', () => {
+      const entry = toAuditEntry('-Nx1', {
+        operation: 'update',
+        path: '/contracts',
+        key: 'c1',
+        after: { status: 'signed' },
+        diff: { 0: { field: 'status', after: 'signed' } },
+        timestamp: { toMillis: () => 1700000000000 },
+      });
+
+      expect(entry).to.deep.equal({
+        id: '-Nx1',
+        operation: 'update',
+        path: '/contracts',
+        key: 'c1',
+        before: null,
+        after: { status: 'signed' },
+        diff: [{ field: 'status', before: null, after: 'signed' }],
+        uid: null,
+        timestamp: 1700000000000,
+      });
+    });
+
+
+    it('should log writes with the previous value and the new one', async () => {
+      const el = await fixture(html`<firebase-crud path="/contracts" audit-path="/audit"></firebase-crud>`);
+      const { entries } = useFakeStore(el, { '/contracts/c1': { status: 'draft', owner: 'u1' } });
+
+      await el.updateRecord('c1', { status: 'signed' });
+      await el.delete('c1');
+
+      expect(entries('c1')).to.deep.equal([
+        { operation: 'update', before: { status: 'draft', owner: 'u1' }, after: { status: 'signed', owner: 'u1' } },
+        { operation: 'delete', before: { status: 'signed', owner: 'u1' }, after: null },
+      ]);
+    });
+
+    it('should commit the audit entry in the same write as the change', async () => {
+      const el = await fixture(html`<firebase-crud path="/contracts" audit-path="/audit" soft-delete trash-path="/trash"></firebase-crud>`);
+      const { commits } = useFakeStore(el, { '/contracts/c1': { status: 'draft' } });
+
+      await el.updateRecord('c1', { status: 'signed' });
+      await el.delete('c1');
+
+      expect(commits).to.deep.equal([
+        [
+          { path: '/contracts', key: 'c1', value: { status: 'signed' }, merge: true },
+          { path: '/audit/c1', key: 'e1', value: { operation: 'update', before: { status: 'draft' }, after: { status: 'signed' } } },
+        ],
+        [
+          { path: '/contracts', key: 'c1', value: null },
+          { path: '/trash', key: 'c1', value: { status: 'signed' } },
+          { path: '/audit/c1', key: 'e2', value: { operation: 'delete', before: { status: 'signed' }, after: null } },
+        ],
+      ]);
+    });
+
+    it('should log transactions and server values with the stored record', async () => {
+      const el = await fixture(html`<firebase-crud path="/posts" audit-path="/audit"></firebase-crud>`);
+      const { commits, entries } = useFakeStore(el, { '/posts/p1': { title: 'Hi', votes: 2 } });
+
+      await el.compareAndSet('p1', 'votes', 2, 3);
+      await el.updateRecord('p1', { editedAt: { '.sv': 'timestamp' } });
+
+      expect(entries('p1')).to.deep.equal([
+        { operation: 'transaction', before: { title: 'Hi', votes: 2 }, after: { title: 'Hi', votes: 3 } },
+        { operation: 'update', before: { title: 'Hi', votes: 3 }, after: { title: 'Hi', votes: 3, editedAt: NOW } },
+      ]);
+      // The record is written alone, and logged once the server filled in the timestamp
+      expect(commits[commits.length - 2]).to.deep.equal([
+        { path: '/posts', key: 'p1', value: { editedAt: { '.sv': 'timestamp' } }, merge: true },
+      ]);
+    });
+
+    it('should log imported records', async () => {
+      const el = await fixture(html`<firebase-crud path="/posts" audit-path="/audit"></firebase-crud>`);
+      const { entries } = useFakeStore(el, { '/posts/p1': { title: 'Hi', tags: { a: true } } });
+
+      await el.importFrom('[{"_key":"p1","tags":{"c":true}},{"_key":"p2","title":"New"}]');
+
+      expect(entries('p1')).to.deep.equal([
+        { operation: 'import', before: { title: 'Hi', tags: { a: true } }, after: { title: 'Hi', tags: { a: true, c: true } } },
+      ]);
+      expect(entries('p2')).to.deep.equal([{ operation: 'import', before: null, after: { title: 'New' } }]);
+    });
+
+    it('should revert a record to a revision and log the revert', async () => {
+      const el = await fixture(html`<firebase-crud path="/contracts" audit-path="/audit"></firebase-crud>`);
+      const { store, commits, entries } = useFakeStore(el);
+      await el.create({ status: 'draft' }, 'c1');
+      await el.updateRecord('c1', { status: 'signed' });
+      const [created] = await el.revisions('c1');
+
+      setTimeout(() => el.revert('c1', created.id));
+      const event = await oneEvent(el, 'data-updated');
+
+      expect(event.detail).to.include({ operation: 'revert', key: 'c1' });
+      expect(store['/contracts/c1']).to.deep.equal({ status: 'draft' });
+      expect(commits[commits.length - 1]).to.deep.equal([
+        { path: '/contracts', key: 'c1', value: { status: 'draft' } },
+        { path: '/audit/c1', key: 'e3', value: { operation: 'revert', before: { status: 'signed' }, after: { status: 'draft' } } },
+      ]);
+      expect(entries('c1').map(entry => entry.operation)).to.deep.equal(['create', 'update', 'revert']);
+
+      try {
+        await el.revert('c1', 'missing');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Revision missing not found for c1');
+      }
+    });
+
+    it('should soft-delete and record in the history a revert to a deleting revision', async () => {
+      const el = await fixture(html`<firebase-crud path="/contracts" audit-path="/audit"></firebase-crud>`);
+      const { store } = useFakeStore(el);
+      await el.create({ status: 'signed' }, 'c1');
+      await el.delete('c1');
+      await el.create({ status: 'signed' }, 'c1');
+      const [, deleted] = await el.revisions('c1');
+
+      el.softDelete = true;
+      el.history = true;
+      expect(await el.revert('c1', deleted.id)).to.be.null;
+
+      expect(store['/contracts/c1']).to.include({ status: 'signed' });
+      expect(store['/contracts/c1']._deletedAt).to.be.a('number');
+      expect(el.canUndo).to.be.true;
+
+      await el.undo();
+      expect(store['/contracts/c1']).to.deep.equal({ status: 'signed' });
+    });
+
+    it('should throw when listing revisions without an audit path', async () => {
+      const el = await fixture(html`<firebase-crud path="/contracts"></firebase-crud>`);
+      useFakeStore(el);
+      try {
+        await el.revisions('c1');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Database not initialized or audit path not set');
+      }
+    });
+  });
+
+  describe('connection state', () => {
+    it('should follow the connection-changed event of the parent wrapper', async () => {
+      const wrapper = await fixture(html`<firebase-wrapper><firebase-crud path="/users" auto-sync></firebase-crud></firebase-wrapper>`);
+      wrapper.isOnline = true;
+      const el = wrapper.querySelector('firebase-crud');
+      el._syncActive = true;
+      await el._watchConnection();
+      expect(el._connected).to.be.true;
+      expect(el.isSyncing).to.be.true;
+
+      wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: false, serverTimeOffset: 0 } }));
+      await el.updateComplete;
+
+      expect(el.isSyncing).to.be.false;
+      const indicator = el.shadowRoot.querySelector('.sync-indicator');
+      expect(indicator.classList.contains('sync-indicator--offline')).to.be.true;
+      expect(indicator.textContent).to.contain('Offline');
+    });
+
+    it('should stop listening to the wrapper when disconnected', async () => {
+      const wrapper = await fixture(html`<firebase-wrapper><firebase-crud path="/users"></firebase-crud></firebase-wrapper>`);
+      const el = wrapper.querySelector('firebase-crud');
+      await el._watchConnection();
+      el.remove();
+
+      wrapper.dispatchEvent(new CustomEvent('connection-changed', { detail: { online: false, serverTimeOffset: 0 } }));
+      expect(el._connected).to.be.null;
+    });
+
+    it('should stop listening for firebase-ready once disconnected', async () => {
+      const el = await fixture(html`<firebase-crud path="/users"></firebase-crud>`);
+      const database = {};
+      el.remove();
+
+      document.dispatchEvent(new CustomEvent('firebase-ready', { detail: { database } }));
+      expect(el._database).to.not.equal(database);
+    });
+  });
+
+  describe('firestore backend', () => {
+    it('should throw error when firestore is not initialized', async () => {
+      const el = await fixture(
+        html`<firebase-crud backend="firestore" path="users"></firebase-crud>`
+      );
+      el._firestore = null;
+      try {
+        await el.create({ name: 'Test' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Database not initialized or path not set'
+        );
+      }
+    });
+
+    it('should map query snapshot docs to keyed items', async () => {
+      const el = await fixture(html`<firebase-crud backend="firestore" path="users"></firebase-crud>`);
+      const snapshot = {
+        empty: false,
+        docs: [
+          { id: 'user1', data: () => mockData.user1 },
+          { id: 'user2', data: () => mockData.user2 },
+        ],
+      };
+
+      setTimeout(() => el._handleQuerySnapshot(snapshot));
+      const event = await oneEvent(el, 'data-loaded');
+
+      expect(event.detail.data).to.deep.equal([
+        { _key: 'user1', ...mockData.user1 },
+        { _key: 'user2', ...mockData.user2 },
+      ]);
+      expect(event.detail.path).to.equal('users');
+    });
+
+    it('should set data to null for an empty collection', async () => {
+      const el = await fixture(html`<firebase-crud backend="firestore" path="users"></firebase-crud>`);
+      el._handleQuerySnapshot({ empty: true, docs: [] });
+      expect(el.data).to.be.null;
+    });
+  });
+
   describe('accessibility', () => {
     it('should have proper shadow DOM', async () => {
       const el = await fixture(html`<firebase-crud></firebase-crud>`);
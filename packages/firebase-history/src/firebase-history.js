@@ -0,0 +1,342 @@
+import { LitElement, html, nothing } from 'lit';
+import { styles } from './firebase-history.styles.js';
+import { getAuditEntries } from '@manufosela/firebase-utils';
+
+/**
+ * Firebase History Web Component
+ * Renders the revision timeline of a record from the audit trail written by
+ * firebase-crud and firebase-autoform, with the changed fields of each revision
+ *
+ * @element firebase-history
+ *
+ * @fires history-loaded - Fired when the revisions are loaded
+ * @fires history-error - Fired when an error occurs
+ * @fires revision-select - Fired when a revision is picked
+ *
+ * @cssprop --firebase-history-font-family - Font family
+ * @cssprop --firebase-history-line-color - Timeline line color
+ * @cssprop --firebase-history-dot-color - Timeline dot color
+ * @cssprop --firebase-history-removed-bg - Background of previous values
+ * @cssprop --firebase-history-added-bg - Background of new values
+ *
+ * @slot loading - Custom loading indicator
+ * @slot empty - Custom empty state
+ *
+ * @example
+ * ```html
+ * <firebase-history audit-path="/audit/contracts" record-key="c-17"></firebase-history>
+ * ```
+ */
+export class FirebaseHistory extends LitElement {
+  static styles = styles;
+
+  static properties = {
+    /**
+     * Audit path (a collection in Firestore) the revisions are read from
+     * @type {string}
+     */
+    auditPath: { type: String, attribute: 'audit-path' },
+
+    /**
+     * Key of the record whose revisions are shown
+     * @type {string}
+     */
+    recordKey: { type: String, attribute: 'record-key' },
+
+    /**
+     * Storage backend: Realtime Database ('rtdb') or Firestore ('firestore')
+     * @type {'rtdb' | 'firestore'}
+     */
+    backend: { type: String },
+
+    /**
+     * Revisions to render, oldest first. Loaded from `auditPath` when it is
+     * set, or assigned directly, e.g. from firebase-crud's revisions()
+     * @type {import('@manufosela/firebase-utils').AuditEntry[]}
+     */
+    revisions: { type: Array },
+
+    /**
+     * Show the oldest revision first
+     * @type {boolean}
+     */
+    oldestFirst: { type: Boolean, attribute: 'oldest-first' },
+
+    /**
+     * Message when there are no revisions
+     * @type {string}
+     */
+    emptyMessage: { type: String, attribute: 'empty-message' },
+
+    /**
+     * Internal state: loading
+     * @type {boolean}
+     * @private
+     */
+    _loading: { type: Boolean, state: true },
+
+    /**
+     * Internal state: error message
+     * @type {string}
+     * @private
+     */
+    _error: { type: String, state: true },
+  };
+
+  /** @type {import('firebase/database').Database | null} */
+  _database = null;
+
+  /** @type {import('firebase/firestore').Firestore | null} */
+  _firestore = null;
+
+  constructor() {
+    super();
+    this.auditPath = '';
+    this.recordKey = '';
+    this.backend = 'rtdb';
+    this.revisions = [];
+    this.oldestFirst = false;
+    this.emptyMessage = 'No revisions yet';
+    this._loading = false;
+    this._error = '';
+    this._handleFirebaseReady = this._handleFirebaseReady.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._findDatabase();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener('firebase-ready', this._handleFirebaseReady);
+  }
+
+  updated(changedProperties) {
+    if (['auditPath', 'recordKey', 'backend'].some(prop => changedProperties.has(prop))) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Reload the revisions from `auditPath`
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this._hasBackend() || !this.auditPath || !this.recordKey) return;
+
+    this._loading = true;
+    this._error = '';
+
+    const { auditPath, recordKey: key, backend } = this;
+    const instance = this._backendInstance();
+    // Drop the outcome if the record, path or backend changed while loading
+    const isCurrent = () => key === this.recordKey && auditPath === this.auditPath
+      && backend === this.backend && instance === this._backendInstance();
+
+    try {
+      const revisions = await getAuditEntries(
+        this._isFirestore() ? { firestore: instance } : { database: instance },
+        auditPath,
+        key
+      );
+      if (!isCurrent()) return;
+
+      this.revisions = revisions;
+      this._loading = false;
+      this.dispatchEvent(new CustomEvent('history-loaded', {
+        detail: { revisions, key, auditPath },
+        bubbles: true,
+        composed: true,
+      }));
+    } catch (error) {
+      if (isCurrent()) this._handleError(error);
+    }
+  }
+
+  /**
+   * Find database reference
+   * @private
+   */
+  _findDatabase() {
+    const wrapper = this.closest('firebase-wrapper');
+    if (wrapper && (wrapper.database || wrapper.firestore)) {
+      this._database = wrapper.database;
+      this._firestore = wrapper.firestore;
+      this.refresh();
+    } else {
+      this._initFromGlobal();
+    }
+
+    document.addEventListener('firebase-ready', this._handleFirebaseReady);
+  }
+
+  /**
+   * Take the database from a firebase-ready event
+   * @param {CustomEvent} e
+   * @private
+   */
+  _handleFirebaseReady(e) {
+    if (e.detail.database || e.detail.firestore) {
+      this._database = e.detail.database;
+      this._firestore = e.detail.firestore;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Initialize from global Firebase
+   * @private
+   */
+  async _initFromGlobal() {
+    try {
+      if (this._isFirestore()) {
+        const { getFirestore } = await import('firebase/firestore');
+        this._firestore = getFirestore();
+      } else {
+        const { getDatabase } = await import('firebase/database');
+        this._database = getDatabase();
+      }
+      this.refresh();
+    } catch (error) {
+      // Wait for firebase-ready event
+    }
+  }
+
+  /**
+   * Check if the Firestore backend is selected
+   * @private
+   */
+  _isFirestore() {
+    return this.backend === 'firestore';
+  }
+
+  /**
+   * Instance of the selected backend
+   * @returns {import('firebase/database').Database | import('firebase/firestore').Firestore | null}
+   * @private
+   */
+  _backendInstance() {
+    return this._isFirestore() ? this._firestore : this._database;
+  }
+
+  /**
+   * Check if the instance for the selected backend is available
+   * @private
+   */
+  _hasBackend() {
+    return Boolean(this._backendInstance());
+  }
+
+  /**
+   * Handle errors
+   * @param {Error} error
+   * @private
+   */
+  _handleError(error) {
+    this._loading = false;
+    this._error = error.message;
+
+    this.dispatchEvent(new CustomEvent('history-error', {
+      detail: { message: error.message, key: this.recordKey, auditPath: this.auditPath },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Dispatch revision-select for a revision
+   * @param {import('@manufosela/firebase-utils').AuditEntry} revision
+   * @private
+   */
+  _selectRevision(revision) {
+    this.dispatchEvent(new CustomEvent('revision-select', {
+      detail: { revision, key: revision.key },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  /**
+   * Format a field value for the diff
+   * @param {*} value
+   * @returns {string}
+   * @private
+   */
+  _formatValue(value) {
+    if (value === null || value === undefined) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Format a server timestamp
+   * @param {number | null} timestamp
+   * @returns {string}
+   * @private
+   */
+  _formatTime(timestamp) {
+    return timestamp === null ? '' : new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Render one revision with its diff
+   * @param {import('@manufosela/firebase-utils').AuditEntry} revision
+   * @returns {import('lit').TemplateResult}
+   * @private
+   */
+  _renderRevision(revision) {
+    return html`
+      <li class="revision revision--${revision.operation}">
+        <button class="revision-header" @click=${() => this._selectRevision(revision)}>
+          <span class="revision-operation">${revision.operation}</span>
+          ${revision.uid ? html`<span class="revision-user">${revision.uid}</span>` : nothing}
+          <time class="revision-time">${this._formatTime(revision.timestamp)}</time>
+        </button>
+        ${revision.diff.length > 0 ? html`
+          <table class="revision-diff">
+            <tbody>
+              ${revision.diff.map(change => html`
+                <tr>
+                  <th scope="row">${change.field}</th>
+                  <td><del>${this._formatValue(change.before)}</del></td>
+                  <td><ins>${this._formatValue(change.after)}</ins></td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        ` : nothing}
+      </li>
+    `;
+  }
+
+  render() {
+    if (this._loading) {
+      return html`
+        <slot name="loading">
+          <div class="loading">Loading...</div>
+        </slot>
+      `;
+    }
+
+    if (this._error) {
+      return html`<div class="error">${this._error}</div>`;
+    }
+
+    if (this.revisions.length === 0) {
+      return html`
+        <slot name="empty">
+          <div class="empty">${this.emptyMessage}</div>
+        </slot>
+      `;
+    }
+
+    const revisions = this.oldestFirst ? this.revisions : [...this.revisions].reverse();
+    return html`
+      <ol class="timeline">
+        ${revisions.map(revision => this._renderRevision(revision))}
+      </ol>
+    `;
+  }
+}
+
+customElements.define('firebase-history', FirebaseHistory);
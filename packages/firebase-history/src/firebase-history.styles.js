@@ -0,0 +1,122 @@
+import { css } from 'lit';
+
+/**
+ * Styles for FirebaseHistory component
+ */
+export const styles = css`
+  :host {
+    display: block;
+    font-family: var(--firebase-history-font-family, system-ui, -apple-system, sans-serif);
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  .timeline {
+    margin: 0;
+    padding: 0 0 0 1rem;
+    list-style: none;
+    border-left: 2px solid var(--firebase-history-line-color, #dee2e6);
+  }
+
+  .revision {
+    position: relative;
+    padding: 0 0 1rem 1rem;
+  }
+
+  .revision::before {
+    content: '';
+    position: absolute;
+    top: 0.4rem;
+    left: calc(-1rem - 6px);
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+    background-color: var(--firebase-history-dot-color, #007bff);
+  }
+
+  .revision--delete::before,
+  .revision--purge::before {
+    background-color: var(--firebase-history-delete-color, #dc3545);
+  }
+
+  .revision-header {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: baseline;
+    gap: 0.5rem;
+    padding: 0;
+    border: none;
+    background: none;
+    font: inherit;
+    color: inherit;
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .revision-header:focus-visible {
+    outline: 2px solid var(--firebase-history-dot-color, #007bff);
+    outline-offset: 2px;
+  }
+
+  .revision-operation {
+    font-weight: 600;
+    text-transform: capitalize;
+  }
+
+  .revision-user,
+  .revision-time {
+    font-size: 0.875rem;
+    color: var(--firebase-history-muted-color, #6c757d);
+  }
+
+  .revision-diff {
+    margin-top: 0.5rem;
+    border-collapse: collapse;
+    font-size: 0.875rem;
+  }
+
+  .revision-diff th,
+  .revision-diff td {
+    padding: 0.125rem 0.5rem 0.125rem 0;
+    text-align: left;
+    vertical-align: top;
+  }
+
+  .revision-diff th {
+    font-weight: 500;
+    font-family: monospace;
+  }
+
+  .revision-diff del,
+  .revision-diff ins {
+    padding: 0 0.25rem;
+    border-radius: 2px;
+    text-decoration: none;
+    word-break: break-word;
+  }
+
+  .revision-diff del {
+    background-color: var(--firebase-history-removed-bg, #f8d7da);
+  }
+
+  .revision-diff ins {
+    background-color: var(--firebase-history-added-bg, #d4edda);
+  }
+
+  .loading,
+  .empty {
+    padding: 2rem;
+    text-align: center;
+    color: var(--firebase-history-muted-color, #6c757d);
+  }
+
+  .error {
+    padding: 1rem;
+    background-color: var(--firebase-history-error-bg, #f8d7da);
+    border: 1px solid var(--firebase-history-error-color, #dc3545);
+    border-radius: 4px;
+    color: var(--firebase-history-error-color, #dc3545);
+  }
+`;
@@ -0,0 +1,67 @@
+import { LitElement, TemplateResult } from 'lit';
+import type { AuditEntry } from '@manufosela/firebase-utils';
+
+export type { AuditChange, AuditEntry } from '@manufosela/firebase-utils';
+
+export interface HistoryLoadedEventDetail {
+  revisions: AuditEntry[];
+  key: string;
+  auditPath: string;
+}
+
+export interface HistoryErrorEventDetail {
+  message: string;
+  key: string;
+  auditPath: string;
+}
+
+export interface RevisionSelectEventDetail {
+  revision: AuditEntry;
+  key: string;
+}
+
+/**
+ * Firebase History Web Component
+ *
+ * @element firebase-history
+ *
+ * @fires history-loaded - Fired when the revisions are loaded
+ * @fires history-error - Fired when an error occurs
+ * @fires revision-select - Fired when a revision is picked
+ */
+export declare class FirebaseHistory extends LitElement {
+  /** Audit path (a collection in Firestore) the revisions are read from */
+  auditPath: string;
+
+  /** Key of the record whose revisions are shown */
+  recordKey: string;
+
+  /** Storage backend */
+  backend: 'rtdb' | 'firestore';
+
+  /** Revisions to render, oldest first */
+  revisions: AuditEntry[];
+
+  /** Show the oldest revision first */
+  oldestFirst: boolean;
+
+  /** Message when there are no revisions */
+  emptyMessage: string;
+
+  /** Reload the revisions from `auditPath` */
+  refresh(): Promise<void>;
+
+  render(): TemplateResult;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'firebase-history': FirebaseHistory;
+  }
+
+  interface HTMLElementEventMap {
+    'history-loaded': CustomEvent<HistoryLoadedEventDetail>;
+    'history-error': CustomEvent<HistoryErrorEventDetail>;
+    'revision-select': CustomEvent<RevisionSelectEventDetail>;
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * @fileoverview Firebase History Web Component
+ * @module @manufosela/firebase-history
+ */
+
+export { FirebaseHistory } from './firebase-history.js';
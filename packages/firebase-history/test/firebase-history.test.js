@@ -0,0 +1,101 @@
+import { html, fixture, expect, oneEvent } from '@open-wc/testing';
+import '../src/firebase-history.js';
+import { diffRecords } from '@manufosela/firebase-utils';
+
+const revisions = [
+  {
+    id: 'r1',
+    operation: 'create',
+    path: '/contracts',
+    key: 'c1',
+    before: null,
+    after: { status: 'draft' },
+    diff: diffRecords(null, { status: 'draft' }),
+    uid: 'u1',
+    timestamp: 1700000000000,
+  },
+  {
+    id: 'r2',
+    operation: 'update',
+    path: '/contracts',
+    key: 'c1',
+    before: { status: 'draft' },
+    after: { status: 'signed', terms: { days: 30 } },
+    diff: diffRecords({ status: 'draft' }, { status: 'signed', terms: { days: 30 } }),
+    uid: null,
+    timestamp: 1700000060000,
+  },
+];
+
+describe('FirebaseHistory', () => {
+  it('renders the empty message without revisions', async () => {
+    const el = await fixture(html`<firebase-history empty-message="Nothing yet"></firebase-history>`);
+    expect(el.shadowRoot.querySelector('.empty').textContent).to.equal('Nothing yet');
+  });
+
+  it('renders the timeline newest first with the diff of each revision', async () => {
+    const el = await fixture(html`<firebase-history .revisions=${revisions}></firebase-history>`);
+    const items = el.shadowRoot.querySelectorAll('.revision');
+
+    expect(items.length).to.equal(2);
+    expect(items[0].classList.contains('revision--update')).to.be.true;
+    expect(items[0].querySelector('.revision-user')).to.not.exist;
+    expect(items[1].querySelector('.revision-user').textContent).to.equal('u1');
+
+    const rows = [...items[0].querySelectorAll('.revision-diff tr')].map(row =>
+      [...row.children].map(cell => cell.textContent.trim())
+    );
+    expect(rows).to.deep.equal([
+      ['status', 'draft', 'signed'],
+      ['terms.days', '—', '30'],
+    ]);
+  });
+
+  it('renders the oldest revision first with oldest-first', async () => {
+    const el = await fixture(html`<firebase-history oldest-first .revisions=${revisions}></firebase-history>`);
+    const operations = [...el.shadowRoot.querySelectorAll('.revision-operation')].map(node => node.textContent);
+    expect(operations).to.deep.equal(['create', 'update']);
+  });
+
+  it('dispatches revision-select when a revision is clicked', async () => {
+    const el = await fixture(html`<firebase-history .revisions=${revisions}></firebase-history>`);
+
+    setTimeout(() => el.shadowRoot.querySelector('.revision-header').click());
+    const event = await oneEvent(el, 'revision-select');
+
+    expect(event.detail.key).to.equal('c1');
+    expect(event.detail.revision.id).to.equal('r2');
+  });
+
+  it('does not load without an audit path and a record key', async () => {
+    const el = await fixture(html`<firebase-history record-key="c1"></firebase-history>`);
+    el._database = {};
+    await el.refresh();
+    expect(el._loading).to.be.false;
+    expect(el.revisions).to.deep.equal([]);
+  });
+
+  it('drops revisions loaded for a record key that has since changed', async () => {
+    const el = await fixture(html`<firebase-history audit-path="/audit" record-key="c1"></firebase-history>`);
+    const errors = [];
+    el.addEventListener('history-error', e => errors.push(e.detail.key));
+    el._database = {};
+
+    const first = el.refresh();
+    el.recordKey = 'c2';
+    const event = await oneEvent(el, 'history-error');
+    await first;
+
+    expect(event.detail.key).to.equal('c2');
+    expect(errors).to.deep.equal(['c2']);
+  });
+
+  it('stops listening for firebase-ready once disconnected', async () => {
+    const el = await fixture(html`<firebase-history audit-path="/audit" record-key="c1"></firebase-history>`);
+    const database = {};
+    el.remove();
+
+    document.dispatchEvent(new CustomEvent('firebase-ready', { detail: { database } }));
+    expect(el._database).to.not.equal(database);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Audit trail of record changes.
+ * firebase-crud and firebase-autoform write the entries and firebase-history
+ * reads them, so the viewer shows revisions written by either one.
+ * In the Realtime Database entries are pushed to `auditPath/key`; in Firestore
+ * they are documents of the `auditPath/key/revisions` collection.
+ */
+
+/**
+ * @typedef {Object} AuditChange
+ * @property {string} field - Dot path of the changed field
+ * @property {*} before - Previous value, null if the field was added
+ * @property {*} after - New value, null if the field was removed
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Entry id, in chronological order
+ * @property {string} operation - Write that produced the revision
+ * @property {string} path - Path of the record
+ * @property {string} key - Record key
+ * @property {Object | null} before - Record before the write, null if it did not exist
+ * @property {Object | null} after - Record after the write, null if it was deleted
+ * @property {AuditChange[]} diff - Changed fields
+ * @property {string | null} uid - Signed-in user who made the change
+ * @property {number | null} timestamp - Server time of the change, in milliseconds
+ */
+
+/**
+ * @typedef {Object} AuditBackend
+ * @property {import('firebase/database').Database} [database]
+ * @property {import('firebase/firestore').Firestore} [firestore] - Used when set
+ */
+
+/**
+ * Check if a value is a plain object, not an array or a class instance such
+ * as a Firestore Timestamp
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Flatten nested plain objects into dot-separated keys. Arrays and class
+ * instances are kept as values.
+ * @param {object} record
+ * @param {string} [prefix]
+ * @returns {Record<string, *>}
+ */
+function flattenRecord(record, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      Object.assign(flat, flattenRecord(value, path));
+    } else {
+      flat[path] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object | null} before
+ * @param {Object | null} after
+ * @returns {AuditChange[]}
+ */
+export function diffRecords(before, after) {
+  const previous = before ? flattenRecord(before) : {};
+  const next = after ? flattenRecord(after) : {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+  return fields
+    .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+    .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+}
+
+/**
+ * Check if data holds values the server fills in on write, so the stored
+ * record is only known once the write commits: Realtime Database server
+ * values (`{ '.sv': ... }`) and Firestore `FieldValue`s such as
+ * `serverTimestamp()`, `increment()` or `deleteField()`
+ * @param {*} data
+ * @param {Function} [FieldValue] - Firestore's FieldValue class, for Firestore data
+ * @returns {boolean}
+ */
+export function hasServerValues(data, FieldValue) {
+  if (FieldValue && data instanceof FieldValue) return true;
+  if (!Array.isArray(data) && !isPlainObject(data)) return false;
+  if (Object.prototype.hasOwnProperty.call(data, '.sv')) return true;
+  return Object.values(data).some(value => hasServerValues(value, FieldValue));
+}
+
+/**
+ * Audit entry as a record write, with its diff and a server timestamp.
+ * Commit it with commitWrites() together with the change it logs, so the
+ * change is never stored without its entry.
+ * @param {AuditBackend} backend
+ * @param {string} auditPath
+ * @param {Omit<AuditEntry, 'id' | 'diff' | 'timestamp'>} entry
+ * @returns {Promise<import('./writes.js').RecordWrite>}
+ */
+export async function auditEntryWrite({ database, firestore }, auditPath, entry) {
+  const record = { ...entry, diff: diffRecords(entry.before, entry.after) };
+
+  if (firestore) {
+    const { collection, doc, serverTimestamp } = await import('firebase/firestore');
+    const path = `${auditPath}/${entry.key}/revisions`;
+    return { path, key: doc(collection(firestore, path)).id, value: { ...record, timestamp: serverTimestamp() } };
+  }
+
+  const { ref, push, serverTimestamp } = await import('firebase/database');
+  const path = `${auditPath}/${entry.key}`;
+  return { path, key: push(ref(database, path)).key, value: { ...record, timestamp: serverTimestamp() } };
+}
+
+/**
+ * Normalize a stored entry: the Realtime Database drops null values and
+ * Firestore returns a Timestamp
+ * @param {string} id
+ * @param {Object} data
+ * @returns {AuditEntry}
+ */
+export function toAuditEntry(id, data) {
+  const { timestamp } = data;
+  return {
+    id,
+    operation: data.operation,
+    path: data.path,
+    key: data.key,
+    before: data.before ?? null,
+    after: data.after ?? null,
+    diff: Object.values(data.diff || {}).map(change => ({
+      field: change.field,
+      before: change.before ?? null,
+      after: change.after ?? null,
+    })),
+    uid: data.uid ?? null,
+    timestamp: typeof timestamp?.toMillis === 'function' ? timestamp.toMillis() : timestamp ?? null,
+  };
+}
+
+/**
+ * Audit entries of a record, oldest first
+ * @param {AuditBackend} backend
+ * @param {string} auditPath
+ * @param {string} key
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function getAuditEntries({ database, firestore }, auditPath, key) {
+  if (firestore) {
+    const { collection, getDocs, orderBy, query } = await import('firebase/firestore');
+    const snapshot = await getDocs(query(collection(firestore, auditPath, key, 'revisions'), orderBy('timestamp')));
+    return snapshot.docs.map(docSnap => toAuditEntry(docSnap.id, docSnap.data()));
+  }
+
+  const { ref, get } = await import('firebase/database');
+  const snapshot = await get(ref(database, `${auditPath}/${key}`));
+  const entries = [];
+  // Push ids sort in creation order
+  snapshot.forEach((child) => {
+    entries.push(toAuditEntry(child.key, child.val()));
+  });
+  return entries;
+}
@@ -0,0 +1,99 @@
+/**
+ * Serializing records for export and downloading the result
+ */
+
+import { flattenItem, getFieldValue, setFieldValue } from './records.js';
+
+/**
+ * Text cells that a spreadsheet would run as a formula
+ * @type {RegExp}
+ */
+export const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell (RFC 4180). Text that starts like a
+ * formula gets a leading `'` so spreadsheets show it as text.
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function toCsvCell(value, delimiter) {
+  if (value === undefined || value === null) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)
+    ? `"${text.replaceAll('"', '""')}"`
+    : text;
+}
+
+/**
+ * Serialize items to CSV, JSON or NDJSON.
+ * CSV flattens nested fields into dot-separated columns; without `fields`
+ * the columns are every flattened field, in order of first appearance.
+ * JSON and NDJSON keep nesting, limited to `fields` when given.
+ * @param {object[]} items
+ * @param {'csv' | 'json' | 'ndjson'} format
+ * @param {{ fields?: string[], delimiter?: string }} [options]
+ * @returns {{ content: string, mimeType: string, extension: string }}
+ */
+export function serializeItems(items, format, { fields, delimiter = ',' } = {}) {
+  const pick = (item) => {
+    if (!fields || fields.length === 0) return item;
+    return fields.reduce((picked, field) => {
+      const value = getFieldValue(item, field);
+      return value === undefined ? picked : setFieldValue(picked, field, value);
+    }, {});
+  };
+
+  switch (format) {
+    case 'csv': {
+      const rows = items.map(item => flattenItem(item));
+      const columns = fields && fields.length > 0
+        ? fields
+        : [...new Set(rows.flatMap(row => Object.keys(row)))];
+      const lines = [
+        columns.map(column => toCsvCell(column, delimiter)).join(delimiter),
+        ...rows.map((row, index) => columns
+          .map(column => toCsvCell(column in row ? row[column] : getFieldValue(items[index], column), delimiter))
+          .join(delimiter)),
+      ];
+      return { content: `${lines.join('\r\n')}\r\n`, mimeType: 'text/csv;charset=utf-8', extension: 'csv' };
+    }
+    case 'json':
+      return {
+        content: JSON.stringify(items.map(pick), null, 2),
+        mimeType: 'application/json',
+        extension: 'json',
+      };
+    case 'ndjson':
+      return {
+        content: items.map(item => `${JSON.stringify(pick(item))}\n`).join(''),
+        mimeType: 'application/x-ndjson',
+        extension: 'ndjson',
+      };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} filename
+ */
+export function downloadText(content, mimeType, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url));
+}
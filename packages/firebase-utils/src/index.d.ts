@@ -0,0 +1,180 @@
+/**
+ * Aggregate operations
+ */
+export type AggregateOperation = 'count' | 'sum' | 'avg' | 'min' | 'max' | 'distinct';
+
+/**
+ * Aggregate results: item count, and results by field and operation
+ */
+export interface Summary {
+  count: number;
+  fields: Record<string, Partial<Record<AggregateOperation, unknown>>>;
+}
+
+/**
+ * Export formats
+ */
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+/**
+ * Serialized items with the MIME type and file extension of their format
+ */
+export interface SerializedItems {
+  content: string;
+  mimeType: string;
+  extension: string;
+}
+
+/** Read a field, following dot paths into nested objects */
+export declare function getFieldValue(item: unknown, field: string): unknown;
+
+/** Copy of an item with a field set, following dot paths */
+export declare function setFieldValue<T extends object>(item: T, field: string, value: unknown): T;
+
+/** Copy of an item with a partial update applied: keys may be `/` or `.` paths, and null removes a field */
+export declare function applyChanges<T extends object>(item: T, changes: Record<string, unknown>): T;
+
+/** Whether a value is undefined, null or '' */
+export declare function isEmptyValue(value: unknown): boolean;
+
+/** Compare two values: empty values last, numbers numerically, the rest as strings */
+export declare function compareValues(a: unknown, b: unknown): number;
+
+/** Flatten nested objects into dot-separated keys */
+export declare function flattenItem(item: object, prefix?: string): Record<string, unknown>;
+
+/** Compute aggregates over items */
+export declare function computeSummary(
+  items: object[],
+  aggregates: Record<string, AggregateOperation | AggregateOperation[]>
+): Summary;
+
+/** Text cells that a spreadsheet would run as a formula; CSV export prefixes them with `'` */
+export declare const FORMULA_PREFIX: RegExp;
+
+/** Serialize items to CSV, JSON or NDJSON */
+export declare function serializeItems(
+  items: object[],
+  format: ExportFormat,
+  options?: { fields?: string[]; delimiter?: string }
+): SerializedItems;
+
+/** Trigger a browser download of text content */
+export declare function downloadText(content: string, mimeType: string, filename: string): void;
+
+/** Validate a value against a firebase-autoform field schema; '' when valid */
+export declare function validateFieldValue(value: unknown, field?: Record<string, unknown>): string;
+
+/**
+ * A field changed by a revision
+ */
+export interface AuditChange {
+  /** Dot path of the field */
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+/**
+ * A revision logged in the audit path by firebase-crud or firebase-autoform
+ */
+export interface AuditEntry {
+  id: string;
+  operation: string;
+  path: string;
+  key: string;
+  /** Record before the change, null if it did not exist */
+  before: Record<string, unknown> | null;
+  /** Record after the change, null if it was deleted */
+  after: Record<string, unknown> | null;
+  diff: AuditChange[];
+  /** Signed-in user who made the change */
+  uid: string | null;
+  /** Server time in milliseconds */
+  timestamp: number | null;
+}
+
+/**
+ * Instance the audit trail is read from or written to; Firestore when set
+ */
+export interface AuditBackend {
+  database?: import('firebase/database').Database | null;
+  firestore?: import('firebase/firestore').Firestore | null;
+}
+
+/** Fields that differ between two versions of a record */
+export declare function diffRecords(
+  before: Record<string, unknown> | null,
+  after: Record<string, unknown> | null
+): AuditChange[];
+
+/**
+ * A record write committed by commitWrites()
+ */
+export interface RecordWrite {
+  /** Path of the record, a collection in Firestore */
+  path: string;
+  key: string;
+  /** Record to write, null to delete it */
+  value: Record<string, unknown> | null;
+  /** Update only the fields in `value`, which may be paths */
+  merge?: boolean;
+}
+
+/** Commit record writes in one multi-path update (Realtime Database) or write batch (Firestore) */
+export declare function commitWrites(backend: AuditBackend, writes: RecordWrite[]): Promise<void>;
+
+/** Whether data holds server values (`{ '.sv': ... }`, or Firestore FieldValues when `FieldValue` is given) */
+export declare function hasServerValues(data: unknown, FieldValue?: abstract new (...args: never[]) => unknown): boolean;
+
+/** Audit entry as a record write, with its diff and a server timestamp, to commit with the change it logs */
+export declare function auditEntryWrite(
+  backend: AuditBackend,
+  auditPath: string,
+  entry: Omit<AuditEntry, 'id' | 'diff' | 'timestamp'>
+): Promise<RecordWrite>;
+
+/** Normalize a stored audit entry */
+export declare function toAuditEntry(id: string, data: Record<string, unknown>): AuditEntry;
+
+/** Audit entries of a record, oldest first */
+export declare function getAuditEntries(backend: AuditBackend, auditPath: string, key: string): Promise<AuditEntry[]>;
+
+/**
+ * A write waiting in the offline queue
+ */
+export interface QueuedWrite {
+  /** Queue position, assigned by IndexedDB */
+  id?: number;
+  path: string;
+  operation: 'create' | 'update' | 'delete';
+  key: string;
+  data: Record<string, unknown> | null;
+  /** Backend the write goes to */
+  backend?: 'database' | 'firestore';
+  /** Path the write is logged in on replay, none when empty */
+  auditPath?: string;
+  /** A queued delete only merges its `_deletedAt`/`_deletedBy` flags */
+  softDelete?: boolean;
+  /** Signed-in user who made the change, for the audit entry */
+  uid?: string | null;
+  queuedAt: number;
+}
+
+/** Add a write to the end of the queue */
+export declare function enqueueWrite(entry: Omit<QueuedWrite, 'id' | 'queuedAt'>): Promise<number>;
+
+/** Queued writes for a path, oldest first */
+export declare function getQueuedWrites(path: string): Promise<QueuedWrite[]>;
+
+/** Remove a write from the queue */
+export declare function removeQueuedWrite(id: number): Promise<void>;
+
+/** Replay a queued write, with its audit entry, using the settings stored on the entry */
+export declare function replayQueuedWrite(backend: AuditBackend, entry: QueuedWrite): Promise<void>;
+
+/** Replay the queued writes of a path in order, one replay per path at a time */
+export declare function flushQueuedWrites(
+  path: string,
+  write: (entry: QueuedWrite) => Promise<void>
+): Promise<{ flushed: QueuedWrite[]; failed: Array<QueuedWrite & { message: string }> }>;
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Helpers shared by the Firebase web components
+ * @module @manufosela/firebase-utils
+ */
+
+export {
+  applyChanges, compareValues, computeSummary, flattenItem, getFieldValue, isEmptyValue, setFieldValue,
+} from './records.js';
+export { FORMULA_PREFIX, downloadText, serializeItems } from './export.js';
+export { validateFieldValue } from './validation.js';
+export {
+  auditEntryWrite, diffRecords, getAuditEntries, hasServerValues, toAuditEntry,
+} from './audit.js';
+export { commitWrites } from './writes.js';
+export {
+  enqueueWrite, flushQueuedWrites, getQueuedWrites, removeQueuedWrite, replayQueuedWrite,
+} from './queue.js';
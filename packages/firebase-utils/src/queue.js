@@ -0,0 +1,181 @@
+/**
+ * Offline write queue persisted in IndexedDB.
+ * firebase-crud and firebase-autoform both queue here, so either one can
+ * replay writes queued by the other. Each entry carries the settings it was
+ * queued with, and replayQueuedWrite() applies them.
+ */
+
+import { auditEntryWrite, hasServerValues } from './audit.js';
+import { applyChanges } from './records.js';
+import { commitWrites } from './writes.js';
+
+const DB_NAME = 'firebase-components';
+const STORE = 'offline-writes';
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * @typedef {Object} QueuedWrite
+ * @property {number} [id] - Queue position, assigned by IndexedDB
+ * @property {string} path - Database path
+ * @property {'create' | 'update' | 'delete'} operation
+ * @property {string} key - Record key
+ * @property {Object | null} data - Written data
+ * @property {'database' | 'firestore'} [backend] - Backend the write goes to
+ * @property {string} [auditPath] - Path the write is logged in on replay, none when empty
+ * @property {boolean} [softDelete] - A delete only merges its `_deletedAt`/`_deletedBy` flags
+ * @property {string | null} [uid] - Signed-in user who made the change
+ * @property {number} queuedAt - Timestamp
+ */
+
+/**
+ * Open (once) the queue database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openQueue() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request on the queue store and resolve with its result
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, action) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Add a write to the end of the queue
+ * @param {QueuedWrite} entry
+ * @returns {Promise<number>} Queue id
+ */
+export function enqueueWrite(entry) {
+  return withStore('readwrite', store => store.add({ ...entry, queuedAt: Date.now() }));
+}
+
+/**
+ * Queued writes for a path, oldest first
+ * @param {string} path
+ * @returns {Promise<QueuedWrite[]>}
+ */
+export async function getQueuedWrites(path) {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.filter(entry => entry.path === path);
+}
+
+/**
+ * Remove a write from the queue
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedWrite(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Replay the queued writes of a path in order, removing each one once it
+ * has been written or rejected. Replays of the same path, from other
+ * elements or tabs, run one at a time.
+ * @param {string} path
+ * @param {(entry: QueuedWrite) => Promise<void>} write
+ * @returns {Promise<{ flushed: QueuedWrite[], failed: Array<QueuedWrite & { message: string }> }>}
+ */
+export async function flushQueuedWrites(path, write) {
+  const run = async () => {
+    const flushed = [];
+    const failed = [];
+
+    for (const entry of await getQueuedWrites(path)) {
+      try {
+        await write(entry);
+        flushed.push(entry);
+      } catch (error) {
+        failed.push({ ...entry, message: error.message });
+      }
+      await removeQueuedWrite(entry.id);
+    }
+
+    return { flushed, failed };
+  };
+
+  return navigator.locks ? navigator.locks.request(`${DB_NAME}:${path}`, run) : run();
+}
+
+/**
+ * Read a record of the given backend
+ * @param {import('./audit.js').AuditBackend} backend
+ * @param {string} path
+ * @param {string} key
+ * @returns {Promise<Object | null>}
+ */
+async function readRecord({ database, firestore }, path, key) {
+  if (firestore) {
+    const { doc, getDoc } = await import('firebase/firestore');
+    const docSnap = await getDoc(doc(firestore, path, key));
+    return docSnap.exists() ? docSnap.data() : null;
+  }
+
+  const { ref, get } = await import('firebase/database');
+  const snapshot = await get(ref(database, `${path}/${key}`));
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+/**
+ * Replay a queued write with the settings stored on it, whichever element
+ * flushes the queue. A soft delete merges its flags instead of removing the
+ * record. With an `auditPath`, the record is read first and the change is
+ * logged in the same atomic write; when the data holds server values, the
+ * stored record is read back and logged right after the write instead.
+ * @param {import('./audit.js').AuditBackend} backend
+ * @param {QueuedWrite} entry
+ * @returns {Promise<void>}
+ */
+export async function replayQueuedWrite({ database, firestore }, entry) {
+  const { path, operation, key, data, auditPath = '', softDelete = false, uid = null } = entry;
+  const backend = entry.backend === 'firestore' ? { firestore } : { database };
+  const removed = operation === 'delete' && !softDelete;
+  const write = { path, key, value: removed ? null : data, merge: operation !== 'create' && !removed };
+
+  if (!auditPath) {
+    await commitWrites(backend, [write]);
+    return;
+  }
+
+  const before = await readRecord(backend, path, key);
+  const log = after => auditEntryWrite(backend, auditPath, { operation, path, key, before, after, uid });
+
+  if (hasServerValues(data)) {
+    await commitWrites(backend, [write]);
+    await commitWrites(backend, [await log(await readRecord(backend, path, key))]);
+    return;
+  }
+
+  let after = null;
+  if (operation === 'create') {
+    after = data;
+  } else if (!removed) {
+    after = applyChanges(before || {}, data);
+  }
+  await commitWrites(backend, [write, await log(after)]);
+}
@@ -0,0 +1,166 @@
+/**
+ * Reading, comparing and aggregating record fields
+ */
+
+/**
+ * Read a field from an item, following dot-separated paths into nested objects
+ * @param {object} item
+ * @param {string} field - Field name or path, e.g. `address.city`
+ * @returns {*}
+ */
+export function getFieldValue(item, field) {
+  if (!field || item === null || typeof item !== 'object') return undefined;
+  if (field in item) return item[field];
+
+  return field.split('.').reduce(
+    (value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined),
+    item
+  );
+}
+
+/**
+ * Return a copy of an item with a field set, following dot paths
+ * @param {object} item
+ * @param {string} field
+ * @param {*} value
+ * @returns {object}
+ */
+export function setFieldValue(item, field, value) {
+  if (field in item || !field.includes('.')) {
+    return { ...item, [field]: value };
+  }
+
+  const [head, ...rest] = field.split('.');
+  const child = item[head] !== null && typeof item[head] === 'object' ? item[head] : {};
+  return { ...item, [head]: setFieldValue(child, rest.join('.'), value) };
+}
+
+/**
+ * Return a copy of an item without a field, following dot paths
+ * @param {object} item
+ * @param {string} field
+ * @returns {object}
+ */
+function unsetFieldValue(item, field) {
+  if (field in item || !field.includes('.')) {
+    const { [field]: _removed, ...rest } = item;
+    return rest;
+  }
+
+  const [head, ...tail] = field.split('.');
+  if (item[head] === null || typeof item[head] !== 'object') return item;
+  return { ...item, [head]: unsetFieldValue(item[head], tail.join('.')) };
+}
+
+/**
+ * Apply a partial update to a copy of an item, the way a merge write does:
+ * keys may be `/` or `.` paths into nested fields, and null removes a field
+ * @param {object} item
+ * @param {Record<string, *>} changes
+ * @returns {object}
+ */
+export function applyChanges(item, changes) {
+  return Object.entries(changes).reduce((result, [field, value]) => {
+    const path = field.replaceAll('/', '.');
+    return value === null ? unsetFieldValue(result, path) : setFieldValue(result, path, value);
+  }, item);
+}
+
+/**
+ * Check if a value is empty for filtering, sorting and aggregation purposes
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmptyValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Compare two field values: empty values last, numbers numerically,
+ * everything else as locale-aware strings
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+export function compareValues(a, b) {
+  const aEmpty = isEmptyValue(a);
+  const bEmpty = isEmptyValue(b);
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Flatten nested objects into dot-separated keys.
+ * Arrays are kept as values.
+ * @param {object} item
+ * @param {string} [prefix]
+ * @returns {Record<string, *>}
+ */
+export function flattenItem(item, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(item)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenItem(value, path));
+    } else {
+      flat[path] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Compute aggregates over items.
+ * `aggregates` maps a field to one operation or a list of them:
+ * count (non-empty values), sum, avg, min, max and distinct (number of
+ * different values). Sum and avg only take numbers into account.
+ * @param {object[]} items
+ * @param {Record<string, string | string[]>} aggregates
+ * @returns {{ count: number, fields: Record<string, Record<string, *>> }}
+ */
+export function computeSummary(items, aggregates) {
+  const fields = {};
+
+  for (const [field, ops] of Object.entries(aggregates || {})) {
+    const values = items.map(item => getFieldValue(item, field)).filter(value => !isEmptyValue(value));
+    const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    const ordered = [...values].sort(compareValues);
+    const results = {};
+
+    for (const op of Array.isArray(ops) ? ops : [ops]) {
+      switch (op) {
+        case 'count':
+          results.count = values.length;
+          break;
+        case 'sum':
+          results.sum = sum;
+          break;
+        case 'avg':
+          results.avg = numbers.length > 0 ? sum / numbers.length : null;
+          break;
+        case 'min':
+          results.min = ordered.length > 0 ? ordered[0] : null;
+          break;
+        case 'max':
+          results.max = ordered.length > 0 ? ordered[ordered.length - 1] : null;
+          break;
+        case 'distinct':
+          results.distinct = new Set(values.map(value => (typeof value === 'object' ? JSON.stringify(value) : value))).size;
+          break;
+        default:
+          break;
+      }
+    }
+
+    fields[field] = results;
+  }
+
+  return { count: items.length, fields };
+}
@@ -0,0 +1,31 @@
+/**
+ * Validation of values against firebase-autoform field schemas
+ */
+
+/**
+ * Validate a value against a firebase-autoform FieldSchema entry.
+ * The form validates its fields with it, so imports and inline edits
+ * get the same rules and messages. Empty optional values are valid.
+ * @param {*} value
+ * @param {object} [field]
+ * @returns {string} Error message, or '' when valid
+ */
+export function validateFieldValue(value, field = {}) {
+  const empty = value === '' || value === null || value === undefined;
+
+  if (field.required && empty) return 'This field is required';
+  if (empty) return '';
+  if (typeof value === 'number' && Number.isNaN(value)) return 'Please enter a number';
+  if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'Please enter a valid email';
+  if (field.minLength && String(value).length < field.minLength) {
+    return `Minimum ${field.minLength} characters required`;
+  }
+  if (field.maxLength && String(value).length > field.maxLength) {
+    return `Maximum ${field.maxLength} characters allowed`;
+  }
+  if (field.min !== undefined && value < field.min) return `Minimum value is ${field.min}`;
+  if (field.max !== undefined && value > field.max) return `Maximum value is ${field.max}`;
+  if (field.pattern && !new RegExp(field.pattern).test(value)) return 'Invalid format';
+
+  return '';
+}
@@ -0,0 +1,52 @@
+/**
+ * Atomic writes of several records: a multi-path update in the Realtime
+ * Database, a write batch in Firestore. Either every write lands or none does.
+ */
+
+/**
+ * @typedef {Object} RecordWrite
+ * @property {string} path - Path of the record (a collection in Firestore)
+ * @property {string} key - Record key
+ * @property {Object | null} value - Record to write, null to delete it
+ * @property {boolean} [merge] - Update only the fields in `value`, which may be paths
+ */
+
+/**
+ * Commit record writes in one atomic operation
+ * @param {import('./audit.js').AuditBackend} backend
+ * @param {RecordWrite[]} writes
+ * @returns {Promise<void>}
+ */
+export async function commitWrites({ database, firestore }, writes) {
+  if (writes.length === 0) return;
+
+  if (firestore) {
+    const { doc, writeBatch } = await import('firebase/firestore');
+    const batch = writeBatch(firestore);
+    writes.forEach(({ path, key, value, merge }) => {
+      const docRef = doc(firestore, path, key);
+      if (value === null) {
+        batch.delete(docRef);
+      } else if (merge) {
+        batch.update(docRef, value);
+      } else {
+        batch.set(docRef, value);
+      }
+    });
+    await batch.commit();
+    return;
+  }
+
+  const { ref, update } = await import('firebase/database');
+  const updates = {};
+  writes.forEach(({ path, key, value, merge }) => {
+    if (merge && value !== null) {
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        updates[`${path}/${key}/${field}`] = fieldValue;
+      });
+    } else {
+      updates[`${path}/${key}`] = value;
+    }
+  });
+  await update(ref(database), updates);
+}
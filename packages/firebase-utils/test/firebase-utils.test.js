@@ -0,0 +1,106 @@
+import { expect } from '@open-wc/testing';
+import {
+  applyChanges, compareValues, computeSummary, diffRecords, getFieldValue, hasServerValues, serializeItems, setFieldValue,
+  validateFieldValue,
+} from '../src/index.js';
+
+describe('firebase-utils', () => {
+  describe('fields', () => {
+    it('should read and set dot paths', () => {
+      const item = { name: 'Ann', address: { city: 'Lyon' }, 'a.b': 1 };
+
+      expect(getFieldValue(item, 'address.city')).to.equal('Lyon');
+      expect(getFieldValue(item, 'a.b')).to.equal(1);
+      expect(getFieldValue(item, 'address.zip')).to.be.undefined;
+      expect(setFieldValue(item, 'address.zip', '69001').address).to.deep.equal({ city: 'Lyon', zip: '69001' });
+    });
+
+    it('should not throw on primitive items', () => {
+      expect(getFieldValue('text', 'length')).to.be.undefined;
+      expect(getFieldValue(null, 'name')).to.be.undefined;
+      expect(getFieldValue(3, 'name')).to.be.undefined;
+    });
+
+    it('should apply merge writes with paths and removals', () => {
+      const item = { name: 'Ann', tags: { a: true, b: true } };
+
+      expect(applyChanges(item, { 'tags/c': true, 'tags.a': null, name: 'Anna' })).to.deep.equal({
+        name: 'Anna',
+        tags: { b: true, c: true },
+      });
+      expect(item.tags).to.deep.equal({ a: true, b: true });
+    });
+  });
+
+  describe('compareValues', () => {
+    it('should put empty values last and order booleans and text', () => {
+      expect(['b', '', 'A', null].sort(compareValues)).to.deep.equal(['A', 'b', '', null]);
+      expect([true, false].sort(compareValues)).to.deep.equal([false, true]);
+      expect(compareValues('item 2', 'item 10')).to.be.below(0);
+    });
+  });
+
+  describe('computeSummary', () => {
+    it('should aggregate non-empty values', () => {
+      const items = [{ total: 5, tag: 'x' }, { total: 7, tag: 'y' }, { total: '', tag: 'x' }];
+
+      expect(computeSummary(items, { total: ['count', 'sum', 'avg', 'min', 'max'], tag: 'distinct' })).to.deep.equal({
+        count: 3,
+        fields: {
+          total: { count: 2, sum: 12, avg: 6, min: 5, max: 7 },
+          tag: { distinct: 2 },
+        },
+      });
+    });
+  });
+
+  describe('serializeItems', () => {
+    it('should flatten nested fields into CSV columns', () => {
+      const items = [{ name: 'Ann, Jr', address: { city: 'Lyon' } }];
+
+      expect(serializeItems(items, 'csv').content).to.equal('name,address.city\r\n"Ann, Jr",Lyon\r\n');
+    });
+
+    it('should prefix formula-like text but not numbers', () => {
+      const items = [{ a: '+1', b: -1, c: '-x' }];
+
+      expect(serializeItems(items, 'csv').content).to.equal("a,b,c\r\n'+1,-1,'-x\r\n");
+    });
+
+    it('should throw for unknown formats', () => {
+      expect(() => serializeItems([], 'xml')).to.throw('Unsupported export format: xml');
+    });
+  });
+
+  describe('validateFieldValue', () => {
+    it('should apply the form rules and messages', () => {
+      expect(validateFieldValue('', { required: true })).to.equal('This field is required');
+      expect(validateFieldValue('x', { minLength: 2 })).to.equal('Minimum 2 characters required');
+      expect(validateFieldValue('a@b', { type: 'email' })).to.equal('Please enter a valid email');
+      expect(validateFieldValue(4, { max: 3 })).to.equal('Maximum value is 3');
+      expect(validateFieldValue('ok', { pattern: '^o' })).to.equal('');
+    });
+  });
+
+  describe('audit helpers', () => {
+    class FieldValue {}
+    class Timestamp {
+      constructor(seconds) {
+        this.seconds = seconds;
+      }
+    }
+
+    it('should find server values in nested data', () => {
+      expect(hasServerValues({ n: 1, meta: { at: { '.sv': 'timestamp' } } })).to.be.true;
+      expect(hasServerValues({ tags: [new FieldValue()] }, FieldValue)).to.be.true;
+      expect(hasServerValues({ at: new Timestamp(1), tags: ['a'] }, FieldValue)).to.be.false;
+      expect(hasServerValues(null)).to.be.false;
+    });
+
+    it('should diff class instances as whole values', () => {
+      const before = { at: new Timestamp(1) };
+      const after = { at: new Timestamp(2) };
+      expect(diffRecords(before, after)).to.deep.equal([{ field: 'at', before: before.at, after: after.at }]);
+    });
+  });
+});
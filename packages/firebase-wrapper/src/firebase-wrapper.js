@@ -40,6 +40,7 @@ import { styles } from './firebase-wrapper.styles.js';
  *
  * @fires firebase-ready - Fired when Firebase is initialized successfully
  * @fires firebase-error - Fired when Firebase initialization fails
+ * @fires connection-changed - Fired when the connection goes online or offline
  *
  * @cssprop --firebase-wrapper-font-family - Font family for the component
  * @cssprop --firebase-wrapper-error-color - Color for error states
@@ -98,6 +99,13 @@ export class FirebaseWrapper extends LitElement {
      * @private
      */
     _errorMessage: { type: String, state: true },
+
+    /**
+     * Internal state: connected to the backend, null until known
+     * @type {boolean | null}
+     * @private
+     */
+    _online: { type: Boolean, state: true },
   };
 
   /** @type {import('firebase/app').FirebaseApp | null} */
@@ -115,6 +123,15 @@ export class FirebaseWrapper extends LitElement {
   /** @type {import('firebase/storage').FirebaseStorage | null} */
   _storage = null;
 
+  /**
+   * Estimated server clock minus local clock, in milliseconds
+   * @type {number}
+   */
+  _serverTimeOffset = 0;
+
+  /** @type {Array<() => void>} */
+  _connectionUnsubscribes = [];
+
   constructor() {
     super();
     this.config = null;
@@ -123,6 +140,7 @@ export class FirebaseWrapper extends LitElement {
     this.showStatus = false;
     this._status = 'pending';
     this._errorMessage = '';
+    this._online = null;
   }
 
   /**
@@ -173,6 +191,24 @@ export class FirebaseWrapper extends LitElement {
     return this._status === 'ready';
   }
 
+  /**
+   * Check if the backend is reachable: `.info/connected` with a Realtime
+   * Database, the browser's online state otherwise. Null until known.
+   * @returns {boolean | null}
+   */
+  get isOnline() {
+    return this._online;
+  }
+
+  /**
+   * Estimated server clock minus local clock, in milliseconds, from
+   * `.info/serverTimeOffset`. Add it to `Date.now()` for the server time.
+   * @returns {number}
+   */
+  get serverTimeOffset() {
+    return this._serverTimeOffset;
+  }
+
   async connectedCallback() {
     super.connectedCallback();
     if (this.config) {
@@ -180,6 +216,12 @@ export class FirebaseWrapper extends LitElement {
     }
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._connectionUnsubscribes.forEach(unsubscribe => unsubscribe());
+    this._connectionUnsubscribes = [];
+  }
+
   /**
    * @param {Map<string, unknown>} changedProperties
    */
@@ -222,6 +264,7 @@ export class FirebaseWrapper extends LitElement {
 
       this._status = 'ready';
       this._dispatchReadyEvent();
+      await this._watchConnection();
     } catch (error) {
       this._setError(error.message);
     }
@@ -335,6 +378,60 @@ export class FirebaseWrapper extends LitElement {
     }
   }
 
+  /**
+   * Track `.info/connected` and `.info/serverTimeOffset` when there is a
+   * Realtime Database, else the browser's online and offline events
+   * @private
+   */
+  async _watchConnection() {
+    if (this._connectionUnsubscribes.length > 0) return;
+
+    if (this._database) {
+      try {
+        const { ref, onValue } = await import('firebase/database');
+        this._connectionUnsubscribes.push(
+          onValue(ref(this._database, '.info/connected'), (snapshot) => {
+            this._setOnline(snapshot.val() === true);
+          }),
+          onValue(ref(this._database, '.info/serverTimeOffset'), (snapshot) => {
+            this._serverTimeOffset = snapshot.val() || 0;
+          })
+        );
+        return;
+      } catch (error) {
+        console.warn('Could not track the database connection:', error.message);
+      }
+    }
+
+    const onOnline = () => this._setOnline(true);
+    const onOffline = () => this._setOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    this._connectionUnsubscribes.push(() => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    });
+    this._setOnline(navigator.onLine);
+  }
+
+  /**
+   * Update the connection state, dispatching connection-changed when it changes
+   * @param {boolean} online
+   * @private
+   */
+  _setOnline(online) {
+    if (online === this._online) return;
+
+    this._online = online;
+    this.dispatchEvent(
+      new CustomEvent('connection-changed', {
+        detail: { online, serverTimeOffset: this._serverTimeOffset },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
   /**
    * Set error state
    * @param {string} message - Error message
@@ -387,7 +484,8 @@ export class FirebaseWrapper extends LitElement {
    * @private
    */
   _getStatusClass() {
-    return `status-indicator status-indicator--${this._status}`;
+    const offline = this._status === 'ready' && this._online === false;
+    return `status-indicator status-indicator--${offline ? 'offline' : this._status}`;
   }
 
   /**
@@ -398,7 +496,7 @@ export class FirebaseWrapper extends LitElement {
   _getStatusText() {
     switch (this._status) {
       case 'ready':
-        return 'Firebase Ready';
+        return this._online === false ? 'Offline' : 'Firebase Ready';
       case 'pending':
         return 'Initializing...';
       case 'error':
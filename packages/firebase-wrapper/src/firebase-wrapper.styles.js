@@ -7,6 +7,7 @@ import { css } from 'lit';
  * - --firebase-wrapper-error-color: Error text color (default: #dc3545)
  * - --firebase-wrapper-success-color: Success indicator color (default: #28a745)
  * - --firebase-wrapper-pending-color: Pending indicator color (default: #ffc107)
+ * - --firebase-wrapper-offline-color: Offline indicator color (default: #6c757d)
  */
 export const styles = css`
   :host {
@@ -37,6 +38,11 @@ export const styles = css`
     color: var(--firebase-wrapper-pending-color, #856404);
   }
 
+  .status-indicator--offline {
+    background-color: var(--firebase-wrapper-offline-bg, #e2e3e5);
+    color: var(--firebase-wrapper-offline-color, #6c757d);
+  }
+
   .status-indicator--error {
     background-color: var(--firebase-wrapper-error-bg, #f8d7da);
     color: var(--firebase-wrapper-error-color, #dc3545);
@@ -56,6 +56,15 @@ export interface FirebaseErrorEventDetail {
   message: string;
 }
 
+/**
+ * Connection changed event detail
+ */
+export interface ConnectionChangedEventDetail {
+  online: boolean;
+  /** Server clock minus local clock, in milliseconds */
+  serverTimeOffset: number;
+}
+
 /**
  * Firebase Wrapper Web Component
  *
@@ -63,6 +72,7 @@ export interface FirebaseErrorEventDetail {
  *
  * @fires firebase-ready - Fired when Firebase is initialized successfully
  * @fires firebase-error - Fired when Firebase initialization fails
+ * @fires connection-changed - Fired when the connection goes online or offline
  *
  * @slot - Default slot for child components that will use Firebase services
  */
@@ -117,6 +127,16 @@ export declare class FirebaseWrapper extends LitElement {
    */
   get isReady(): boolean;
 
+  /**
+   * Whether the backend is reachable (`.info/connected`), null until known
+   */
+  get isOnline(): boolean | null;
+
+  /**
+   * Server clock minus local clock, in milliseconds (`.info/serverTimeOffset`)
+   */
+  get serverTimeOffset(): number;
+
   render(): TemplateResult;
 }
 
@@ -128,5 +148,6 @@ declare global {
   interface HTMLElementEventMap {
     'firebase-ready': CustomEvent<FirebaseReadyEventDetail>;
     'firebase-error': CustomEvent<FirebaseErrorEventDetail>;
+    'connection-changed': CustomEvent<ConnectionChangedEventDetail>;
   }
 }
@@ -166,6 +166,54 @@ describe('FirebaseWrapper', () => {
       const el = await fixture(html`<firebase-wrapper></firebase-wrapper>`);
       expect(el.isReady).to.be.false;
     });
+
+    it('should return null for isOnline and 0 for serverTimeOffset when not initialized', async () => {
+      const el = await fixture(html`<firebase-wrapper></firebase-wrapper>`);
+      expect(el.isOnline).to.be.null;
+      expect(el.serverTimeOffset).to.equal(0);
+    });
+  });
+
+  describe('connection state', () => {
+    it('should dispatch connection-changed only when the state changes', async () => {
+      const el = await fixture(html`<firebase-wrapper></firebase-wrapper>`);
+      const events = [];
+      el.addEventListener('connection-changed', (e) => events.push(e.detail));
+      el._serverTimeOffset = 120;
+
+      el._setOnline(true);
+      el._setOnline(true);
+      el._setOnline(false);
+
+      expect(events).to.deep.equal([
+        { online: true, serverTimeOffset: 120 },
+        { online: false, serverTimeOffset: 120 },
+      ]);
+      expect(el.isOnline).to.be.false;
+    });
+
+    it('should show the offline status when ready but disconnected', async () => {
+      const el = await fixture(html`<firebase-wrapper show-status></firebase-wrapper>`);
+      el._status = 'ready';
+      el._setOnline(false);
+      await el.updateComplete;
+
+      const status = el.shadowRoot.querySelector('.status-indicator');
+      expect(status.classList.contains('status-indicator--offline')).to.be.true;
+      expect(status.textContent).to.contain('Offline');
+    });
+
+    it('should fall back to browser events without a database', async () => {
+      const el = await fixture(html`<firebase-wrapper></firebase-wrapper>`);
+      await el._watchConnection();
+      expect(el.isOnline).to.equal(navigator.onLine);
+
+      setTimeout(() => window.dispatchEvent(new Event(navigator.onLine ? 'offline' : 'online')));
+      const event = await oneEvent(el, 'connection-changed');
+      expect(event.detail.online).to.equal(!navigator.onLine);
+
+      el.remove();
+    });
   });
 
   describe('events', () => {